@@ -0,0 +1,10 @@
+-- CreateEnum
+CREATE TYPE "public"."QuestionType" AS ENUM ('SINGLE_CHOICE', 'MULTIPLE_CHOICE', 'TRUE_FALSE', 'SHORT_ANSWER', 'NUMERIC');
+
+-- AlterTable
+ALTER TABLE "public"."questions" ADD COLUMN     "question_type" "public"."QuestionType" NOT NULL DEFAULT 'SINGLE_CHOICE',
+ADD COLUMN     "accepted_answers" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "case_sensitive" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "normalize_whitespace" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "numeric_answer" DOUBLE PRECISION,
+ADD COLUMN     "numeric_tolerance" DOUBLE PRECISION NOT NULL DEFAULT 0;
@@ -0,0 +1,13 @@
+-- CreateEnum
+CREATE TYPE "public"."ScoringPolicy" AS ENUM ('ALL_OR_NOTHING', 'PARTIAL_CREDIT');
+
+-- AlterTable
+ALTER TABLE "public"."quizzes" ADD COLUMN     "scoring_policy" "public"."ScoringPolicy" NOT NULL DEFAULT 'ALL_OR_NOTHING',
+ADD COLUMN     "wrong_answer_penalty" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."questions" ADD COLUMN     "points" DOUBLE PRECISION NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "public"."quiz_scores" ALTER COLUMN "score_value_obtained" SET DATA TYPE DOUBLE PRECISION,
+ALTER COLUMN "score_total" SET DATA TYPE DOUBLE PRECISION;
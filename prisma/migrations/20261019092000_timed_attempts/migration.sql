@@ -0,0 +1,16 @@
+-- CreateEnum
+CREATE TYPE "public"."AttemptStatus" AS ENUM ('IN_PROGRESS', 'COMPLETED', 'TIMED_OUT');
+
+-- AlterTable
+ALTER TABLE "public"."quizzes" ADD COLUMN     "time_limit_minutes" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."quiz_scores" ADD COLUMN     "status" "public"."AttemptStatus" NOT NULL DEFAULT 'COMPLETED',
+ADD COLUMN     "started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "deadline_at" TIMESTAMP(3);
+
+-- Existing attempts were created and completed in a single request
+UPDATE "public"."quiz_scores" SET "started_at" = "created_at";
+
+-- CreateIndex
+CREATE INDEX "quiz_scores_status_deadline_at_idx" ON "public"."quiz_scores"("status", "deadline_at");
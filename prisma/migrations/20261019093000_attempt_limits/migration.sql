@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."quizzes" ADD COLUMN     "max_attempts" INTEGER,
+ADD COLUMN     "cooldown_minutes" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."quiz_assignments" ADD COLUMN     "extra_attempts" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."quizzes" ADD COLUMN     "shuffle_questions" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "shuffle_options" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "questions_per_attempt" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."quiz_scores" ADD COLUMN     "seed" INTEGER,
+ADD COLUMN     "layout" JSONB;
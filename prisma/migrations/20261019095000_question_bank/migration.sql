@@ -0,0 +1,52 @@
+-- CreateEnum
+CREATE TYPE "public"."Difficulty" AS ENUM ('EASY', 'MEDIUM', 'HARD');
+
+-- DropForeignKey
+ALTER TABLE "public"."questions" DROP CONSTRAINT "questions_quiz_id_fkey";
+
+-- AlterTable
+ALTER TABLE "public"."questions" ALTER COLUMN "quiz_id" DROP NOT NULL,
+ADD COLUMN     "tags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "difficulty" "public"."Difficulty",
+ADD COLUMN     "creator_id" INTEGER,
+ADD COLUMN     "updated_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."quiz_bank_questions" (
+    "id" SERIAL NOT NULL,
+    "quiz_id" INTEGER NOT NULL,
+    "question_id" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "quiz_bank_questions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."quiz_bank_rules" (
+    "id" SERIAL NOT NULL,
+    "quiz_id" INTEGER NOT NULL,
+    "tags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "difficulty" "public"."Difficulty",
+    "count" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "quiz_bank_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "quiz_bank_questions_quiz_id_question_id_key" ON "public"."quiz_bank_questions"("quiz_id", "question_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."questions" ADD CONSTRAINT "questions_quiz_id_fkey" FOREIGN KEY ("quiz_id") REFERENCES "public"."quizzes"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."questions" ADD CONSTRAINT "questions_creator_id_fkey" FOREIGN KEY ("creator_id") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."quiz_bank_questions" ADD CONSTRAINT "quiz_bank_questions_quiz_id_fkey" FOREIGN KEY ("quiz_id") REFERENCES "public"."quizzes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."quiz_bank_questions" ADD CONSTRAINT "quiz_bank_questions_question_id_fkey" FOREIGN KEY ("question_id") REFERENCES "public"."questions"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."quiz_bank_rules" ADD CONSTRAINT "quiz_bank_rules_quiz_id_fkey" FOREIGN KEY ("quiz_id") REFERENCES "public"."quizzes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "public"."quizzes" ADD COLUMN     "published_version_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."quiz_scores" ADD COLUMN     "quiz_version_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."quiz_versions" (
+    "id" SERIAL NOT NULL,
+    "quiz_id" INTEGER NOT NULL,
+    "version" INTEGER NOT NULL,
+    "snapshot" JSONB NOT NULL,
+    "created_by" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "quiz_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "quizzes_published_version_id_key" ON "public"."quizzes"("published_version_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "quiz_versions_quiz_id_version_key" ON "public"."quiz_versions"("quiz_id", "version");
+
+-- AddForeignKey
+ALTER TABLE "public"."quizzes" ADD CONSTRAINT "quizzes_published_version_id_fkey" FOREIGN KEY ("published_version_id") REFERENCES "public"."quiz_versions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."quiz_versions" ADD CONSTRAINT "quiz_versions_quiz_id_fkey" FOREIGN KEY ("quiz_id") REFERENCES "public"."quizzes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."quiz_versions" ADD CONSTRAINT "quiz_versions_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."quiz_scores" ADD CONSTRAINT "quiz_scores_quiz_version_id_fkey" FOREIGN KEY ("quiz_version_id") REFERENCES "public"."quiz_versions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "public"."StatusChangeSource" AS ENUM ('ADMIN', 'SCHEDULER');
+
+-- AlterEnum
+ALTER TYPE "public"."QuizStatus" ADD VALUE 'SCHEDULED';
+
+-- AlterTable
+ALTER TABLE "public"."quizzes" ADD COLUMN     "starts_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."quiz_status_transitions" (
+    "id" SERIAL NOT NULL,
+    "quiz_id" INTEGER NOT NULL,
+    "from_status" "public"."QuizStatus",
+    "to_status" "public"."QuizStatus" NOT NULL,
+    "source" "public"."StatusChangeSource" NOT NULL,
+    "changed_by" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "quiz_status_transitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "quiz_status_transitions_quiz_id_created_at_idx" ON "public"."quiz_status_transitions"("quiz_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."quiz_status_transitions" ADD CONSTRAINT "quiz_status_transitions_quiz_id_fkey" FOREIGN KEY ("quiz_id") REFERENCES "public"."quizzes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."quiz_status_transitions" ADD CONSTRAINT "quiz_status_transitions_changed_by_fkey" FOREIGN KEY ("changed_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
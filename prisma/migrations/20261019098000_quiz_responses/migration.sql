@@ -0,0 +1,26 @@
+-- CreateEnum
+CREATE TYPE "public"."ReviewPolicy" AS ENUM ('IMMEDIATELY', 'AFTER_EXPIRY', 'NEVER');
+
+-- AlterTable
+ALTER TABLE "public"."quizzes" ADD COLUMN     "review_policy" "public"."ReviewPolicy" NOT NULL DEFAULT 'AFTER_EXPIRY';
+
+-- CreateTable
+CREATE TABLE "public"."quiz_responses" (
+    "id" SERIAL NOT NULL,
+    "attempt_id" INTEGER NOT NULL,
+    "question_id" INTEGER NOT NULL,
+    "option_ids" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "answer_text" TEXT,
+    "answer_number" DOUBLE PRECISION,
+    "is_correct" BOOLEAN NOT NULL,
+    "points_awarded" DOUBLE PRECISION NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "quiz_responses_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "quiz_responses_attempt_id_question_id_key" ON "public"."quiz_responses"("attempt_id", "question_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."quiz_responses" ADD CONSTRAINT "quiz_responses_attempt_id_fkey" FOREIGN KEY ("attempt_id") REFERENCES "public"."quiz_scores"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "public"."quiz_scores" ADD COLUMN     "last_saved_at" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "public"."quiz_responses" ALTER COLUMN "is_correct" DROP NOT NULL,
+ALTER COLUMN "points_awarded" DROP NOT NULL,
+ADD COLUMN     "updated_at" TIMESTAMP(3);
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."quizzes" ADD COLUMN     "leaderboard_enabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "leaderboard_show_names" BOOLEAN NOT NULL DEFAULT false;
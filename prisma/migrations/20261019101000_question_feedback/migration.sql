@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."questions" ADD COLUMN     "explanation" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."options" ADD COLUMN     "feedback" TEXT;
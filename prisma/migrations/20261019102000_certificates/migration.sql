@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "public"."PassMarkType" AS ENUM ('PERCENT', 'POINTS');
+
+-- AlterTable
+ALTER TABLE "public"."quizzes" ADD COLUMN     "pass_mark" DOUBLE PRECISION,
+ADD COLUMN     "pass_mark_type" "public"."PassMarkType" NOT NULL DEFAULT 'PERCENT';
+
+-- AlterTable
+ALTER TABLE "public"."quiz_scores" ADD COLUMN     "passed" BOOLEAN;
+
+-- CreateTable
+CREATE TABLE "public"."certificates" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "attempt_id" INTEGER NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "quiz_id" INTEGER NOT NULL,
+    "issued_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "certificates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "certificates_code_key" ON "public"."certificates"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "certificates_attempt_id_key" ON "public"."certificates"("attempt_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."certificates" ADD CONSTRAINT "certificates_attempt_id_fkey" FOREIGN KEY ("attempt_id") REFERENCES "public"."quiz_scores"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."certificates" ADD CONSTRAINT "certificates_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."certificates" ADD CONSTRAINT "certificates_quiz_id_fkey" FOREIGN KEY ("quiz_id") REFERENCES "public"."quizzes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- CreateEnum
+CREATE TYPE "public"."GradingPolicy" AS ENUM ('HIGHEST', 'LATEST', 'FIRST', 'AVERAGE');
+
+-- AlterTable
+ALTER TABLE "public"."quizzes" ADD COLUMN     "grading_policy" "public"."GradingPolicy" NOT NULL DEFAULT 'LATEST';
@@ -0,0 +1,13 @@
+-- AlterEnum
+ALTER TYPE "public"."QuestionType" ADD VALUE 'ESSAY';
+
+-- AlterEnum
+ALTER TYPE "public"."AttemptStatus" ADD VALUE 'PENDING_GRADING';
+
+-- AlterTable
+ALTER TABLE "public"."quiz_responses" ADD COLUMN     "graded_at" TIMESTAMP(3),
+ADD COLUMN     "graded_by" INTEGER,
+ADD COLUMN     "grader_comment" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "public"."quiz_responses" ADD CONSTRAINT "quiz_responses_graded_by_fkey" FOREIGN KEY ("graded_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,42 @@
+-- AlterTable
+ALTER TABLE "public"."certificates" ADD COLUMN     "revoked_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."quiz_regrades" (
+    "id" SERIAL NOT NULL,
+    "quiz_id" INTEGER NOT NULL,
+    "question_id" INTEGER,
+    "performed_by" INTEGER NOT NULL,
+    "attempts_checked" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "quiz_regrades_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."quiz_regrade_changes" (
+    "id" SERIAL NOT NULL,
+    "regrade_id" INTEGER NOT NULL,
+    "attempt_id" INTEGER NOT NULL,
+    "old_score" DOUBLE PRECISION,
+    "new_score" DOUBLE PRECISION NOT NULL,
+    "old_passed" BOOLEAN,
+    "new_passed" BOOLEAN,
+
+    CONSTRAINT "quiz_regrade_changes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "quiz_regrades_quiz_id_created_at_idx" ON "public"."quiz_regrades"("quiz_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."quiz_regrades" ADD CONSTRAINT "quiz_regrades_quiz_id_fkey" FOREIGN KEY ("quiz_id") REFERENCES "public"."quizzes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."quiz_regrades" ADD CONSTRAINT "quiz_regrades_performed_by_fkey" FOREIGN KEY ("performed_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."quiz_regrade_changes" ADD CONSTRAINT "quiz_regrade_changes_regrade_id_fkey" FOREIGN KEY ("regrade_id") REFERENCES "public"."quiz_regrades"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."quiz_regrade_changes" ADD CONSTRAINT "quiz_regrade_changes_attempt_id_fkey" FOREIGN KEY ("attempt_id") REFERENCES "public"."quiz_scores"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "public"."app_settings" (
+    "id" INTEGER NOT NULL DEFAULT 1,
+    "otp_login_enabled" BOOLEAN NOT NULL DEFAULT false,
+    "updated_at" TIMESTAMP(3),
+    "updated_by" INTEGER,
+
+    CONSTRAINT "app_settings_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "public"."app_settings" ADD CONSTRAINT "app_settings_updated_by_fkey" FOREIGN KEY ("updated_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
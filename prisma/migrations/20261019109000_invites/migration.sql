@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "public"."invites" (
+    "id" SERIAL NOT NULL,
+    "email" TEXT NOT NULL,
+    "role" "public"."Role" NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "invited_by" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "accepted_at" TIMESTAMP(3),
+    "accepted_by" INTEGER,
+    "revoked_at" TIMESTAMP(3),
+
+    CONSTRAINT "invites_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invites_token_hash_key" ON "public"."invites"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "invites_email_idx" ON "public"."invites"("email");
+
+-- AddForeignKey
+ALTER TABLE "public"."invites" ADD CONSTRAINT "invites_invited_by_fkey" FOREIGN KEY ("invited_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."invites" ADD CONSTRAINT "invites_accepted_by_fkey" FOREIGN KEY ("accepted_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
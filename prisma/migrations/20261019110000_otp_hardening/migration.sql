@@ -0,0 +1,18 @@
+/*
+  Warnings:
+
+  - You are about to drop the column `otp_code` on the `otp_tokens` table. Codes already sent stop working and have to be requested again.
+
+*/
+-- AlterTable
+ALTER TABLE "public"."otp_tokens" DROP COLUMN "otp_code",
+ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "otp_hash" TEXT,
+ADD COLUMN     "send_count" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "send_window_started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- an empty hash never matches a code
+UPDATE "public"."otp_tokens" SET "otp_hash" = '';
+
+-- AlterTable
+ALTER TABLE "public"."otp_tokens" ALTER COLUMN "otp_hash" SET NOT NULL;
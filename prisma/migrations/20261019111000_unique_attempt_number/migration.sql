@@ -0,0 +1,11 @@
+-- number attempts that share a number (rows written before numbering was enforced) in the order they started
+UPDATE "public"."quiz_scores" AS s
+SET "attempt_number" = n."attempt_number"
+FROM (
+    SELECT "id", ROW_NUMBER() OVER (PARTITION BY "quiz_id", "user_id" ORDER BY "started_at", "id") AS "attempt_number"
+    FROM "public"."quiz_scores"
+) AS n
+WHERE s."id" = n."id" AND s."attempt_number" <> n."attempt_number";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "quiz_scores_quiz_id_user_id_attempt_number_key" ON "public"."quiz_scores"("quiz_id", "user_id", "attempt_number");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."quiz_scores" ADD COLUMN     "closed_by_timeout" BOOLEAN NOT NULL DEFAULT false;
+
+-- attempts closed before this column existed: timed out ones were closed at their deadline
+UPDATE "public"."quiz_scores"
+SET "closed_by_timeout" = true
+WHERE "status" = 'TIMED_OUT'
+   OR ("status" = 'PENDING_GRADING' AND "completed_at" = "deadline_at");
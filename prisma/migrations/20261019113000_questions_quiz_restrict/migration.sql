@@ -0,0 +1,5 @@
+-- DropForeignKey
+ALTER TABLE "public"."questions" DROP CONSTRAINT "questions_quiz_id_fkey";
+
+-- AddForeignKey
+ALTER TABLE "public"."questions" ADD CONSTRAINT "questions_quiz_id_fkey" FOREIGN KEY ("quiz_id") REFERENCES "public"."quizzes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."quiz_regrades" ADD COLUMN     "answer_key" JSONB;
@@ -1,38 +1,106 @@
 const express = require("express");
 const bcrypt = require('bcryptjs');
-const jwt = require("jsonwebtoken");
 const prisma = require("../../../../prisma/prismaClient");
 const { sendOtpEmail } = require("../../../helper/mailer");
 const authRouter = express.Router();
 const rateLimiter = require("../../../middleware/rateLimiter");
-const { jwtSecret, otpExpireMinutes } = require("../../../config");
+const { issueOtp, consumeOtp } = require("../../../helper/otp");
+const {
+  startSession,
+  refreshSession,
+  resolveAccessToken,
+  revokeSession,
+  revokeUserSessions,
+  endSession,
+  listSessions,
+} = require("../../../helper/sessions");
+const authMiddleware = require("../../../middleware/authMiddleware");
+const { getAppSettings } = require("../../../helper/appSettings");
+const { findPendingInvite } = require("../../../helper/invites");
+const { tokensMatch } = require("../../../helper/tokens");
+const {
+  accessTokenTtlSeconds,
+  bootstrapAdminToken,
+} = require("../../../config");
 
-const generateOTP = () =>
-  Math.floor(100000 + Math.random() * 900000).toString();
+// only sent to the auth routes that exchange or revoke it
+const REFRESH_COOKIE_PATH = "/api/v1/auth";
 
-const generateExpiresAt = () =>
-  new Date(Date.now() + 1000 * 60 * Number(otpExpireMinutes));
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "Lax",
+};
 
 const logoutUser = (res) =>
-  res.clearCookie("token", {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-    sameSite: "Lax",
-    path: "/",
-  });
-
-const setCookie = (res, jwtToken) =>
-  res.status(200).cookie("token", jwtToken, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-    sameSite: "Lax",
-    maxAge: 7 * 24 * 60 * 60 * 1000,
-  });
+  res
+    .clearCookie("token", { ...cookieOptions, path: "/" })
+    .clearCookie("refresh_token", {
+      ...cookieOptions,
+      path: REFRESH_COOKIE_PATH,
+    });
+
+const otpLoginDisabled = (res) =>
+  res.status(403).json({ status: "failure", message: "OTP login is disabled" });
+
+const setCookie = (res, tokens) =>
+  res
+    .status(200)
+    .cookie("token", tokens.accessToken, {
+      ...cookieOptions,
+      maxAge: accessTokenTtlSeconds * 1000,
+    })
+    .cookie("refresh_token", tokens.refreshToken, {
+      ...cookieOptions,
+      path: REFRESH_COOKIE_PATH,
+      expires: tokens.refreshTokenExpiresAt,
+    })
+    // for clients that cannot use cookies; exposed by corsOptions
+    .set({
+      "x-refresh-token": tokens.refreshToken,
+      "x-token-expiry-time": tokens.accessTokenExpiresAt.toISOString(),
+    });
+
+// an unverified user can not access the system anyways, so their email can be registered again
+const deleteUnverifiedUser = async (db, userId) => {
+  await db.otp_tokens.deleteMany({ where: { user_id: userId } });
+  await db.users.delete({ where: { id: userId } });
+};
+
+const otpThrottled = (res, retryAfterSeconds) =>
+  res
+    .status(429)
+    .set("Retry-After", String(retryAfterSeconds))
+    .json({
+      status: "failure",
+      message: "Please wait before requesting another OTP",
+      data: { retry_after_seconds: retryAfterSeconds },
+    });
+
+const clientInfo = (req) => ({
+  userAgent: req.get("user-agent"),
+  ipAddress: req.ip,
+});
+
+const readAccessToken = (req) =>
+  req.cookies?.token ||
+  // Fallback to Authorization header (for client-side fetch)
+  req.headers.authorization?.split(" ")[1];
+
+const readRefreshToken = (req) =>
+  req.cookies?.refresh_token ||
+  req.get("x-refresh-token") ||
+  req.body?.refreshToken;
 /**
  * @swagger
  * /api/v1/auth/signup:
  *   post:
  *     summary: Register a new user
+ *     description: >
+ *       Creates a `USER` account and emails an OTP to confirm it with `/api/v1/auth/verify-otp`.
+ *       Signing up again with an email that is not verified yet replaces the password and sends a new code,
+ *       subject to the same cooldown and daily limit as `/api/v1/auth/resend-otp`.
+ *       Admin accounts are created by invitation (`/api/v1/invites`), or for the first admin with `/api/v1/auth/bootstrap-admin`.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -45,7 +113,6 @@ const setCookie = (res, jwtToken) =>
  *               - email
  *               - password
  *               - confirmPassword
- *               - role
  *             properties:
  *               fullName:
  *                 type: string
@@ -55,20 +122,21 @@ const setCookie = (res, jwtToken) =>
  *                 type: string
  *               confirmPassword:
  *                 type: string
- *               role:
- *                 type: string
- *                 enum: [ADMIN, USER]
  *     responses:
  *       200:
  *         description: OTP sent successfully
  *       400:
  *         description: Validation error
+ *       429:
+ *         description: >
+ *           Still in the OTP resend cooldown, or the daily limit is reached. `retry_after_seconds` (also sent as the
+ *           `Retry-After` header) is how long until a new code can be sent.
  */
 authRouter.post("/signup", rateLimiter, async (req, res) => {
   try {
-    const { fullName, email, password, confirmPassword, role } = req.body;
-    // Validation: email, password, fullName, confirmPassword, role are required
-    if (!email || !password || !fullName || !confirmPassword || !role) {
+    const { fullName, email, password, confirmPassword } = req.body;
+    // Validation: email, password, fullName, confirmPassword are required
+    if (!email || !password || !fullName || !confirmPassword) {
       return res
         .status(400)
         .json({ status: "failure", message: "All fields are required" });
@@ -85,53 +153,16 @@ authRouter.post("/signup", rateLimiter, async (req, res) => {
         .status(400)
         .json({ status: "failure", message: "Email exists" });
 
-    // delete the unverified user as they can not access the system anyways
-    if (existing && !existing.is_verified) {
-      await prisma.otp_tokens.deleteMany({
-        where: {
-          user_id: existing.id,
-        },
-      });
-      await prisma.users.delete({
-        where: {
-          email: email,
-        },
-      });
-    }
-
     const hashed = await bcrypt.hash(password, 10);
-    const user = await prisma.users.create({
-      data: { email, password: hashed, role },
-    });
+    // any other role is given by invitation, never chosen at signup
+    const data = { email, password: hashed, role: "USER" };
+    // signing up again keeps the unverified user, and with it their OTP resend throttle
+    const user = existing
+      ? await prisma.users.update({ where: { id: existing.id }, data })
+      : await prisma.users.create({ data });
 
-    const otp = generateOTP();
-    const expiresAt = generateExpiresAt();
-
-    // delete any old unverified otps before creating new one
-    await prisma.otp_tokens.deleteMany({
-      where: { user_id: user.id, verified_at: null },
-    });
-
-    await prisma.otp_tokens.upsert({
-      where: {
-        user_id_purpose: {
-          user_id: user.id,
-          purpose: "SIGNUP",
-        },
-      },
-      create: {
-        user_id: user.id,
-        otp_code: otp,
-        created_at: new Date(),
-        expires_at: expiresAt,
-        purpose: "SIGNUP",
-      },
-      update: {
-        otp_code: otp,
-        created_at: new Date(),
-        expires_at: expiresAt,
-      },
-    });
+    const { otp, retryAfterSeconds } = await issueOtp(user.id, "SIGNUP");
+    if (!otp) return otpThrottled(res, retryAfterSeconds);
 
     await sendOtpEmail(email, otp);
     return res.status(200).json({ status: "success", message: "OTP sent" });
@@ -144,12 +175,13 @@ authRouter.post("/signup", rateLimiter, async (req, res) => {
 });
 /**
  * @swagger
- * /api/v1/auth/verify-otp:
+ * /api/v1/auth/accept-invite:
  *   post:
- *     summary: Verify user OTP for signup confirmation
+ *     summary: Register by accepting an invite
  *     description: >
- *       This endpoint verifies a user's email address by matching the provided OTP code against the stored OTP token.
- *       If successful, the user is marked as verified, a JWT is issued, and it is also set as an HTTP-only cookie.
+ *       Creates the invited account with the role the invite presets, using the token from the invite link sent by
+ *       `/api/v1/invites`. The link proves the email address, so the account is verified straight away and the user
+ *       is logged in, as with `/api/v1/auth/login`. Each invite can be accepted once, before it expires or is revoked.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -158,21 +190,24 @@ authRouter.post("/signup", rateLimiter, async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - email
- *               - otp
+ *               - token
+ *               - password
+ *               - confirmPassword
  *             properties:
- *               email:
+ *               token:
  *                 type: string
- *                 format: email
- *                 example: user@example.com
- *               otp:
+ *                 description: The `token` query parameter of the invite link.
+ *               password:
  *                 type: string
- *                 minLength: 6
- *                 maxLength: 6
- *                 example: "123456"
+ *                 format: password
+ *                 example: MySecurePassword123
+ *               confirmPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: MySecurePassword123
  *     responses:
- *       200:
- *         description: OTP verified successfully, user verified, JWT issued.
+ *       201:
+ *         description: Account created and logged in. JWT token returned and cookie set.
  *         content:
  *           application/json:
  *             schema:
@@ -183,12 +218,16 @@ authRouter.post("/signup", rateLimiter, async (req, res) => {
  *                   example: success
  *                 message:
  *                   type: string
- *                   example: OTP verified
+ *                   example: Invite accepted
  *                 token:
  *                   type: string
  *                   description: JWT authentication token.
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the access token expires; refresh it with `/api/v1/auth/refresh`.
  *       400:
- *         description: Invalid request or OTP verification failed.
+ *         description: Missing fields, passwords that do not match, or an invalid, expired, revoked or used invite.
  *         content:
  *           application/json:
  *             schema:
@@ -199,9 +238,9 @@ authRouter.post("/signup", rateLimiter, async (req, res) => {
  *                   example: failure
  *                 message:
  *                   type: string
- *                   example: Invalid or expired OTP
- *       401:
- *         description: Unauthorized request.
+ *                   example: Invalid or expired invite
+ *       409:
+ *         description: An account already exists for the invited email.
  *         content:
  *           application/json:
  *             schema:
@@ -212,9 +251,9 @@ authRouter.post("/signup", rateLimiter, async (req, res) => {
  *                   example: failure
  *                 message:
  *                   type: string
- *                   example: Unauthorized
+ *                   example: Email exists
  *       500:
- *         description: Server error while verifying OTP.
+ *         description: Internal server error while accepting the invite.
  *         content:
  *           application/json:
  *             schema:
@@ -227,55 +266,71 @@ authRouter.post("/signup", rateLimiter, async (req, res) => {
  *                   type: string
  *                   example: Something went wrong
  */
-authRouter.post("/verify-otp", rateLimiter, async (req, res) => {
-  // Validation:: email and otp are required both in string format
-  if (!req.body.email || !req.body.otp) {
+authRouter.post("/accept-invite", rateLimiter, async (req, res) => {
+  const { token, password, confirmPassword } = req.body;
+  // Validation:: token, password and confirmPassword are required
+  if (!token || !password || !confirmPassword) {
     return res
       .status(400)
-      .json({ status: "failure", message: "Email and OTP are required" });
+      .json({ status: "failure", message: "All fields are required" });
+  }
+  if (password !== confirmPassword) {
+    return res
+      .status(400)
+      .json({ status: "failure", message: "Passwords do not match" });
   }
   try {
-    const { email, otp } = req.body;
-    const user = await prisma.users.findUnique({ where: { email } });
-    if (!user)
-      return res
-        .status(400)
-        .json({ status: "failure", message: "Invalid user" });
-    if (user.is_verified)
+    const invite = await findPendingInvite(token);
+    if (!invite)
       return res
         .status(400)
-        .json({ status: "failure", message: "User is already verified" });
-    const token = await prisma.otp_tokens.findFirst({
-      where: {
-        user_id: user.id,
-        otp_code: otp,
-        verified_at: null,
-        expires_at: { gt: new Date() },
-        purpose: "SIGNUP",
-      },
-    });
+        .json({ status: "failure", message: "Invalid or expired invite" });
 
-    if (!token)
+    const existing = await prisma.users.findUnique({
+      where: { email: invite.email },
+    });
+    if (existing && existing.is_verified)
       return res
-        .status(400)
-        .json({ status: "failure", message: "Invalid or expired OTP" });
+        .status(409)
+        .json({ status: "failure", message: "Email exists" });
 
-    await prisma.otp_tokens.update({
-      where: { id: token.id },
-      data: { verified_at: new Date() },
-    });
-    await prisma.users.update({
-      where: { email },
-      data: { is_verified: true },
+    const hashed = await bcrypt.hash(password, 10);
+    const user = await prisma.$transaction(async (tx) => {
+      // single use, even when the link is submitted twice at once
+      const { count } = await tx.invites.updateMany({
+        where: { id: invite.id, accepted_at: null, revoked_at: null },
+        data: { accepted_at: new Date() },
+      });
+      if (!count) return null;
+
+      if (existing) await deleteUnverifiedUser(tx, existing.id);
+      const created = await tx.users.create({
+        data: {
+          email: invite.email,
+          password: hashed,
+          role: invite.role,
+          is_verified: true,
+        },
+      });
+      await tx.invites.update({
+        where: { id: invite.id },
+        data: { accepted_by: created.id },
+      });
+      return created;
     });
+    if (!user)
+      return res
+        .status(400)
+        .json({ status: "failure", message: "Invalid or expired invite" });
 
-    const jwtToken = jwt.sign({ sub: user.id }, jwtSecret, {
-      expiresIn: "7d",
+    const tokens = await startSession(user.id, clientInfo(req));
+    setCookie(res, tokens);
+    res.status(201).json({
+      status: "success",
+      message: "Invite accepted",
+      token: tokens.accessToken,
+      expires_at: tokens.accessTokenExpiresAt,
     });
-    setCookie(res, jwtToken);
-    res
-      .status(200)
-      .json({ status: "success", message: "OTP verified", token: jwtToken });
   } catch (err) {
     console.error(err);
     res
@@ -285,13 +340,21 @@ authRouter.post("/verify-otp", rateLimiter, async (req, res) => {
 });
 /**
  * @swagger
- * /api/v1/auth/login:
+ * /api/v1/auth/bootstrap-admin:
  *   post:
- *     summary: Log in a user
+ *     summary: Create the first admin
  *     description: >
- *       Authenticates a user with their email and password.
- *       On success, returns a JWT token in the response body and sets it as an HTTP-only cookie for subsequent requests.
+ *       Creates a verified `ADMIN` account while there is none, so a fresh installation can be set up; further admins
+ *       are invited by an admin through `/api/v1/invites`. Requires the `x-bootstrap-token` header to match the
+ *       `BOOTSTRAP_ADMIN_TOKEN` environment variable, and is disabled when that variable is not set.
+ *       Unset it once the first admin exists.
  *     tags: [Auth]
+ *     parameters:
+ *       - in: header
+ *         name: x-bootstrap-token
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
@@ -301,18 +364,23 @@ authRouter.post("/verify-otp", rateLimiter, async (req, res) => {
  *             required:
  *               - email
  *               - password
+ *               - confirmPassword
  *             properties:
  *               email:
  *                 type: string
  *                 format: email
- *                 example: user@example.com
+ *                 example: admin@example.com
  *               password:
  *                 type: string
  *                 format: password
  *                 example: MySecurePassword123
+ *               confirmPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: MySecurePassword123
  *     responses:
- *       200:
- *         description: Login successful. JWT token returned and cookie set.
+ *       201:
+ *         description: Admin created. Log in with `/api/v1/auth/login`.
  *         content:
  *           application/json:
  *             schema:
@@ -321,12 +389,23 @@ authRouter.post("/verify-otp", rateLimiter, async (req, res) => {
  *                 status:
  *                   type: string
  *                   example: success
- *                 token:
+ *                 message:
  *                   type: string
- *                   description: JWT authentication token.
- *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                   example: Admin created
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     email:
+ *                       type: string
+ *                       example: admin@example.com
+ *                     role:
+ *                       type: string
+ *                       example: ADMIN
  *       400:
- *         description: Missing fields or invalid credentials.
+ *         description: Missing fields, passwords that do not match, or an email that is already registered.
  *         content:
  *           application/json:
  *             schema:
@@ -337,9 +416,9 @@ authRouter.post("/verify-otp", rateLimiter, async (req, res) => {
  *                   example: failure
  *                 message:
  *                   type: string
- *                   example: Invalid email or password
+ *                   example: All fields are required
  *       403:
- *         description: Email exists but is not yet verified.
+ *         description: Bootstrapping is disabled or the token is wrong.
  *         content:
  *           application/json:
  *             schema:
@@ -350,9 +429,22 @@ authRouter.post("/verify-otp", rateLimiter, async (req, res) => {
  *                   example: failure
  *                 message:
  *                   type: string
- *                   example: Email not verified
+ *                   example: Invalid bootstrap token
+ *       409:
+ *         description: An admin already exists.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: An admin already exists
  *       500:
- *         description: Internal server error during login attempt.
+ *         description: Internal server error while creating the admin.
  *         content:
  *           application/json:
  *             schema:
@@ -365,36 +457,68 @@ authRouter.post("/verify-otp", rateLimiter, async (req, res) => {
  *                   type: string
  *                   example: Something went wrong
  */
-authRouter.post("/login", rateLimiter, async (req, res) => {
-  // Validation:: email and password are required both in string format
-  if (!req.body.email || !req.body.password) {
+authRouter.post("/bootstrap-admin", rateLimiter, async (req, res) => {
+  if (!bootstrapAdminToken) {
+    return res
+      .status(403)
+      .json({ status: "failure", message: "Bootstrap is disabled" });
+  }
+  const providedToken = req.get("x-bootstrap-token");
+  if (!providedToken || !tokensMatch(providedToken, bootstrapAdminToken)) {
+    return res
+      .status(403)
+      .json({ status: "failure", message: "Invalid bootstrap token" });
+  }
+
+  const { email, password, confirmPassword } = req.body;
+  // Validation:: email, password and confirmPassword are required
+  if (!email || !password || !confirmPassword) {
     return res
       .status(400)
-      .json({ status: "failure", message: "Email and password are required" });
+      .json({ status: "failure", message: "All fields are required" });
+  }
+  if (password !== confirmPassword) {
+    return res
+      .status(400)
+      .json({ status: "failure", message: "Passwords do not match" });
   }
   try {
-    const { email, password } = req.body;
-    const user = await prisma.users.findUnique({ where: { email } });
-    if (!user)
-      return res
-        .status(400)
-        .json({ status: "failure", message: "Invalid email or password" });
-    if (user && !user.is_verified)
-      return res
-        .status(403)
-        .json({ status: "failure", message: "Email not verified" });
+    const hashed = await bcrypt.hash(password, 10);
+    // serializable, so two concurrent requests cannot both see no admin
+    const result = await prisma.$transaction(
+      async (tx) => {
+        if (
+          await tx.users.count({ where: { role: "ADMIN", is_verified: true } })
+        )
+          return { conflict: true };
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch)
+        const existing = await tx.users.findUnique({ where: { email } });
+        if (existing && existing.is_verified) return { emailExists: true };
+        if (existing) await deleteUnverifiedUser(tx, existing.id);
+
+        const user = await tx.users.create({
+          data: { email, password: hashed, role: "ADMIN", is_verified: true },
+          select: { id: true, email: true, role: true },
+        });
+        return { user };
+      },
+      { isolationLevel: "Serializable" }
+    );
+
+    if (result.conflict)
+      return res
+        .status(409)
+        .json({ status: "failure", message: "An admin already exists" });
+    if (result.emailExists)
       return res
         .status(400)
-        .json({ status: "failure", message: "Invalid email or password" });
+        .json({ status: "failure", message: "Email exists" });
 
-    const jwtToken = jwt.sign({ sub: user.id }, jwtSecret, {
-      expiresIn: "7d",
+    res.status(201).json({
+      status: "success",
+      message: "Admin created",
+      data: result.user,
     });
-    setCookie(res, jwtToken);
-    res.status(200).json({ status: "success", token: jwtToken });
   } catch (err) {
     console.error(err);
     res
@@ -404,32 +528,36 @@ authRouter.post("/login", rateLimiter, async (req, res) => {
 });
 /**
  * @swagger
- * /api/v1/auth/me:
- *   get:
- *     summary: Get current authenticated user
+ * /api/v1/auth/verify-otp:
+ *   post:
+ *     summary: Verify user OTP for signup confirmation
  *     description: >
- *       Retrieves information about the currently logged-in user based on the JWT token.
- *       The token can be provided either via an HTTP-only cookie named `token` or as a Bearer token in the `Authorization` header.
+ *       This endpoint verifies a user's email address by matching the provided OTP code against the stored OTP token.
+ *       If successful, the user is marked as verified, a JWT is issued, and it is also set as an HTTP-only cookie.
+ *       The code stops working after `OTP_MAX_ATTEMPTS` wrong guesses; request a new one with `/api/v1/auth/resend-otp`.
  *     tags: [Auth]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: cookie
- *         name: token
- *         schema:
- *           type: string
- *         required: false
- *         description: JWT authentication token stored in an HTTP-only cookie.
- *       - in: header
- *         name: Authorization
- *         schema:
- *           type: string
- *           example: Bearer eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
- *         required: false
- *         description: JWT authentication token in Bearer format (used when cookies are not available).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - otp
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *               otp:
+ *                 type: string
+ *                 minLength: 6
+ *                 maxLength: 6
+ *                 example: "123456"
  *     responses:
  *       200:
- *         description: Authenticated user data retrieved successfully.
+ *         description: OTP verified successfully, user verified, JWT issued.
  *         content:
  *           application/json:
  *             schema:
@@ -440,28 +568,16 @@ authRouter.post("/login", rateLimiter, async (req, res) => {
  *                   example: success
  *                 message:
  *                   type: string
- *                   example: User data found
- *                 data:
- *                   type: object
- *                   properties:
- *                     id:
- *                       type: integer
- *                       example: 1
- *                     email:
- *                       type: string
- *                       example: user@example.com
- *                     role:
- *                       type: string
- *                       example: USER
- *                     is_verified:
- *                       type: boolean
- *                       example: true
- *                     created_at:
- *                       type: string
- *                       format: date-time
- *                       example: 2025-08-11T10:20:30Z
- *       401:
- *         description: Unauthorized — missing token, invalid token, or unverified user.
+ *                   example: OTP verified
+ *                 token:
+ *                   type: string
+ *                   description: JWT authentication token.
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the access token expires; refresh it with `/api/v1/auth/refresh`.
+ *       400:
+ *         description: Invalid request or OTP verification failed.
  *         content:
  *           application/json:
  *             schema:
@@ -472,15 +588,885 @@ authRouter.post("/login", rateLimiter, async (req, res) => {
  *                   example: failure
  *                 message:
  *                   type: string
- *                   example: Unauthorized
- *                 data:
- *                   type: string
- *                   nullable: true
- *                   example: null
- *       500:
- *         description: Internal server error while fetching user data.
- *         content:
- *           application/json:
+ *                   example: Invalid or expired OTP
+ *       401:
+ *         description: Unauthorized request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Unauthorized
+ *       500:
+ *         description: Server error while verifying OTP.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Something went wrong
+ */
+authRouter.post("/verify-otp", rateLimiter, async (req, res) => {
+  // Validation:: email and otp are required both in string format
+  if (!req.body.email || !req.body.otp) {
+    return res
+      .status(400)
+      .json({ status: "failure", message: "Email and OTP are required" });
+  }
+  try {
+    const { email, otp } = req.body;
+    const user = await prisma.users.findUnique({ where: { email } });
+    if (!user)
+      return res
+        .status(400)
+        .json({ status: "failure", message: "Invalid user" });
+    if (user.is_verified)
+      return res
+        .status(400)
+        .json({ status: "failure", message: "User is already verified" });
+    if (!(await consumeOtp(user.id, otp, "SIGNUP")))
+      return res
+        .status(400)
+        .json({ status: "failure", message: "Invalid or expired OTP" });
+
+    await prisma.users.update({
+      where: { email },
+      data: { is_verified: true },
+    });
+
+    const tokens = await startSession(user.id, clientInfo(req));
+    setCookie(res, tokens);
+    res.status(200).json({
+      status: "success",
+      message: "OTP verified",
+      token: tokens.accessToken,
+      expires_at: tokens.accessTokenExpiresAt,
+    });
+  } catch (err) {
+    console.error(err);
+    res
+      .status(500)
+      .json({ status: "failure", message: "Something went wrong" });
+  }
+});
+/**
+ * @swagger
+ * /api/v1/auth/resend-otp:
+ *   post:
+ *     summary: Resend the signup OTP
+ *     description: >
+ *       Emails a new code for confirming a signup with `/api/v1/auth/verify-otp` to the given address, if it belongs to
+ *       an account that is not verified yet; the previous code stops working. The response is the same whether or not
+ *       such an account exists. No code is sent within `OTP_RESEND_COOLDOWN_SECONDS` of the last one, or once the account
+ *       has been sent `OTP_DAILY_SEND_LIMIT` codes in 24 hours. Codes also stop working after `OTP_MAX_ATTEMPTS` wrong
+ *       guesses, after which a new one has to be requested.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Request accepted. An OTP was sent if an unverified account exists.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: If an account awaiting verification exists for this email, an OTP has been sent
+ *       400:
+ *         description: Email is missing.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Email is required
+ *       500:
+ *         description: Internal server error while sending the OTP.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Something went wrong
+ */
+authRouter.post("/resend-otp", rateLimiter, async (req, res) => {
+  // Validation:: email is required in string format
+  if (!req.body.email) {
+    return res
+      .status(400)
+      .json({ status: "failure", message: "Email is required" });
+  }
+  try {
+    const { email } = req.body;
+    const user = await prisma.users.findUnique({ where: { email } });
+
+    if (user && !user.is_verified) {
+      // no code while the resend cooldown or daily limit applies; the response does not tell
+      const { otp } = await issueOtp(user.id, "SIGNUP");
+      // not awaited, so the response takes as long whether or not the account exists
+      if (otp) sendOtpEmail(email, otp).catch((err) => console.error(err));
+    }
+
+    return res.status(200).json({
+      status: "success",
+      message:
+        "If an account awaiting verification exists for this email, an OTP has been sent",
+    });
+  } catch (err) {
+    console.error(err);
+    res
+      .status(500)
+      .json({ status: "failure", message: "Something went wrong" });
+  }
+});
+/**
+ * @swagger
+ * /api/v1/auth/login:
+ *   post:
+ *     summary: Log in a user
+ *     description: >
+ *       Authenticates a user with their email and password.
+ *       On success, returns a short-lived JWT access token in the response body and sets it as an HTTP-only cookie for subsequent requests.
+ *       A refresh token for the new session is set as the `refresh_token` cookie and the `x-refresh-token` header.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 example: MySecurePassword123
+ *     responses:
+ *       200:
+ *         description: Login successful. JWT token returned and cookie set.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 token:
+ *                   type: string
+ *                   description: JWT authentication token.
+ *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the access token expires; refresh it with `/api/v1/auth/refresh`.
+ *       400:
+ *         description: Missing fields or invalid credentials.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Invalid email or password
+ *       403:
+ *         description: Email exists but is not yet verified.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Email not verified
+ *       500:
+ *         description: Internal server error during login attempt.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Something went wrong
+ */
+authRouter.post("/login", rateLimiter, async (req, res) => {
+  // Validation:: email and password are required both in string format
+  if (!req.body.email || !req.body.password) {
+    return res
+      .status(400)
+      .json({ status: "failure", message: "Email and password are required" });
+  }
+  try {
+    const { email, password } = req.body;
+    const user = await prisma.users.findUnique({ where: { email } });
+    if (!user)
+      return res
+        .status(400)
+        .json({ status: "failure", message: "Invalid email or password" });
+    if (user && !user.is_verified)
+      return res
+        .status(403)
+        .json({ status: "failure", message: "Email not verified" });
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch)
+      return res
+        .status(400)
+        .json({ status: "failure", message: "Invalid email or password" });
+
+    const tokens = await startSession(user.id, clientInfo(req));
+    setCookie(res, tokens);
+    res.status(200).json({
+      status: "success",
+      token: tokens.accessToken,
+      expires_at: tokens.accessTokenExpiresAt,
+    });
+  } catch (err) {
+    console.error(err);
+    res
+      .status(500)
+      .json({ status: "failure", message: "Something went wrong" });
+  }
+});
+/**
+ * @swagger
+ * /api/v1/auth/login-options:
+ *   get:
+ *     summary: Get the available login methods
+ *     description: >
+ *       Public endpoint, no authentication required. Tells the login page whether users can log in with an emailed OTP
+ *       in addition to their password. Admins switch OTP login on and off with `PATCH /api/v1/settings`.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Login methods currently available.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     password:
+ *                       type: boolean
+ *                       example: true
+ *                     otp:
+ *                       type: boolean
+ *                       example: false
+ *       500:
+ *         description: Internal server error while reading the settings.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Something went wrong
+ */
+authRouter.get("/login-options", async (req, res) => {
+  try {
+    const { otp_login_enabled } = await getAppSettings();
+    res.status(200).json({
+      status: "success",
+      data: { password: true, otp: otp_login_enabled },
+    });
+  } catch (err) {
+    console.error(err);
+    res
+      .status(500)
+      .json({ status: "failure", message: "Something went wrong" });
+  }
+});
+/**
+ * @swagger
+ * /api/v1/auth/login/otp/request:
+ *   post:
+ *     summary: Request a login OTP
+ *     description: >
+ *       First step of passwordless login. Emails a one-time code to the given address, if it belongs to a verified account.
+ *       The response is the same whether or not an account exists. A new request replaces any earlier code, except
+ *       within `OTP_RESEND_COOLDOWN_SECONDS` of it or once the account has been sent `OTP_DAILY_SEND_LIMIT` codes in 24 hours,
+ *       when no code is sent.
+ *       Only available while an admin has enabled OTP login.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Request accepted. An OTP was sent if the account exists.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: If an account exists for this email, an OTP has been sent
+ *       400:
+ *         description: Email is missing.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Email is required
+ *       403:
+ *         description: OTP login is disabled.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: OTP login is disabled
+ *       500:
+ *         description: Internal server error while requesting the OTP.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Something went wrong
+ */
+authRouter.post("/login/otp/request", rateLimiter, async (req, res) => {
+  // Validation:: email is required in string format
+  if (!req.body.email) {
+    return res
+      .status(400)
+      .json({ status: "failure", message: "Email is required" });
+  }
+  try {
+    const { otp_login_enabled } = await getAppSettings();
+    if (!otp_login_enabled) return otpLoginDisabled(res);
+
+    const { email } = req.body;
+    const user = await prisma.users.findUnique({ where: { email } });
+
+    if (user && user.is_verified) {
+      // no code while the resend cooldown or daily limit applies; the response does not tell
+      const { otp } = await issueOtp(user.id, "LOGIN");
+      // not awaited, so the response takes as long whether or not the account exists
+      if (otp) sendOtpEmail(email, otp).catch((err) => console.error(err));
+    }
+
+    return res.status(200).json({
+      status: "success",
+      message: "If an account exists for this email, an OTP has been sent",
+    });
+  } catch (err) {
+    console.error(err);
+    res
+      .status(500)
+      .json({ status: "failure", message: "Something went wrong" });
+  }
+});
+/**
+ * @swagger
+ * /api/v1/auth/login/otp/verify:
+ *   post:
+ *     summary: Log in with an OTP
+ *     description: >
+ *       Second step of passwordless login. Exchanges the code sent by `/api/v1/auth/login/otp/request` for the same JWT
+ *       that `/api/v1/auth/login` returns, also set as an HTTP-only cookie. Each code can be used once, and stops working after `OTP_MAX_ATTEMPTS` wrong guesses.
+ *       Only available while an admin has enabled OTP login.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - otp
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *               otp:
+ *                 type: string
+ *                 minLength: 6
+ *                 maxLength: 6
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Login successful. JWT token returned and cookie set.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 token:
+ *                   type: string
+ *                   description: JWT authentication token.
+ *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the access token expires; refresh it with `/api/v1/auth/refresh`.
+ *       400:
+ *         description: Missing fields, or an invalid or expired OTP.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Invalid or expired OTP
+ *       403:
+ *         description: OTP login is disabled.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: OTP login is disabled
+ *       500:
+ *         description: Internal server error during login attempt.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Something went wrong
+ */
+authRouter.post("/login/otp/verify", rateLimiter, async (req, res) => {
+  // Validation:: email and otp are required both in string format
+  if (!req.body.email || !req.body.otp) {
+    return res
+      .status(400)
+      .json({ status: "failure", message: "Email and OTP are required" });
+  }
+  try {
+    const { otp_login_enabled } = await getAppSettings();
+    if (!otp_login_enabled) return otpLoginDisabled(res);
+
+    const { email, otp } = req.body;
+    const user = await prisma.users.findUnique({ where: { email } });
+    // an unknown email fails like a wrong code
+    if (
+      !user ||
+      !user.is_verified ||
+      !(await consumeOtp(user.id, otp, "LOGIN"))
+    )
+      return res
+        .status(400)
+        .json({ status: "failure", message: "Invalid or expired OTP" });
+
+    const tokens = await startSession(user.id, clientInfo(req));
+    setCookie(res, tokens);
+    res.status(200).json({
+      status: "success",
+      token: tokens.accessToken,
+      expires_at: tokens.accessTokenExpiresAt,
+    });
+  } catch (err) {
+    console.error(err);
+    res
+      .status(500)
+      .json({ status: "failure", message: "Something went wrong" });
+  }
+});
+/**
+ * @swagger
+ * /api/v1/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset OTP
+ *     description: >
+ *       Emails a one-time code for resetting the password to the given address, if it belongs to a verified account.
+ *       The response is the same whether or not an account exists, so it cannot be used to find out which emails are registered.
+ *       A new request replaces any earlier code, except within `OTP_RESEND_COOLDOWN_SECONDS` of it or once the account
+ *       has been sent `OTP_DAILY_SEND_LIMIT` codes in 24 hours, when no code is sent.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Request accepted. An OTP was sent if the account exists.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: If an account exists for this email, an OTP has been sent
+ *       400:
+ *         description: Email is missing.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Email is required
+ *       500:
+ *         description: Internal server error while requesting the reset.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Something went wrong
+ */
+authRouter.post("/forgot-password", rateLimiter, async (req, res) => {
+  // Validation:: email is required in string format
+  if (!req.body.email) {
+    return res
+      .status(400)
+      .json({ status: "failure", message: "Email is required" });
+  }
+  try {
+    const { email } = req.body;
+    const user = await prisma.users.findUnique({ where: { email } });
+
+    if (user && user.is_verified) {
+      // no code while the resend cooldown or daily limit applies; the response does not tell
+      const { otp } = await issueOtp(user.id, "FORGOT_PASSWORD");
+      // not awaited, so the response takes as long whether or not the account exists
+      if (otp) sendOtpEmail(email, otp).catch((err) => console.error(err));
+    }
+
+    return res.status(200).json({
+      status: "success",
+      message: "If an account exists for this email, an OTP has been sent",
+    });
+  } catch (err) {
+    console.error(err);
+    res
+      .status(500)
+      .json({ status: "failure", message: "Something went wrong" });
+  }
+});
+/**
+ * @swagger
+ * /api/v1/auth/reset-password:
+ *   post:
+ *     summary: Reset a password with an OTP
+ *     description: >
+ *       Sets a new password using the code sent by `/api/v1/auth/forgot-password`. Each code can be used once, and stops working after `OTP_MAX_ATTEMPTS` wrong guesses.
+ *       Every session started before the reset is signed out, including the caller's, so the user logs in again with the new password.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - otp
+ *               - password
+ *               - confirmPassword
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *               otp:
+ *                 type: string
+ *                 minLength: 6
+ *                 maxLength: 6
+ *                 example: "123456"
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 example: MyNewPassword123
+ *               confirmPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: MyNewPassword123
+ *     responses:
+ *       200:
+ *         description: Password reset. Existing sessions are signed out.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Password reset
+ *       400:
+ *         description: Missing fields, passwords that do not match, or an invalid or expired OTP.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Invalid or expired OTP
+ *       500:
+ *         description: Internal server error while resetting the password.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Something went wrong
+ */
+authRouter.post("/reset-password", rateLimiter, async (req, res) => {
+  const { email, otp, password, confirmPassword } = req.body;
+  // Validation:: email, otp, password and confirmPassword are required
+  if (!email || !otp || !password || !confirmPassword) {
+    return res
+      .status(400)
+      .json({ status: "failure", message: "All fields are required" });
+  }
+  if (password !== confirmPassword) {
+    return res
+      .status(400)
+      .json({ status: "failure", message: "Passwords do not match" });
+  }
+  try {
+    const user = await prisma.users.findUnique({ where: { email } });
+    // an unknown email fails like a wrong code
+    if (
+      !user ||
+      !user.is_verified ||
+      !(await consumeOtp(user.id, otp, "FORGOT_PASSWORD"))
+    )
+      return res
+        .status(400)
+        .json({ status: "failure", message: "Invalid or expired OTP" });
+
+    const hashed = await bcrypt.hash(password, 10);
+    await prisma.users.update({
+      where: { id: user.id },
+      data: { password: hashed, password_changed_at: new Date() },
+    });
+    await revokeUserSessions(user.id);
+
+    logoutUser(res);
+    res.status(200).json({ status: "success", message: "Password reset" });
+  } catch (err) {
+    console.error(err);
+    res
+      .status(500)
+      .json({ status: "failure", message: "Something went wrong" });
+  }
+});
+/**
+ * @swagger
+ * /api/v1/auth/me:
+ *   get:
+ *     summary: Get current authenticated user
+ *     description: >
+ *       Retrieves information about the currently logged-in user based on the JWT token.
+ *       The token can be provided either via an HTTP-only cookie named `token` or as a Bearer token in the `Authorization` header.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: cookie
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: JWT authentication token stored in an HTTP-only cookie.
+ *       - in: header
+ *         name: Authorization
+ *         schema:
+ *           type: string
+ *           example: Bearer eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *         required: false
+ *         description: JWT authentication token in Bearer format (used when cookies are not available).
+ *     responses:
+ *       200:
+ *         description: Authenticated user data retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: User data found
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     email:
+ *                       type: string
+ *                       example: user@example.com
+ *                     role:
+ *                       type: string
+ *                       example: USER
+ *                     is_verified:
+ *                       type: boolean
+ *                       example: true
+ *                     created_at:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2025-08-11T10:20:30Z
+ *       401:
+ *         description: Unauthorized — missing token, invalid token, or unverified user.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Unauthorized
+ *                 data:
+ *                   type: string
+ *                   nullable: true
+ *                   example: null
+ *       500:
+ *         description: Internal server error while fetching user data.
+ *         content:
+ *           application/json:
  *             schema:
  *               type: object
  *               properties:
@@ -493,16 +1479,7 @@ authRouter.post("/login", rateLimiter, async (req, res) => {
  */
 authRouter.get("/me", async (req, res) => {
   try {
-    let token;
-
-    if (req.cookies?.token) {
-      token = req.cookies.token;
-    }
-
-    // Fallback to Authorization header (for client-side fetch)
-    if (!token && req.headers.authorization) {
-      token = req.headers.authorization.split(" ")[1];
-    }
+    const token = readAccessToken(req);
 
     if (!token) {
       logoutUser(res);
@@ -511,19 +1488,16 @@ authRouter.get("/me", async (req, res) => {
         .json({ status: "failure", message: "Unauthorized", data: null });
     }
 
-    const decoded = jwt.verify(token, jwtSecret);
-
-    const user = await prisma.users.findUnique({
-      where: { id: decoded.sub },
-      select: {
-        id: true,
-        email: true,
-        role: true,
-        is_verified: true,
-        created_at: true,
-      },
-    });
+    // null once the session was logged out, revoked or expired
+    const session = await resolveAccessToken(token);
+    if (!session) {
+      logoutUser(res);
+      return res
+        .status(401)
+        .json({ status: "failure", message: "Invalid token", data: null });
+    }
 
+    const { user } = session;
     if (!user || !user.is_verified) {
       logoutUser(res);
 
@@ -534,9 +1508,17 @@ authRouter.get("/me", async (req, res) => {
       });
     }
 
-    return res
-      .status(200)
-      .json({ status: "success", message: "User data found", data: user });
+    return res.status(200).json({
+      status: "success",
+      message: "User data found",
+      data: {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        is_verified: user.is_verified,
+        created_at: user.created_at,
+      },
+    });
   } catch (err) {
     console.error(err);
     logoutUser(res);
@@ -552,9 +1534,11 @@ authRouter.get("/me", async (req, res) => {
  *   post:
  *     summary: Log out the current user
  *     description: >
- *       Logs out the currently authenticated user by clearing the JWT authentication cookie (`token`).
+ *       Logs out the current device: its session is revoked, so neither its access token nor its refresh token
+ *       work any more, and both cookies (`token` and `refresh_token`) are cleared. The session is found from the
+ *       access token (cookie or `Authorization` header, even once expired) or else the refresh token
+ *       (cookie, `x-refresh-token` header or `refreshToken` in the body).
  *       This endpoint works even if no token is provided and will silently succeed.
- *       No request body is required.
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
@@ -601,10 +1585,356 @@ authRouter.get("/me", async (req, res) => {
  */
 authRouter.post("/logout", async (req, res) => {
   try {
+    await endSession({
+      accessToken: readAccessToken(req),
+      refreshToken: readRefreshToken(req),
+    });
     logoutUser(res);
     return res.status(200).json({ status: "success", message: "Logged out" });
-  } catch {
+  } catch (err) {
+    console.error(err);
+    logoutUser(res);
+    return res
+      .status(500)
+      .json({ status: "failure", message: "Something went wrong" });
+  }
+});
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: Refresh the access token
+ *     description: >
+ *       Exchanges a refresh token for a new short-lived access token and a new refresh token on the same session,
+ *       returned the same way as by `/api/v1/auth/login`. The refresh token is read from the `refresh_token` cookie,
+ *       the `x-refresh-token` header or `refreshToken` in the body.
+ *       Each refresh token can be exchanged once. Presenting one that was already exchanged means it was copied,
+ *       so the whole session is revoked and the user has to log in again on that device.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Only needed when the refresh token is not sent as a cookie or header.
+ *     responses:
+ *       200:
+ *         description: >
+ *           New tokens issued. The access token is returned in the body and the `token` cookie, the refresh token
+ *           in the `refresh_token` cookie and the `x-refresh-token` header, and the access token's expiry in the
+ *           `x-token-expiry-time` header.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 token:
+ *                   type: string
+ *                   description: JWT access token.
+ *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the access token expires.
+ *       401:
+ *         description: Missing, invalid or expired refresh token, revoked session, or a reused refresh token.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Refresh token reuse detected, session revoked
+ *       500:
+ *         description: Internal server error while refreshing.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Something went wrong
+ */
+authRouter.post("/refresh", async (req, res) => {
+  try {
+    const refreshToken = readRefreshToken(req);
+    const result = refreshToken ? await refreshSession(refreshToken) : null;
+
+    if (!result || result.reused) {
+      logoutUser(res);
+      return res.status(401).json({
+        status: "failure",
+        message: result?.reused
+          ? "Refresh token reuse detected, session revoked"
+          : "Invalid or expired refresh token",
+      });
+    }
+
+    setCookie(res, result.tokens);
+    res.status(200).json({
+      status: "success",
+      token: result.tokens.accessToken,
+      expires_at: result.tokens.accessTokenExpiresAt,
+    });
+  } catch (err) {
+    console.error(err);
+    res
+      .status(500)
+      .json({ status: "failure", message: "Something went wrong" });
+  }
+});
+/**
+ * @swagger
+ * /api/v1/auth/logout-all:
+ *   post:
+ *     summary: Log out everywhere
+ *     description: >
+ *       Revokes every session of the authenticated user, including the current one, and clears the auth cookies.
+ *       Access and refresh tokens issued to any device stop working immediately.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Logged out of all sessions
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revoked:
+ *                       type: integer
+ *                       example: 3
+ *       401:
+ *         description: Missing token.
+ *       403:
+ *         description: Invalid or expired token.
+ *       500:
+ *         description: Internal server error while logging out.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Something went wrong
+ */
+authRouter.post("/logout-all", authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id);
     logoutUser(res);
+    res.status(200).json({
+      status: "success",
+      message: "Logged out of all sessions",
+      data: { revoked },
+    });
+  } catch (err) {
+    console.error(err);
+    res
+      .status(500)
+      .json({ status: "failure", message: "Something went wrong" });
+  }
+});
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: List my sessions
+ *     description: >
+ *       Returns the devices the authenticated user is logged in on, most recently used first.
+ *       `last_used_at` is updated each time the device refreshes its access token.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 12
+ *                       user_agent:
+ *                         type: string
+ *                         nullable: true
+ *                         example: Mozilla/5.0 (Windows NT 10.0; Win64; x64)
+ *                       ip_address:
+ *                         type: string
+ *                         nullable: true
+ *                         example: 203.0.113.7
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                       last_used_at:
+ *                         type: string
+ *                         format: date-time
+ *                       expires_at:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the session logs out unless it is refreshed.
+ *                       current:
+ *                         type: boolean
+ *                         example: true
+ *                         description: Whether this is the session making the request.
+ *       401:
+ *         description: Missing token.
+ *       403:
+ *         description: Invalid or expired token.
+ *       500:
+ *         description: Internal server error while fetching sessions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Something went wrong
+ */
+authRouter.get("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    res.status(200).json({
+      status: "success",
+      data: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.sessionId,
+      })),
+    });
+  } catch (err) {
+    console.error(err);
+    res
+      .status(500)
+      .json({ status: "failure", message: "Something went wrong" });
+  }
+});
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Log out a device
+ *     description: >
+ *       Revokes one of the authenticated user's sessions, so that device's access and refresh tokens stop working
+ *       immediately. Revoking the current session also clears the auth cookies.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 12
+ *     responses:
+ *       200:
+ *         description: Session revoked.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Session revoked
+ *       400:
+ *         description: Invalid session id.
+ *       401:
+ *         description: Missing token.
+ *       403:
+ *         description: Invalid or expired token.
+ *       404:
+ *         description: No active session with this id belongs to the user.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Session not found
+ *       500:
+ *         description: Internal server error while revoking the session.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Something went wrong
+ */
+authRouter.delete("/sessions/:sessionId", authMiddleware, async (req, res) => {
+  const sessionId = Number(req.params.sessionId);
+  if (!Number.isInteger(sessionId) || sessionId <= 0) {
+    return res
+      .status(400)
+      .json({ status: "failure", message: "Invalid session id" });
+  }
+  try {
+    if (!(await revokeSession(req.user.id, sessionId)))
+      return res
+        .status(404)
+        .json({ status: "failure", message: "Session not found" });
+
+    if (sessionId === req.sessionId) logoutUser(res);
+    res.status(200).json({ status: "success", message: "Session revoked" });
+  } catch (err) {
+    console.error(err);
+    res
+      .status(500)
+      .json({ status: "failure", message: "Something went wrong" });
   }
 });
 
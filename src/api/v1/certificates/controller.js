@@ -0,0 +1,139 @@
+const prisma = require("../../../../prisma/prismaClient");
+const { renderCertificate } = require("../../../helper/certificates");
+const { maskEmail } = require("../../../helper/leaderboard");
+
+const certificateInclude = {
+  quiz: { select: { id: true, name: true } },
+  attempt: {
+    select: {
+      attempt_number: true,
+      score_value_obtained: true,
+      score_total: true,
+      completed_at: true,
+    },
+  },
+};
+
+const certificateNotFound = (res) =>
+  res.status(404).json({
+    status: "failure",
+    message: "Certificate not found",
+    data: null,
+  });
+
+const findCertificate = (code) =>
+  prisma.certificates.findUnique({
+    where: { code: code.toUpperCase() },
+    include: {
+      ...certificateInclude,
+      user: { select: { id: true, email: true } },
+    },
+  });
+
+const getMyCertificates = async (req, res) => {
+  try {
+    const certificates = await prisma.certificates.findMany({
+      where: { user_id: req.user.id },
+      include: certificateInclude,
+      orderBy: { issued_at: "desc" },
+    });
+
+    res.json({
+      status: "success",
+      data: certificates,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to fetch certificates",
+      data: null,
+    });
+  }
+};
+
+const downloadCertificate = async (req, res) => {
+  try {
+    const certificate = await findCertificate(req.params.code);
+    // other learners' certificates are reported as missing rather than forbidden
+    if (
+      !certificate ||
+      (req.user.role !== "ADMIN" && certificate.user_id !== req.user.id)
+    ) {
+      return certificateNotFound(res);
+    }
+    if (certificate.revoked_at) {
+      return res.status(409).json({
+        status: "failure",
+        message: "This certificate was revoked",
+        data: null,
+      });
+    }
+
+    res.attachment(`certificate-${certificate.code}.pdf`);
+    res.type("application/pdf");
+    renderCertificate(certificate, res);
+  } catch (error) {
+    console.error(error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to generate certificate",
+      data: null,
+    });
+  }
+};
+
+const verifyCertificate = async (req, res) => {
+  try {
+    const certificate = await findCertificate(req.params.code);
+    if (!certificate) {
+      return res.status(404).json({
+        status: "failure",
+        message: "No certificate was issued with this code",
+        data: { valid: false },
+      });
+    }
+
+    // issued, but the attempt failed once regraded
+    if (certificate.revoked_at) {
+      return res.json({
+        status: "success",
+        message: "Certificate was revoked",
+        data: {
+          valid: false,
+          code: certificate.code,
+          revoked_at: certificate.revoked_at,
+        },
+      });
+    }
+
+    res.json({
+      status: "success",
+      message: "Certificate is genuine",
+      data: {
+        valid: true,
+        code: certificate.code,
+        issued_at: certificate.issued_at,
+        quiz_name: certificate.quiz.name,
+        // enough to match the certificate without disclosing the full address
+        learner: maskEmail(certificate.user.email),
+        score: certificate.attempt.score_value_obtained,
+        score_total: certificate.attempt.score_total,
+      },
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to verify certificate",
+      data: null,
+    });
+  }
+};
+
+module.exports = {
+  getMyCertificates,
+  downloadCertificate,
+  verifyCertificate,
+};
@@ -0,0 +1,198 @@
+const certificateRouter = require("express").Router();
+const authMiddleware = require("../../../middleware/authMiddleware");
+const {
+  getMyCertificates,
+  downloadCertificate,
+  verifyCertificate,
+} = require("./controller");
+
+// list the certificates earned by the logged-in user
+/**
+ * @swagger
+ * /api/v1/certificates:
+ *   get:
+ *     summary: List my certificates
+ *     description: >
+ *       Returns the certificates issued to the authenticated user, newest first. A certificate is
+ *       issued automatically when an attempt reaches the quiz's `pass_mark`.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Certificates of the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 3
+ *                       code:
+ *                         type: string
+ *                         example: "9F3A-0C2B-77D1-E4A8-1B5C"
+ *                       attempt_id:
+ *                         type: integer
+ *                         example: 42
+ *                       quiz_id:
+ *                         type: integer
+ *                         example: 7
+ *                       issued_at:
+ *                         type: string
+ *                         format: date-time
+ *                       revoked_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: Set when a regrade failed the attempt
+ *                       quiz:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                             example: 7
+ *                           name:
+ *                             type: string
+ *                             example: "Workplace Safety 2026"
+ *                       attempt:
+ *                         type: object
+ *                         properties:
+ *                           attempt_number:
+ *                             type: integer
+ *                             example: 2
+ *                           score_value_obtained:
+ *                             type: number
+ *                             example: 9
+ *                           score_total:
+ *                             type: number
+ *                             example: 10
+ *                           completed_at:
+ *                             type: string
+ *                             format: date-time
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+certificateRouter.get("/", authMiddleware, async (req, res) =>
+  getMyCertificates(req, res)
+);
+
+// download a certificate as a PDF
+/**
+ * @swagger
+ * /api/v1/certificates/{code}/download:
+ *   get:
+ *     summary: Download a certificate as a PDF
+ *     description: >
+ *       Renders the certificate from the built-in template as a landscape A4 PDF, showing the learner,
+ *       the quiz, the score, the issue date and the verification code.
+ *       Learners can download their own certificates; admins can download any certificate.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: code
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "9F3A-0C2B-77D1-E4A8-1B5C"
+ *     responses:
+ *       200:
+ *         description: The certificate
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Certificate not found, or issued to another user
+ *       409:
+ *         description: The certificate was revoked
+ *       500:
+ *         description: Internal server error
+ */
+certificateRouter.get("/:code/download", authMiddleware, async (req, res) =>
+  downloadCertificate(req, res)
+);
+
+// ------ PUBLIC ENDPOINTS ------
+// confirm that a certificate code is genuine
+/**
+ * @swagger
+ * /api/v1/certificates/verify/{code}:
+ *   get:
+ *     summary: Verify a certificate code
+ *     description: >
+ *       Public endpoint, no authentication required. Confirms whether a certificate with this
+ *       verification code was issued, and returns what it certifies. The learner's email is
+ *       masked (`j***@example.com`). Codes are case-insensitive. A certificate revoked because a regrade
+ *       failed its attempt is reported with `valid: false` and its `revoked_at`.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - name: code
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "9F3A-0C2B-77D1-E4A8-1B5C"
+ *     responses:
+ *       200:
+ *         description: The certificate is genuine, or was revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Certificate is genuine
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     valid:
+ *                       type: boolean
+ *                       example: true
+ *                     code:
+ *                       type: string
+ *                       example: "9F3A-0C2B-77D1-E4A8-1B5C"
+ *                     issued_at:
+ *                       type: string
+ *                       format: date-time
+ *                     quiz_name:
+ *                       type: string
+ *                       example: "Workplace Safety 2026"
+ *                     learner:
+ *                       type: string
+ *                       example: "j***@example.com"
+ *                     score:
+ *                       type: number
+ *                       example: 9
+ *                     score_total:
+ *                       type: number
+ *                       example: 10
+ *       404:
+ *         description: No certificate was issued with this code
+ *       500:
+ *         description: Internal server error
+ */
+certificateRouter.get("/verify/:code", async (req, res) =>
+  verifyCertificate(req, res)
+);
+
+module.exports = certificateRouter;
@@ -0,0 +1,166 @@
+const prisma = require("../../../../prisma/prismaClient");
+const { sendInviteEmail } = require("../../../helper/mailer");
+const {
+  inviteStatus,
+  inviteStatusWhere,
+  inviteUrl,
+  createInvite,
+  INVITE_STATUSES,
+} = require("../../../helper/invites");
+const { createInviteSchema, listInvitesQuerySchema } = require("./validator");
+
+// the token is never returned; it only exists in the link
+const toInviteResponse = (invite) => ({
+  id: invite.id,
+  email: invite.email,
+  role: invite.role,
+  status: inviteStatus(invite),
+  invited_by: invite.invited_by,
+  ...(invite.inviter && { inviter: invite.inviter }),
+  created_at: invite.created_at,
+  expires_at: invite.expires_at,
+  accepted_at: invite.accepted_at,
+  accepted_by: invite.accepted_by,
+  revoked_at: invite.revoked_at,
+});
+
+const onlyAdmins = (res, message) =>
+  res.status(403).json({
+    status: "failure",
+    message,
+    data: null,
+  });
+
+const sendInvite = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return onlyAdmins(res, "Only admins can invite users");
+    }
+
+    const { error, value } = createInviteSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(400).json({
+        status: "failure",
+        message: "Validation failed",
+        errors: error.details.map((err) => err.message),
+      });
+    }
+
+    const existing = await prisma.users.findUnique({
+      where: { email: value.email },
+    });
+    if (existing && existing.is_verified) {
+      return res.status(409).json({
+        status: "failure",
+        message: "A user with this email already exists",
+        data: null,
+      });
+    }
+
+    const { invite, token } = await createInvite({
+      email: value.email,
+      role: value.role,
+      invitedBy: req.user.id,
+      expiresInDays: value.expires_in_days,
+    });
+    const url = inviteUrl(token);
+    await sendInviteEmail(value.email, value.role, url, invite.expires_at);
+
+    res.status(201).json({
+      status: "success",
+      message: "Invite sent",
+      data: { ...toInviteResponse(invite), invite_url: url },
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Invite cannot be sent",
+      data: null,
+    });
+  }
+};
+
+const getInvites = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return onlyAdmins(res, "Only admins can view invites");
+    }
+
+    const { error, value } = listInvitesQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: "failure",
+        message: error.details[0].message,
+        data: null,
+      });
+    }
+
+    const invites = await prisma.invites.findMany({
+      where: value.status === "ALL" ? {} : inviteStatusWhere(value.status),
+      orderBy: { created_at: "desc" },
+      include: { inviter: { select: { id: true, email: true } } },
+    });
+
+    res.json({
+      status: "success",
+      data: invites.map(toInviteResponse),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to fetch invites",
+      data: null,
+    });
+  }
+};
+
+const revokeInvite = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return onlyAdmins(res, "Only admins can revoke invites");
+    }
+
+    const inviteId = Number(req.params.inviteId);
+    if (!Number.isInteger(inviteId) || inviteId <= 0) {
+      return res.status(400).json({
+        status: "failure",
+        message: "Invalid invite id",
+        data: null,
+      });
+    }
+
+    const { count } = await prisma.invites.updateMany({
+      where: {
+        id: inviteId,
+        ...inviteStatusWhere(INVITE_STATUSES.PENDING),
+      },
+      data: { revoked_at: new Date() },
+    });
+    if (!count) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Pending invite not found",
+        data: null,
+      });
+    }
+
+    res.json({
+      status: "success",
+      message: "Invite revoked",
+      data: null,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Invite cannot be revoked",
+      data: null,
+    });
+  }
+};
+
+module.exports = { sendInvite, getInvites, revokeInvite };
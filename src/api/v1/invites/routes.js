@@ -0,0 +1,229 @@
+const inviteRouter = require("express").Router();
+const authMiddleware = require("../../../middleware/authMiddleware");
+const { sendInvite, getInvites, revokeInvite } = require("./controller");
+
+// invite someone to register with a preset role
+/**
+ * @swagger
+ * /api/v1/invites:
+ *   post:
+ *     summary: Invite a user
+ *     description: >
+ *       Admin only. Emails a single-use link for registering with the given `role`; this is the only way to
+ *       create admin accounts, as `/api/v1/auth/signup` always creates `USER` accounts. The link is accepted with
+ *       `/api/v1/auth/accept-invite` before it expires (after `expires_in_days`, by default `INVITE_EXPIRY_DAYS`).
+ *       Inviting an email again revokes its earlier pending invites. The link is also returned as `invite_url`,
+ *       in case it has to be shared another way; it cannot be retrieved later.
+ *     tags: [Invites]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: new.admin@example.com
+ *               role:
+ *                 type: string
+ *                 enum: [ADMIN, USER]
+ *                 example: ADMIN
+ *               expires_in_days:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 example: 7
+ *     responses:
+ *       201:
+ *         description: Invite created and emailed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Invite sent
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 4
+ *                     email:
+ *                       type: string
+ *                       example: new.admin@example.com
+ *                     role:
+ *                       type: string
+ *                       enum: [ADMIN, USER]
+ *                     status:
+ *                       type: string
+ *                       enum: [PENDING, ACCEPTED, REVOKED, EXPIRED]
+ *                     invited_by:
+ *                       type: integer
+ *                       example: 1
+ *                     created_at:
+ *                       type: string
+ *                       format: date-time
+ *                     expires_at:
+ *                       type: string
+ *                       format: date-time
+ *                     accepted_at:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     accepted_by:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: The user created by accepting the invite
+ *                     revoked_at:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     invite_url:
+ *                       type: string
+ *                       example: https://quiz.example.com/accept-invite?token=Zk3w...
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Only admins can invite users
+ *       409:
+ *         description: A user with this email already exists
+ *       500:
+ *         description: Internal server error, including failure to send the email
+ */
+inviteRouter.post("/", authMiddleware, async (req, res) =>
+  sendInvite(req, res)
+);
+
+// list invites, pending ones by default
+/**
+ * @swagger
+ * /api/v1/invites:
+ *   get:
+ *     summary: List invites
+ *     description: >
+ *       Admin only. Returns invites newest first, filtered by status: `PENDING` (the default) lists the invites
+ *       that can still be accepted.
+ *     tags: [Invites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, ACCEPTED, REVOKED, EXPIRED, ALL]
+ *           default: PENDING
+ *     responses:
+ *       200:
+ *         description: Invites
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 4
+ *                       email:
+ *                         type: string
+ *                         example: new.admin@example.com
+ *                       role:
+ *                         type: string
+ *                         enum: [ADMIN, USER]
+ *                       status:
+ *                         type: string
+ *                         enum: [PENDING, ACCEPTED, REVOKED, EXPIRED]
+ *                       invited_by:
+ *                         type: integer
+ *                         example: 1
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                       expires_at:
+ *                         type: string
+ *                         format: date-time
+ *                       accepted_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       accepted_by:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: The user created by accepting the invite
+ *                       revoked_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       inviter:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                             example: 1
+ *                           email:
+ *                             type: string
+ *                             example: admin@example.com
+ *       400:
+ *         description: Invalid status
+ *       403:
+ *         description: Only admins can view invites
+ *       500:
+ *         description: Internal server error
+ */
+inviteRouter.get("/", authMiddleware, async (req, res) => getInvites(req, res));
+
+// revoke a pending invite so its link stops working
+/**
+ * @swagger
+ * /api/v1/invites/{inviteId}:
+ *   delete:
+ *     summary: Revoke an invite
+ *     description: Admin only. The invite's link stops working immediately. Only pending invites can be revoked.
+ *     tags: [Invites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: inviteId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 4
+ *     responses:
+ *       200:
+ *         description: Invite revoked
+ *       400:
+ *         description: Invalid invite id
+ *       403:
+ *         description: Only admins can revoke invites
+ *       404:
+ *         description: No pending invite with this id
+ *       500:
+ *         description: Internal server error
+ */
+inviteRouter.delete("/:inviteId", authMiddleware, async (req, res) =>
+  revokeInvite(req, res)
+);
+
+module.exports = inviteRouter;
@@ -0,0 +1,21 @@
+const Joi = require("joi");
+const { ROLES } = require("../../../helper/constants");
+const { INVITE_STATUSES } = require("../../../helper/invites");
+
+const createInviteSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string()
+    .valid(...Object.values(ROLES))
+    .required(),
+  // defaults to INVITE_EXPIRY_DAYS
+  expires_in_days: Joi.number().integer().min(1).max(30),
+});
+
+const listInvitesQuerySchema = Joi.object({
+  status: Joi.string()
+    .uppercase()
+    .valid(...Object.values(INVITE_STATUSES), "ALL")
+    .default(INVITE_STATUSES.PENDING),
+});
+
+module.exports = { createInviteSchema, listInvitesQuerySchema };
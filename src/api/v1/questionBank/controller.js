@@ -0,0 +1,330 @@
+const { bankQuestionSchema, bankQuestionQuerySchema } = require("./validator");
+const prisma = require("../../../../prisma/prismaClient");
+const {
+  toQuestionData,
+  toOptionData,
+  matchesBankRule,
+  syncQuestionOptions,
+} = require("../../../helper/quizQuestions");
+
+const bankQuestionInclude = {
+  options: { orderBy: { id: "asc" } },
+};
+
+const forbidden = (res, action) =>
+  res.status(403).json({
+    status: "failure",
+    message: `Only admins can ${action}`,
+    data: null,
+  });
+
+const validationFailed = (res, error) =>
+  res.status(400).json({
+    status: "failure",
+    message: "Validation failed",
+    errors: error.details.map((err) => err.message),
+  });
+
+const findBankQuestion = (questionId) =>
+  prisma.questions.findFirst({
+    where: { id: questionId, quiz_id: null },
+    include: bankQuestionInclude,
+  });
+
+/**
+ * Lists where a bank question is used: quizzes that link it explicitly,
+ * quizzes whose draw rules can pick it, and past or running attempts that served it.
+ */
+const getQuestionUsage = async (question) => {
+  const [links, rules, attempts] = await Promise.all([
+    prisma.quiz_bank_questions.findMany({
+      where: { question_id: question.id },
+      select: { quiz: { select: { id: true, name: true, status: true } } },
+    }),
+    prisma.quiz_bank_rules.findMany({
+      include: { quiz: { select: { id: true, name: true, status: true } } },
+    }),
+    prisma.quiz_scores.findMany({
+      where: { layout: { array_contains: [{ question_id: question.id }] } },
+      select: { quiz_id: true, status: true },
+    }),
+  ]);
+
+  const ruleQuizzes = new Map();
+  for (const rule of rules) {
+    if (matchesBankRule(rule, question)) {
+      ruleQuizzes.set(rule.quiz.id, rule.quiz);
+    }
+  }
+
+  const attemptsByQuiz = {};
+  for (const attempt of attempts) {
+    attemptsByQuiz[attempt.quiz_id] ??= {
+      quiz_id: attempt.quiz_id,
+      total: 0,
+      in_progress: 0,
+    };
+    attemptsByQuiz[attempt.quiz_id].total++;
+    if (attempt.status === "IN_PROGRESS") {
+      attemptsByQuiz[attempt.quiz_id].in_progress++;
+    }
+  }
+
+  return {
+    linked_quizzes: links.map((link) => link.quiz),
+    rule_quizzes: [...ruleQuizzes.values()],
+    attempts: {
+      total: attempts.length,
+      by_quiz: Object.values(attemptsByQuiz),
+    },
+  };
+};
+
+const createBankQuestion = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return forbidden(res, "manage the question bank");
+    }
+
+    const { error, value } = bankQuestionSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) return validationFailed(res, error);
+
+    const question = await prisma.questions.create({
+      data: {
+        ...toQuestionData(value),
+        tags: value.tags,
+        difficulty: value.difficulty,
+        creator_id: req.user.id,
+        options: { create: value.options.map(toOptionData) },
+      },
+      include: bankQuestionInclude,
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Question added to the bank",
+      data: question,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Question cannot be created",
+      data: null,
+    });
+  }
+};
+
+const getBankQuestions = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return forbidden(res, "view the question bank");
+    }
+
+    const { error, value } = bankQuestionQuerySchema.validate(req.query);
+    if (error) return validationFailed(res, error);
+
+    const { tags, difficulty, search, page, limit } = value;
+    const tagList = (tags || "")
+      .split(",")
+      .map((tag) => tag.trim().toLowerCase())
+      .filter(Boolean);
+
+    const where = {
+      quiz_id: null,
+      ...(tagList.length && { tags: { hasEvery: tagList } }),
+      ...(difficulty && { difficulty }),
+      ...(search && {
+        question_text: { contains: search, mode: "insensitive" },
+      }),
+    };
+
+    const [questions, total] = await Promise.all([
+      prisma.questions.findMany({
+        where,
+        include: bankQuestionInclude,
+        orderBy: { id: "desc" },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.questions.count({ where }),
+    ]);
+
+    res.json({
+      status: "success",
+      data: questions,
+      pagination: { page, limit, total },
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to fetch questions",
+    });
+  }
+};
+
+const getBankQuestionById = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return forbidden(res, "view the question bank");
+    }
+
+    const question = await findBankQuestion(Number(req.params.questionId));
+    if (!question) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Question not found in the bank",
+        data: null,
+      });
+    }
+
+    res.json({
+      status: "success",
+      data: { ...question, usage: await getQuestionUsage(question) },
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to fetch question",
+    });
+  }
+};
+
+const updateBankQuestion = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return forbidden(res, "manage the question bank");
+    }
+
+    const questionId = Number(req.params.questionId);
+    const existing = await findBankQuestion(questionId);
+    if (!existing) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Question not found in the bank",
+        data: null,
+      });
+    }
+
+    const { error, value } = bankQuestionSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) return validationFailed(res, error);
+
+    const question = await prisma.$transaction(async (tx) => {
+      await tx.questions.update({
+        where: { id: questionId },
+        data: {
+          ...toQuestionData(value),
+          tags: value.tags,
+          difficulty: value.difficulty,
+          updated_at: new Date(),
+        },
+      });
+      await syncQuestionOptions(tx, questionId, value.options);
+      return tx.questions.findUnique({
+        where: { id: questionId },
+        include: bankQuestionInclude,
+      });
+    });
+
+    // tell the author which quizzes pick up the change and which attempts already saw the old version
+    const usage = await getQuestionUsage(question);
+
+    res.json({
+      status: "success",
+      message: "Question updated",
+      data: { ...question, usage },
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Question cannot be updated",
+      data: null,
+    });
+  }
+};
+
+const deleteBankQuestion = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return forbidden(res, "manage the question bank");
+    }
+
+    const question = await findBankQuestion(Number(req.params.questionId));
+    if (!question) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Question not found in the bank",
+        data: null,
+      });
+    }
+
+    // questions that quizzes reference or attempts have served are kept for their results
+    const usage = await getQuestionUsage(question);
+    if (usage.linked_quizzes.length || usage.attempts.total) {
+      return res.status(409).json({
+        status: "failure",
+        message: "Question is in use and cannot be deleted",
+        data: usage,
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.options.deleteMany({ where: { question_id: question.id } }),
+      prisma.questions.delete({ where: { id: question.id } }),
+    ]);
+
+    res.json({
+      status: "success",
+      message: "Question deleted",
+      data: null,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Question cannot be deleted",
+      data: null,
+    });
+  }
+};
+
+const getBankQuestionUsage = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return forbidden(res, "view the question bank");
+    }
+
+    const question = await findBankQuestion(Number(req.params.questionId));
+    if (!question) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Question not found in the bank",
+        data: null,
+      });
+    }
+
+    res.json({ status: "success", data: await getQuestionUsage(question) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to fetch question usage",
+    });
+  }
+};
+
+module.exports = {
+  createBankQuestion,
+  getBankQuestions,
+  getBankQuestionById,
+  updateBankQuestion,
+  deleteBankQuestion,
+  getBankQuestionUsage,
+};
@@ -0,0 +1,324 @@
+const questionBankRouter = require("express").Router();
+const authMiddleware = require("../../../middleware/authMiddleware");
+const {
+  createBankQuestion,
+  getBankQuestions,
+  getBankQuestionById,
+  updateBankQuestion,
+  deleteBankQuestion,
+  getBankQuestionUsage,
+} = require("./controller");
+
+// ------ ADMIN ONLY ENDPOINTS ------
+// add a question to the bank
+/**
+ * @swagger
+ * /api/v1/question-bank:
+ *   post:
+ *     summary: Add a question to the question bank (Admin only)
+ *     description: >
+ *       Creates a standalone question that quizzes can reference, either explicitly through
+ *       `bank_question_ids` or through `bank_rules` that draw random questions by tag and difficulty.
+ *       Accepts the same question fields as `POST /api/v1/quiz`, plus:
+ *       - `tags`: array of strings, stored lower-cased, optional
+ *       - `difficulty`: `EASY`, `MEDIUM` or `HARD`, optional
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - question_text
+ *             properties:
+ *               question_text:
+ *                 type: string
+ *                 minLength: 5
+ *                 example: "Which layer of the OSI model handles routing?"
+ *               question_type:
+ *                 type: string
+ *                 enum: [SINGLE_CHOICE, MULTIPLE_CHOICE, TRUE_FALSE, SHORT_ANSWER, NUMERIC, ESSAY]
+ *                 default: SINGLE_CHOICE
+ *               points:
+ *                 type: number
+ *                 default: 1
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["networking"]
+ *               difficulty:
+ *                 type: string
+ *                 enum: [EASY, MEDIUM, HARD]
+ *                 example: MEDIUM
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     value:
+ *                       type: string
+ *                       example: "Network"
+ *                     is_correct:
+ *                       type: boolean
+ *                       example: true
+ *     responses:
+ *       201:
+ *         description: Question added to the bank
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Forbidden — only admins can manage the question bank
+ *       500:
+ *         description: Internal server error
+ */
+questionBankRouter.post("/", authMiddleware, async (req, res) =>
+  createBankQuestion(req, res)
+);
+// list bank questions
+/**
+ * @swagger
+ * /api/v1/question-bank:
+ *   get:
+ *     summary: List question bank entries (Admin only)
+ *     description: Returns bank questions with their options, newest first, filtered and paginated.
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *           example: "networking,osi"
+ *         description: Comma separated tags, questions must have all of them
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           enum: [EASY, MEDIUM, HARD]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on the question text
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Bank questions fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *       400:
+ *         description: Invalid filters
+ *       403:
+ *         description: Forbidden — only admins can view the question bank
+ *       500:
+ *         description: Internal server error
+ */
+questionBankRouter.get("/", authMiddleware, async (req, res) =>
+  getBankQuestions(req, res)
+);
+// where a bank question is used
+/**
+ * @swagger
+ * /api/v1/question-bank/{questionId}/usage:
+ *   get:
+ *     summary: Show which quizzes and attempts use a bank question (Admin only)
+ *     description: >
+ *       Lists the quizzes that link the question explicitly (`linked_quizzes`), the quizzes whose
+ *       draw rules can pick it (`rule_quizzes`), and how many attempts per quiz were served it.
+ *       Use this before editing a question to see who is affected.
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Usage fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     linked_quizzes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     rule_quizzes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     attempts:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         by_quiz:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               quiz_id:
+ *                                 type: integer
+ *                               total:
+ *                                 type: integer
+ *                               in_progress:
+ *                                 type: integer
+ *       403:
+ *         description: Forbidden — only admins can view the question bank
+ *       404:
+ *         description: Question not found in the bank
+ *       500:
+ *         description: Internal server error
+ */
+questionBankRouter.get("/:questionId/usage", authMiddleware, async (req, res) =>
+  getBankQuestionUsage(req, res)
+);
+// get a bank question
+/**
+ * @swagger
+ * /api/v1/question-bank/{questionId}:
+ *   get:
+ *     summary: Get a bank question with its options and usage (Admin only)
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Question fetched
+ *       403:
+ *         description: Forbidden — only admins can view the question bank
+ *       404:
+ *         description: Question not found in the bank
+ *       500:
+ *         description: Internal server error
+ */
+questionBankRouter.get("/:questionId", authMiddleware, async (req, res) =>
+  getBankQuestionById(req, res)
+);
+// update a bank question
+/**
+ * @swagger
+ * /api/v1/question-bank/{questionId}:
+ *   put:
+ *     summary: Replace a bank question (Admin only)
+ *     description: >
+ *       Replaces the question with the body (same fields as when adding it).
+ *       Options sent with an `id` are updated in place, options without one are added, and
+ *       options left out are removed. The response carries the question's `usage`, showing which
+ *       quizzes pick up the change the next time they are published and which past attempts were
+ *       served the previous version (they keep being graded against it).
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Question updated
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Forbidden — only admins can manage the question bank
+ *       404:
+ *         description: Question not found in the bank
+ *       500:
+ *         description: Internal server error
+ */
+questionBankRouter.put("/:questionId", authMiddleware, async (req, res) =>
+  updateBankQuestion(req, res)
+);
+// delete a bank question
+/**
+ * @swagger
+ * /api/v1/question-bank/{questionId}:
+ *   delete:
+ *     summary: Delete an unused bank question (Admin only)
+ *     description: >
+ *       Deletes the question and its options. Questions linked by a quiz or already served
+ *       in an attempt cannot be deleted; the `409` response lists where they are used.
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Question deleted
+ *       403:
+ *         description: Forbidden — only admins can manage the question bank
+ *       404:
+ *         description: Question not found in the bank
+ *       409:
+ *         description: Question is in use and cannot be deleted
+ *       500:
+ *         description: Internal server error
+ */
+questionBankRouter.delete("/:questionId", authMiddleware, async (req, res) =>
+  deleteBankQuestion(req, res)
+);
+
+module.exports = questionBankRouter;
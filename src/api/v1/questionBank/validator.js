@@ -0,0 +1,22 @@
+const Joi = require("joi");
+const { questionSchema } = require("../quiz/validator");
+const { DIFFICULTIES } = require("../../../helper/constants");
+
+const bankQuestionSchema = questionSchema.keys({
+  tags: Joi.array().items(Joi.string().trim().lowercase()).unique().default([]),
+  difficulty: Joi.string()
+    .valid(...Object.values(DIFFICULTIES))
+    .allow(null)
+    .default(null),
+});
+
+const bankQuestionQuerySchema = Joi.object({
+  // comma separated, questions must have all of them
+  tags: Joi.string().allow(""),
+  difficulty: Joi.string().valid(...Object.values(DIFFICULTIES)),
+  search: Joi.string().allow(""),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+module.exports = { bankQuestionSchema, bankQuestionQuerySchema };
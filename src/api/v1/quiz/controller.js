@@ -1,5 +1,190 @@
-const { createQuizSchema } = require("./validator");
+const {
+  createQuizSchema,
+  updateQuizSchema,
+  submitQuizSchema,
+  saveAnswersSchema,
+  extraAttemptsSchema,
+  cloneQuizSchema,
+  versionDiffQuerySchema,
+  leaderboardQuerySchema,
+  resultsExportQuerySchema,
+  gradingQueueQuerySchema,
+  gradeResponseSchema,
+  regradeSchema,
+} = require("./validator");
 const prisma = require("../../../../prisma/prismaClient");
+const {
+  attemptQuizSelect,
+  isRandomized,
+  applyAttemptLayout,
+  toAttemptSummary,
+  isPastDeadline,
+  getAttemptAllowance,
+  loadAttemptAllowance,
+  describeBlockedAttempt,
+  findActiveAttempt,
+  startAttempt,
+  loadAttemptQuestions,
+  loadSavedAnswers,
+  saveAttemptAnswers,
+  completeAttempt,
+  gradeResponse,
+  timeOutAttempt,
+  isReviewOpen,
+  buildAttemptReview,
+} = require("../../../helper/attempts");
+const {
+  toQuestionData,
+  toOptionData,
+  withBankQuestions,
+  findInvalidBankQuestionIds,
+  syncQuestionOptions,
+  quizQuestionsWhere,
+} = require("../../../helper/quizQuestions");
+const {
+  buildQuizSnapshot,
+  toLearnerQuestion,
+  diffSnapshots,
+  publishQuizVersion,
+  loadPublishedVersion,
+  restoreQuizSnapshot,
+} = require("../../../helper/quizVersions");
+const { transitionQuizStatus } = require("../../../helper/quizStatus");
+const { buildQuizAnalytics } = require("../../../helper/quizAnalytics");
+const { maskEmail, rankLearners } = require("../../../helper/leaderboard");
+const {
+  RESULT_EXPORT_FORMATS,
+  exportResults,
+  exportGrades,
+} = require("../../../helper/resultsExport");
+const { gradeAttempts } = require("../../../helper/grading");
+const {
+  planRegrade,
+  applyRegrade,
+  summarizeRegrade,
+  loadRegradedKeys,
+  withRegradedKeys,
+} = require("../../../helper/regrade");
+const { isPassingGrade } = require("../../../helper/certificates");
+const { QUIZ_SETTINGS, QUESTION_TYPES } = require("../../../helper/constants");
+const { QUIZ_FORMATS, toPortableQuiz } = require("../../../helper/quizFormats");
+
+/**
+ * Stores a quiz payload validated by `createQuizSchema` as a new DRAFT quiz
+ * and sends the response. Shared by quiz creation and import.
+ */
+const saveNewQuiz = async (res, value, creatorId, message) => {
+  const {
+    name,
+    questions,
+    bank_question_ids,
+    bank_rules,
+    assigned_user_ids,
+    scoring_policy,
+    wrong_answer_penalty,
+    time_limit_minutes,
+    max_attempts,
+    cooldown_minutes,
+    shuffle_questions,
+    shuffle_options,
+    questions_per_attempt,
+    review_policy,
+    leaderboard_enabled,
+    leaderboard_show_names,
+    pass_mark,
+    pass_mark_type,
+    grading_policy,
+  } = value;
+
+  // Validate assigned users exist & are USER role
+  const users = await prisma.users.findMany({
+    where: {
+      id: { in: assigned_user_ids },
+      role: "USER",
+    },
+    select: { id: true },
+  });
+
+  const validAssignedUserIds = users.map((u) => u.id);
+  if (validAssignedUserIds.length !== assigned_user_ids.length) {
+    return res.status(400).json({
+      status: "failure",
+      message: "Some assigned users do not exist or are not USER role",
+      data: null,
+    });
+  }
+
+  // Referenced bank questions must exist in the question bank
+  const invalidBankIds = await findInvalidBankQuestionIds(bank_question_ids);
+  if (invalidBankIds.length) {
+    return res.status(400).json({
+      status: "failure",
+      message: `Question bank entries not found: ${invalidBankIds.join(", ")}`,
+      data: null,
+    });
+  }
+
+  // Check for duplicate quiz name
+  const existingQuiz = await prisma.quizzes.findUnique({ where: { name } });
+  if (existingQuiz) {
+    return res.status(400).json({
+      status: "failure",
+      message: `Quiz with name "${name}" already exists`,
+      data: null,
+    });
+  }
+
+  // Create quiz in DB
+  const quiz = await prisma.quizzes.create({
+    data: {
+      name,
+      creator_id: creatorId,
+      expires_at: null,
+      status: "DRAFT",
+      scoring_policy,
+      wrong_answer_penalty,
+      time_limit_minutes,
+      max_attempts,
+      cooldown_minutes,
+      shuffle_questions,
+      shuffle_options,
+      questions_per_attempt,
+      review_policy,
+      leaderboard_enabled,
+      leaderboard_show_names,
+      pass_mark,
+      pass_mark_type,
+      grading_policy,
+      questions: {
+        create: questions.map((q) => ({
+          ...toQuestionData(q),
+          options: { create: q.options.map(toOptionData) },
+        })),
+      },
+      bankQuestions: {
+        create: bank_question_ids.map((questionId) => ({
+          question_id: questionId,
+        })),
+      },
+      bankRules: { create: bank_rules },
+      assignments: {
+        create: validAssignedUserIds.map((userId) => ({ user_id: userId })),
+      },
+    },
+    include: {
+      questions: { include: { options: true } },
+      bankQuestions: { select: { question_id: true } },
+      bankRules: true,
+      assignments: { include: { user: true } },
+    },
+  });
+
+  res.status(201).json({
+    status: "success",
+    message,
+    data: quiz,
+  });
+};
 
 const createQuiz = async (req, res) => {
   try {
@@ -25,69 +210,7 @@ const createQuiz = async (req, res) => {
       });
     }
 
-    const { name, questions, assigned_user_ids } = value;
-
-    // Validate assigned users exist & are USER role
-    const users = await prisma.users.findMany({
-      where: {
-        id: { in: assigned_user_ids },
-        role: "USER",
-      },
-      select: { id: true },
-    });
-
-    const validAssignedUserIds = users.map((u) => u.id);
-    if (validAssignedUserIds.length !== assigned_user_ids.length) {
-      return res.status(400).json({
-        status: "failure",
-        message: "Some assigned users do not exist or are not USER role",
-        data: null,
-      });
-    }
-
-    // Check for duplicate quiz name
-    const existingQuiz = await prisma.quizzes.findUnique({ where: { name } });
-    if (existingQuiz) {
-      return res.status(400).json({
-        status: "failure",
-        message: `Quiz with name "${name}" already exists`,
-        data: null,
-      });
-    }
-
-    // Create quiz in DB
-    const quiz = await prisma.quizzes.create({
-      data: {
-        name,
-        creator_id: req.user.id,
-        expires_at: null,
-        status: "DRAFT",
-        questions: {
-          create: questions.map((q) => ({
-            question_text: q.question_text,
-            options: {
-              create: q.options.map((opt) => ({
-                value: opt.value,
-                is_correct: opt.is_correct || false,
-              })),
-            },
-          })),
-        },
-        assignments: {
-          create: validAssignedUserIds.map((userId) => ({ user_id: userId })),
-        },
-      },
-      include: {
-        questions: { include: { options: true } },
-        assignments: { include: { user: true } },
-      },
-    });
-
-    res.status(201).json({
-      status: "success",
-      message: "Quiz created",
-      data: quiz,
-    });
+    await saveNewQuiz(res, value, req.user.id, "Quiz created");
   } catch (error) {
     console.error(error);
     res.status(500).json({
@@ -102,38 +225,159 @@ const updateQuiz = async (req, res) => {
   {
     const { quizId } = req.params;
 
-    const { name, status, expires_at, questions, assigned_user_ids } = req.body;
-
     try {
       if (req.user.role !== "ADMIN") {
         return res
           .status(403)
           .json({ error: "Only admins can update quizzes" });
       }
+
+      const { error, value } = updateQuizSchema.validate(req.body, {
+        abortEarly: false,
+      });
+      if (error) {
+        return res.status(400).json({
+          status: "failure",
+          message: "Validation failed",
+          errors: error.details.map((err) => err.message),
+        });
+      }
+
+      const {
+        name,
+        starts_at,
+        expires_at,
+        questions,
+        bank_question_ids,
+        bank_rules,
+        assigned_user_ids,
+        scoring_policy,
+        wrong_answer_penalty,
+        time_limit_minutes,
+        max_attempts,
+        cooldown_minutes,
+        shuffle_questions,
+        shuffle_options,
+        questions_per_attempt,
+        review_policy,
+        leaderboard_enabled,
+        leaderboard_show_names,
+        pass_mark,
+        pass_mark_type,
+        grading_policy,
+      } = value;
       const quizIdNum = Number(quizId);
 
+      const current = await prisma.quizzes.findUnique({
+        where: { id: quizIdNum },
+        select: {
+          pass_mark: true,
+          pass_mark_type: true,
+          starts_at: true,
+          expires_at: true,
+        },
+      });
+      if (!current) {
+        return res.status(404).json({ error: "Quiz not found" });
+      }
+
+      // a percentage pass mark cannot exceed 100, whichever of the two is changed
+      const effectivePassMark =
+        pass_mark === undefined ? current.pass_mark : pass_mark;
+      if (
+        (pass_mark_type || current.pass_mark_type) === "PERCENT" &&
+        effectivePassMark > 100
+      ) {
+        return res.status(400).json({
+          status: "failure",
+          message: "Validation failed",
+          errors: [`"pass_mark" is a percentage and cannot exceed 100`],
+        });
+      }
+      const startsAt = starts_at || current.starts_at;
+      const expiresAt = expires_at || current.expires_at;
+      if (startsAt && expiresAt && startsAt >= expiresAt) {
+        return res.status(400).json({
+          status: "failure",
+          message: "Validation failed",
+          errors: [`"starts_at" must be before "expires_at"`],
+        });
+      }
+
+      // only the quiz's own questions can be edited here; bank questions are shared with other quizzes
+      const editedIds = (questions || []).filter((q) => q.id).map((q) => q.id);
+      if (editedIds.length) {
+        const owned = await prisma.questions.findMany({
+          where: { id: { in: editedIds }, quiz_id: quizIdNum },
+          select: { id: true },
+        });
+        const foreignIds = editedIds.filter(
+          (id) => !owned.some((q) => q.id === id)
+        );
+        if (foreignIds.length) {
+          return res.status(400).json({
+            error: `Questions not part of this quiz: ${foreignIds.join(", ")}`,
+          });
+        }
+      }
+
+      if (Array.isArray(bank_question_ids)) {
+        const invalidBankIds =
+          await findInvalidBankQuestionIds(bank_question_ids);
+        if (invalidBankIds.length) {
+          return res.status(400).json({
+            error: `Question bank entries not found: ${invalidBankIds.join(", ")}`,
+          });
+        }
+      }
+
       // Run everything in a single transaction
       const result = await prisma.$transaction(async (tx) => {
         const updatedQuiz = await tx.quizzes.update({
           where: { id: quizIdNum },
           data: {
             name: name || undefined,
-            status: status || undefined,
-            expires_at: expires_at ? new Date(expires_at) : undefined,
+            starts_at,
+            expires_at,
+            scoring_policy: scoring_policy || undefined,
+            wrong_answer_penalty,
+            time_limit_minutes,
+            max_attempts,
+            cooldown_minutes,
+            shuffle_questions,
+            shuffle_options,
+            questions_per_attempt,
+            review_policy: review_policy || undefined,
+            leaderboard_enabled,
+            leaderboard_show_names,
+            pass_mark,
+            pass_mark_type: pass_mark_type || undefined,
+            grading_policy: grading_policy || undefined,
             updated_at: new Date(),
           },
         });
         // validation: check here that admins are not assigning quizzes to other admins
         if (Array.isArray(assigned_user_ids)) {
-          // Remove old assignments
+          // Remove assignments that are no longer listed
           await tx.quiz_assignments.deleteMany({
-            where: { quiz_id: quizIdNum },
+            where: {
+              quiz_id: quizIdNum,
+              user_id: { notIn: assigned_user_ids },
+            },
           });
 
-          // Add new assignments
-          if (assigned_user_ids.length > 0) {
+          // Add new assignments, keeping existing ones (and their extra attempts) intact
+          const existing = await tx.quiz_assignments.findMany({
+            where: { quiz_id: quizIdNum },
+            select: { user_id: true },
+          });
+          const existingUserIds = existing.map((a) => a.user_id);
+          const newUserIds = assigned_user_ids.filter(
+            (userId) => !existingUserIds.includes(userId)
+          );
+          if (newUserIds.length > 0) {
             await tx.quiz_assignments.createMany({
-              data: assigned_user_ids.map((userId) => ({
+              data: newUserIds.map((userId) => ({
                 quiz_id: quizIdNum,
                 user_id: userId,
               })),
@@ -147,41 +391,57 @@ const updateQuiz = async (req, res) => {
               // Update existing question
               await tx.questions.update({
                 where: { id: q.id },
-                data: { question_text: q.question_text || undefined },
+                data: toQuestionData(q),
               });
 
-              if (Array.isArray(q.options)) {
-                // Remove old options
-                await tx.options.deleteMany({ where: { question_id: q.id } });
-
-                // Add new options
-                await tx.options.createMany({
-                  data: q.options.map((opt) => ({
-                    question_id: q.id,
-                    value: opt.value,
-                    is_correct: opt.is_correct || false,
-                  })),
-                });
-              }
+              // Keep option ids stable so versions can be diffed option by option
+              await syncQuestionOptions(tx, q.id, q.options);
             } else {
               // Create new question with options
               await tx.questions.create({
                 data: {
+                  ...toQuestionData(q),
                   quiz_id: quizIdNum,
-                  question_text: q.question_text,
-                  options: {
-                    create:
-                      q.options?.map((opt) => ({
-                        value: opt.value,
-                        is_correct: opt.is_correct || false,
-                      })) || [],
-                  },
+                  options: { create: q.options.map(toOptionData) },
                 },
               });
             }
           }
         }
 
+        if (Array.isArray(bank_question_ids)) {
+          // Replace the linked bank questions
+          await tx.quiz_bank_questions.deleteMany({
+            where: {
+              quiz_id: quizIdNum,
+              question_id: { notIn: bank_question_ids },
+            },
+          });
+          await tx.quiz_bank_questions.createMany({
+            data: bank_question_ids.map((questionId) => ({
+              quiz_id: quizIdNum,
+              question_id: questionId,
+            })),
+            skipDuplicates: true,
+          });
+        }
+
+        if (Array.isArray(bank_rules)) {
+          // Replace the random-draw rules
+          await tx.quiz_bank_rules.deleteMany({
+            where: { quiz_id: quizIdNum },
+          });
+          await tx.quiz_bank_rules.createMany({
+            data: bank_rules.map((rule) => ({
+              quiz_id: quizIdNum,
+              tags: rule.tags || [],
+              difficulty: rule.difficulty || null,
+              count: rule.count,
+            })),
+          });
+        }
+
+        // edits only reach learners once the quiz is made live again
         return updatedQuiz;
       });
 
@@ -209,12 +469,21 @@ const deleteQuiz = async (req, res) => {
       });
     }
 
-    const quiz = await prisma.quizzes.update({
-      where: { id: Number(quizId) },
-      data: {
-        status: "DELETED",
-        updated_at: new Date(),
-      },
+    const quiz = await prisma.$transaction(async (tx) => {
+      const previous = await tx.quizzes.findUniqueOrThrow({
+        where: { id: Number(quizId) },
+        select: { status: true },
+      });
+      await transitionQuizStatus(
+        tx,
+        Number(quizId),
+        previous.status,
+        "DELETED",
+        {
+          changedBy: req.user.id,
+        }
+      );
+      return tx.quizzes.findUnique({ where: { id: Number(quizId) } });
     });
 
     res.json({
@@ -235,7 +504,8 @@ const deleteQuiz = async (req, res) => {
 const makeQuizLive = async (req, res) => {
   try {
     const { quizId } = req.params;
-    const { expires_at, status } = req.body; // 2025-08-15T10:00:00.000Z ISO 8601 UTC timestamp.
+    const { expires_at, starts_at, status } = req.body; // 2025-08-15T10:00:00.000Z ISO 8601 UTC timestamp.
+    const now = new Date();
 
     if (!expires_at || isNaN(new Date(expires_at).getTime())) {
       return res.status(400).json({
@@ -244,12 +514,30 @@ const makeQuizLive = async (req, res) => {
         status: "failure",
       });
     }
-    if (!status)
+    if (!["LIVE", "DRAFT"].includes(status))
       return res.status(400).json({
         message: "Status is required LIVE | DRAFT",
         data: null,
         status: "failure",
       });
+    if (status === "LIVE" && new Date(expires_at) <= now) {
+      return res.status(400).json({
+        message: "Expiration date must be in the future",
+        data: null,
+        status: "failure",
+      });
+    }
+    const startsAt = starts_at ? new Date(starts_at) : null;
+    if (
+      startsAt &&
+      (isNaN(startsAt.getTime()) || startsAt >= new Date(expires_at))
+    ) {
+      return res.status(400).json({
+        message: "Start date must be a valid date before the expiration date",
+        data: null,
+        status: "failure",
+      });
+    }
     if (req.user.role !== "ADMIN") {
       return res.status(403).json({
         message: "Only admins can make the quiz live",
@@ -258,13 +546,37 @@ const makeQuizLive = async (req, res) => {
       });
     }
 
-    const quiz = await prisma.quizzes.update({
-      where: { id: Number(quizId) },
-      data: {
-        status: status,
-        updated_at: new Date(),
-        expires_at: status === "LIVE" ? new Date(expires_at) : null, // if status is LIVE then only set expiration date
-      },
+    // a future start date schedules the quiz; the scheduler makes it LIVE then
+    const nextStatus =
+      status === "LIVE" && startsAt && startsAt > now ? "SCHEDULED" : status;
+
+    const quiz = await prisma.$transaction(async (tx) => {
+      const previous = await tx.quizzes.findUniqueOrThrow({
+        where: { id: Number(quizId) },
+        select: { status: true },
+      });
+      await transitionQuizStatus(
+        tx,
+        Number(quizId),
+        previous.status,
+        nextStatus,
+        {
+          changedBy: req.user.id,
+          now,
+          data: {
+            starts_at: status === "LIVE" ? startsAt : null,
+            expires_at: status === "LIVE" ? new Date(expires_at) : null, // if status is LIVE then only set expiration date
+          },
+        }
+      );
+      const updated = await tx.quizzes.findUnique({
+        where: { id: Number(quizId) },
+      });
+      if (nextStatus !== "LIVE") return updated;
+
+      // going live freezes the current questions and answer key as a new version
+      const version = await publishQuizVersion(tx, updated.id, req.user.id);
+      return { ...updated, published_version_id: version.id, version };
     });
 
     res.json({
@@ -282,126 +594,1211 @@ const makeQuizLive = async (req, res) => {
   }
 };
 
-const getAllQuizzes = async (req, res) => {
+const updateExtraAttempts = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const now = new Date();
+    const quizId = Number(req.params.quizId);
+    const userId = Number(req.params.userId);
 
-    const quizzes = await prisma.quizzes.findMany({
-      where: {
-        assignments: {
-          some: { user_id: userId },
-        },
-        status: { in: ["LIVE"] },
-        OR: [
-          { expires_at: null }, // no expiry
-          { expires_at: { gt: now } }, // still active
-        ],
-      },
-      select: {
-        id: true,
-        name: true,
-        expires_at: true,
-        status: true,
-        questions: {
-          select: {
-            id: true,
-            question_text: true,
-            options: {
-              select: { id: true, value: true },
-            },
-          },
-        },
-      },
+    if (req.user.role !== "ADMIN") {
+      return res.status(403).json({
+        message: "Only admins can grant extra attempts",
+        data: null,
+        status: "failure",
+      });
+    }
+
+    const { error, value } = extraAttemptsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: error.details[0].message,
+        data: null,
+        status: "failure",
+      });
+    }
+
+    const { count } = await prisma.quiz_assignments.updateMany({
+      where: { quiz_id: quizId, user_id: userId },
+      data: { extra_attempts: value.extra_attempts },
+    });
+
+    if (!count) {
+      return res.status(404).json({
+        message: "User is not assigned to this quiz",
+        data: null,
+        status: "failure",
+      });
+    }
+
+    const quiz = await prisma.quizzes.findUnique({
+      where: { id: quizId },
+      select: attemptQuizSelect,
     });
+    const allowance = await loadAttemptAllowance(quiz, userId);
 
-    res.json({ status: "success", data: quizzes });
+    res.json({
+      message: "Extra attempts updated",
+      data: { quiz_id: quizId, user_id: userId, ...allowance },
+      status: "success",
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({
+      message: "Failed to update extra attempts",
+      data: null,
       status: "failure",
-      message: "Failed to fetch quizzes",
     });
   }
 };
 
-const getQuizResults = async (req, res) => {
+const getQuizStatusHistory = async (req, res) => {
   try {
-    const userId = req.user.id;
+    if (req.user.role !== "ADMIN") {
+      return res.status(403).json({
+        status: "failure",
+        message: "Only admins can view quiz status history",
+        data: null,
+      });
+    }
 
-    // Fetch all quizzes assigned to this user
-    const quizzes = await prisma.quizzes.findMany({
-      where: {
-        assignments: {
-          some: { user_id: userId },
-        },
-      },
+    const quiz = await prisma.quizzes.findUnique({
+      where: { id: Number(req.params.quizId) },
       select: {
         id: true,
-        name: true,
         status: true,
+        starts_at: true,
         expires_at: true,
-        created_at: true,
-        questions: { select: { id: true } },
-        quizScores: {
-          where: { user_id: userId },
-          orderBy: { attempt_number: "desc" },
-          take: 1,
+        statusChanges: {
+          orderBy: { created_at: "desc" },
           select: {
-            score_value_obtained: true,
-            score_total: true,
-            attempt_number: true,
-            completed_at: true,
+            id: true,
+            from_status: true,
+            to_status: true,
+            source: true,
+            created_at: true,
+            user: { select: { id: true, email: true } },
           },
         },
       },
-      orderBy: { created_at: "desc" },
-    });
-
-    const results = quizzes.map((quiz) => {
-      const maxScore = quiz.questions?.length || 0;
-      const latestScore = quiz.quizScores?.[0] || null;
-
-      return {
-        id: quiz.id,
-        name: quiz.name,
-        status: quiz.status,
-        expires_at: quiz.expires_at,
-        max_score: maxScore,
-        latest_score: latestScore?.score_value_obtained ?? null,
-        score_total: latestScore?.score_total ?? maxScore,
-        attempt_number: latestScore?.attempt_number ?? null,
-        completed_at: latestScore?.completed_at ?? null,
-        attempted: !!latestScore,
-      };
     });
+    if (!quiz) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Quiz not found",
+        data: null,
+      });
+    }
 
-    return res.status(200).json({
-      status: "success",
-      message: results.length
-        ? "Quiz results fetched successfully"
-        : "No quizzes assigned to this user",
-      data: results,
-    });
+    res.json({ status: "success", data: quiz });
   } catch (error) {
-    console.error("Error fetching quiz results:", error);
-    return res.status(500).json({
+    console.error(error);
+    res.status(500).json({
       status: "failure",
-      message: "Failed to fetch quiz results",
-      error: error.message,
+      message: "Failed to fetch quiz status history",
+      data: null,
     });
   }
 };
 
-const getQuizById = async (req, res) => {
+const regradeQuiz = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const quizId = Number(req.params.id);
-    const now = new Date();
+    if (req.user.role !== "ADMIN") {
+      return res.status(403).json({
+        status: "failure",
+        message: "Only admins can regrade quizzes",
+        data: null,
+      });
+    }
 
-    // Ensure this quiz is assigned to the user and not expired
-    const quiz = await prisma.quizzes.findFirst({
-      where: {
+    const { error, value } = regradeSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(400).json({
+        status: "failure",
+        message: "Validation failed",
+        errors: error.details.map((err) => err.message),
+      });
+    }
+
+    const quiz = await prisma.quizzes.findUnique({
+      where: { id: Number(req.params.quizId) },
+      select: attemptQuizSelect,
+    });
+    if (!quiz) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Quiz not found",
+        data: null,
+      });
+    }
+
+    const { question_id, dry_run } = value;
+    // the quiz's own and linked bank questions, or bank questions its rules drew into an attempt
+    if (
+      question_id &&
+      !(await prisma.questions.findFirst({
+        where: { id: question_id, ...quizQuestionsWhere(quiz.id) },
+        select: { id: true },
+      })) &&
+      !(await prisma.quiz_responses.findFirst({
+        where: { question_id, attempt: { quiz_id: quiz.id } },
+        select: { id: true },
+      }))
+    ) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Question not found in this quiz",
+        data: null,
+      });
+    }
+
+    // the plan is recomputed for the real run, so it reflects grading done since the dry run
+    const plan = await planRegrade(quiz, question_id);
+    const summary = summarizeRegrade(plan);
+    if (dry_run) {
+      return res.json({
+        status: "success",
+        message: "Dry run, nothing was changed",
+        data: { dry_run: true, ...summary },
+      });
+    }
+
+    const regrade = await applyRegrade(quiz, plan, {
+      questionId: question_id ?? null,
+      adminId: req.user.id,
+    });
+    res.json({
+      status: "success",
+      message: `${summary.attempts_changed} attempt(s) regraded`,
+      data: { dry_run: false, regrade_id: regrade.id, ...summary },
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to regrade quiz",
+      data: null,
+    });
+  }
+};
+
+const getRegradeHistory = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return res.status(403).json({
+        status: "failure",
+        message: "Only admins can view regrade history",
+        data: null,
+      });
+    }
+
+    const quiz = await prisma.quizzes.findUnique({
+      where: { id: Number(req.params.quizId) },
+      select: {
+        id: true,
+        name: true,
+        regrades: {
+          orderBy: { created_at: "desc" },
+          select: {
+            id: true,
+            question_id: true,
+            attempts_checked: true,
+            created_at: true,
+            admin: { select: { id: true, email: true } },
+            changes: {
+              orderBy: { attempt_id: "asc" },
+              select: {
+                attempt_id: true,
+                old_score: true,
+                new_score: true,
+                old_passed: true,
+                new_passed: true,
+                attempt: {
+                  select: {
+                    attempt_number: true,
+                    user: { select: { id: true, email: true } },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    });
+    if (!quiz) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Quiz not found",
+        data: null,
+      });
+    }
+
+    res.json({ status: "success", data: quiz });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to fetch regrade history",
+      data: null,
+    });
+  }
+};
+
+const cloneQuiz = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return res.status(403).json({
+        status: "failure",
+        message: "Only admins can clone quizzes",
+        data: null,
+      });
+    }
+
+    const { error, value } = cloneQuizSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(400).json({
+        status: "failure",
+        message: "Validation failed",
+        errors: error.details.map((err) => err.message),
+      });
+    }
+
+    const source = await prisma.quizzes.findUnique({
+      where: { id: Number(req.params.quizId) },
+      include: {
+        questions: {
+          orderBy: { id: "asc" },
+          include: { options: { orderBy: { id: "asc" } } },
+        },
+        bankQuestions: { select: { question_id: true } },
+        bankRules: { orderBy: { id: "asc" } },
+        assignments: { select: { user_id: true } },
+      },
+    });
+    if (!source) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Quiz not found",
+        data: null,
+      });
+    }
+
+    const existingQuiz = await prisma.quizzes.findUnique({
+      where: { name: value.name },
+    });
+    if (existingQuiz) {
+      return res.status(400).json({
+        status: "failure",
+        message: `Quiz with name "${value.name}" already exists`,
+        data: null,
+      });
+    }
+
+    // the copy starts as a fresh DRAFT: no scores, versions or expiry are carried over,
+    // and bank questions stay shared with the original rather than being duplicated
+    const quiz = await prisma.quizzes.create({
+      data: {
+        name: value.name,
+        creator_id: req.user.id,
+        expires_at: null,
+        status: "DRAFT",
+        ...(value.copy_settings &&
+          Object.fromEntries(QUIZ_SETTINGS.map((key) => [key, source[key]]))),
+        questions: {
+          create: source.questions.map((q) => ({
+            ...toQuestionData(q),
+            options: { create: q.options.map(toOptionData) },
+          })),
+        },
+        bankQuestions: {
+          create: source.bankQuestions.map((link) => ({
+            question_id: link.question_id,
+          })),
+        },
+        bankRules: {
+          create: source.bankRules.map(({ tags, difficulty, count }) => ({
+            tags,
+            difficulty,
+            count,
+          })),
+        },
+        ...(value.copy_assignments && {
+          assignments: {
+            create: source.assignments.map((a) => ({ user_id: a.user_id })),
+          },
+        }),
+      },
+      include: {
+        questions: { include: { options: true } },
+        bankQuestions: { select: { question_id: true } },
+        bankRules: true,
+        assignments: { include: { user: true } },
+      },
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Quiz cloned",
+      data: quiz,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Quiz cannot be cloned",
+      data: null,
+    });
+  }
+};
+
+const findQuizVersion = (quizId, version) =>
+  prisma.quiz_versions.findUnique({
+    where: { quiz_id_version: { quiz_id: quizId, version } },
+  });
+
+const getQuizVersions = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return res.status(403).json({
+        status: "failure",
+        message: "Only admins can view quiz versions",
+        data: null,
+      });
+    }
+
+    const quizId = Number(req.params.quizId);
+    const quiz = await prisma.quizzes.findUnique({
+      where: { id: quizId },
+      select: {
+        id: true,
+        name: true,
+        status: true,
+        published_version_id: true,
+        publishedVersion: { select: { snapshot: true } },
+        versions: {
+          orderBy: { version: "desc" },
+          select: {
+            id: true,
+            version: true,
+            created_by: true,
+            created_at: true,
+            _count: { select: { attempts: true } },
+          },
+        },
+      },
+    });
+
+    if (!quiz) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Quiz not found",
+        data: null,
+      });
+    }
+
+    // edits made since the last publish are not served to learners yet
+    const draft = await buildQuizSnapshot(prisma, quizId);
+    const hasUnpublishedChanges = quiz.publishedVersion
+      ? diffSnapshots(quiz.publishedVersion.snapshot, draft).has_changes
+      : true;
+
+    res.json({
+      status: "success",
+      data: {
+        quiz_id: quiz.id,
+        name: quiz.name,
+        status: quiz.status,
+        has_unpublished_changes: hasUnpublishedChanges,
+        versions: quiz.versions.map(({ _count, ...version }) => ({
+          ...version,
+          attempt_count: _count.attempts,
+          is_published: version.id === quiz.published_version_id,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to fetch quiz versions",
+      data: null,
+    });
+  }
+};
+
+const getQuizVersion = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return res.status(403).json({
+        status: "failure",
+        message: "Only admins can view quiz versions",
+        data: null,
+      });
+    }
+
+    const version = await findQuizVersion(
+      Number(req.params.quizId),
+      Number(req.params.version)
+    );
+    if (!version) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Quiz version not found",
+        data: null,
+      });
+    }
+
+    res.json({ status: "success", data: version });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to fetch quiz version",
+      data: null,
+    });
+  }
+};
+
+const diffQuizVersions = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return res.status(403).json({
+        status: "failure",
+        message: "Only admins can compare quiz versions",
+        data: null,
+      });
+    }
+
+    const { error, value } = versionDiffQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: "failure",
+        message: error.details[0].message,
+        data: null,
+      });
+    }
+
+    const quizId = Number(req.params.quizId);
+    const quiz = await prisma.quizzes.findUnique({
+      where: { id: quizId },
+      select: { publishedVersion: { select: { version: true } } },
+    });
+    if (!quiz) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Quiz not found",
+        data: null,
+      });
+    }
+
+    // compare against the published version unless told otherwise
+    const from = value.from ?? quiz.publishedVersion?.version;
+    if (from === undefined) {
+      return res.status(400).json({
+        status: "failure",
+        message: `"from" is required, the quiz has not been published yet`,
+        data: null,
+      });
+    }
+
+    const snapshots = [];
+    for (const ref of [from, value.to]) {
+      if (ref === "draft") {
+        snapshots.push(await buildQuizSnapshot(prisma, quizId));
+        continue;
+      }
+      const version = await findQuizVersion(quizId, ref);
+      if (!version) {
+        return res.status(404).json({
+          status: "failure",
+          message: `Quiz version ${ref} not found`,
+          data: null,
+        });
+      }
+      snapshots.push(version.snapshot);
+    }
+
+    res.json({
+      status: "success",
+      data: { from, to: value.to, ...diffSnapshots(...snapshots) },
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to compare quiz versions",
+      data: null,
+    });
+  }
+};
+
+const rollbackQuizVersion = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return res.status(403).json({
+        status: "failure",
+        message: "Only admins can roll back quizzes",
+        data: null,
+      });
+    }
+
+    const quizId = Number(req.params.quizId);
+    const target = await findQuizVersion(quizId, Number(req.params.version));
+    if (!target) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Quiz version not found",
+        data: null,
+      });
+    }
+
+    const published = await prisma.$transaction(async (tx) => {
+      await restoreQuizSnapshot(tx, quizId, target.snapshot);
+      const quiz = await tx.quizzes.findUnique({
+        where: { id: quizId },
+        select: { status: true },
+      });
+      // a live quiz serves the restored content right away, as a new version
+      return quiz.status === "LIVE"
+        ? publishQuizVersion(tx, quizId, req.user.id)
+        : null;
+    });
+
+    res.json({
+      status: "success",
+      message: published
+        ? `Quiz rolled back to version ${target.version} and published as version ${published.version}`
+        : `Quiz draft rolled back to version ${target.version}`,
+      data: {
+        quiz_id: quizId,
+        restored_version: target.version,
+        published_version: published?.version ?? null,
+      },
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to roll back quiz",
+      data: null,
+    });
+  }
+};
+
+const exportQuiz = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return res.status(403).json({
+        status: "failure",
+        message: "Only admins can export quizzes",
+        data: null,
+      });
+    }
+
+    const formatName = String(req.query.format || "json").toLowerCase();
+    const format = QUIZ_FORMATS[formatName];
+    if (!format) {
+      return res.status(400).json({
+        status: "failure",
+        message: `Unsupported format, use one of ${Object.keys(QUIZ_FORMATS).join(", ")}`,
+        data: null,
+      });
+    }
+
+    const questionInclude = { options: { orderBy: { id: "asc" } } };
+    const quiz = await prisma.quizzes.findUnique({
+      where: { id: Number(req.params.quizId) },
+      include: {
+        questions: { include: questionInclude, orderBy: { id: "asc" } },
+        bankQuestions: {
+          include: { question: { include: questionInclude } },
+          orderBy: { id: "asc" },
+        },
+        bankRules: { orderBy: { id: "asc" } },
+      },
+    });
+    if (!quiz) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Quiz not found",
+        data: null,
+      });
+    }
+
+    const fileName = quiz.name.replace(/[^\w-]+/g, "_").toLowerCase();
+    res.attachment(`${fileName}.${format.extension}`);
+    res.type(format.contentType);
+    res.send(format.serialize(toPortableQuiz(withBankQuestions(quiz))));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Quiz cannot be exported",
+      data: null,
+    });
+  }
+};
+
+const importQuiz = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return res.status(403).json({
+        status: "failure",
+        message: "Only admins can import quizzes",
+        data: null,
+      });
+    }
+
+    const formatName = String(req.query.format || "json").toLowerCase();
+    const format = QUIZ_FORMATS[formatName];
+    if (!format) {
+      return res.status(400).json({
+        status: "failure",
+        message: `Unsupported format, use one of ${Object.keys(QUIZ_FORMATS).join(", ")}`,
+        data: null,
+      });
+    }
+
+    const parsed = format.parse(req.body);
+    if (parsed.errors.length) {
+      return res.status(400).json({
+        status: "failure",
+        message: "Import failed",
+        errors: parsed.errors,
+      });
+    }
+
+    const { error, value } = createQuizSchema.validate(
+      {
+        ...parsed.quiz,
+        ...(req.query.name && { name: req.query.name }),
+        assigned_user_ids: req.query.assigned_user_ids
+          ? String(req.query.assigned_user_ids).split(",").map(Number)
+          : [],
+      },
+      { abortEarly: false }
+    );
+
+    if (error) {
+      // point each problem at the row or line it came from
+      return res.status(400).json({
+        status: "failure",
+        message: "Validation failed",
+        errors: error.details.map((err) => {
+          const location = parsed.locate(err.path);
+          return location ? `${location}: ${err.message}` : err.message;
+        }),
+      });
+    }
+
+    await saveNewQuiz(res, value, req.user.id, "Quiz imported");
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Quiz cannot be imported",
+      data: null,
+    });
+  }
+};
+
+const getAllQuizzes = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const now = new Date();
+
+    const quizzes = await prisma.quizzes.findMany({
+      where: {
+        assignments: {
+          some: { user_id: userId },
+        },
+        status: { in: ["LIVE"] },
+        OR: [
+          { expires_at: null }, // no expiry
+          { expires_at: { gt: now } }, // still active
+        ],
+      },
+      select: {
+        id: true,
+        name: true,
+        expires_at: true,
+        status: true,
+        time_limit_minutes: true,
+        max_attempts: true,
+        cooldown_minutes: true,
+        publishedVersion: true,
+        quizScores: {
+          where: { user_id: userId },
+          select: { started_at: true, completed_at: true },
+        },
+        assignments: {
+          where: { user_id: userId },
+          select: { extra_attempts: true },
+        },
+      },
+    });
+
+    const data = [];
+    for (const row of quizzes) {
+      const { quizScores, assignments, publishedVersion, ...quiz } = row;
+      // learners see the published version, never unpublished edits
+      const { version, snapshot } = await loadPublishedVersion({
+        id: quiz.id,
+        publishedVersion,
+      });
+      const { shuffle_questions, shuffle_options, questions_per_attempt } =
+        snapshot.settings;
+      const poolSize =
+        snapshot.questions.length +
+        snapshot.bank_rules.reduce(
+          (sum, rule) => sum + Math.min(rule.count, rule.question_ids.length),
+          0
+        );
+      const allowance = getAttemptAllowance(
+        quiz,
+        quizScores,
+        assignments[0]?.extra_attempts ?? 0,
+        now
+      );
+      data.push({
+        ...quiz,
+        shuffle_questions,
+        shuffle_options,
+        questions_per_attempt,
+        version,
+        // randomized quizzes only reveal their questions through an attempt
+        questions: isRandomized({
+          ...snapshot.settings,
+          bankRules: snapshot.bank_rules,
+        })
+          ? []
+          : snapshot.questions.map(toLearnerQuestion),
+        question_count: questions_per_attempt
+          ? Math.min(questions_per_attempt, poolSize)
+          : poolSize,
+        remaining_attempts: allowance.remaining_attempts,
+        next_attempt_at: allowance.next_attempt_at,
+        can_start: allowance.can_start,
+      });
+    }
+
+    res.json({ status: "success", data });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to fetch quizzes",
+    });
+  }
+};
+
+/**
+ * The questions answered in `attempts` (each with its `quiz_version_id` and `responses`),
+ * keyed by id, as they were last published; the live tables only fill in for older attempts.
+ */
+const loadAnsweredQuestions = async (attempts) => {
+  const versions = await prisma.quiz_versions.findMany({
+    where: {
+      id: {
+        in: [
+          ...new Set(attempts.map((a) => a.quiz_version_id).filter(Boolean)),
+        ],
+      },
+    },
+    orderBy: { version: "asc" },
+    select: { snapshot: true },
+  });
+  const questionsById = new Map();
+  for (const { snapshot } of versions) {
+    for (const question of [...snapshot.questions, ...snapshot.bank_pool]) {
+      questionsById.set(question.id, question);
+    }
+  }
+  const missingIds = [
+    ...new Set(attempts.flatMap((a) => a.responses.map((r) => r.question_id))),
+  ].filter((id) => !questionsById.has(id));
+  if (missingIds.length) {
+    const liveQuestions = await prisma.questions.findMany({
+      where: { id: { in: missingIds } },
+      include: { options: { orderBy: { id: "asc" } } },
+    });
+    for (const question of liveQuestions) {
+      questionsById.set(question.id, question);
+    }
+  }
+  return questionsById;
+};
+
+const getQuizAnalytics = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return res.status(403).json({
+        status: "failure",
+        message: "Only admins can view quiz analytics",
+        data: null,
+      });
+    }
+
+    const quizId = Number(req.params.quizId);
+    const quiz = await prisma.quizzes.findUnique({
+      where: { id: quizId },
+      select: {
+        id: true,
+        name: true,
+        status: true,
+        grading_policy: true,
+        _count: { select: { assignments: true } },
+      },
+    });
+    if (!quiz) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Quiz not found",
+        data: null,
+      });
+    }
+
+    const attempts = await prisma.quiz_scores.findMany({
+      where: { quiz_id: quizId },
+      select: {
+        id: true,
+        user_id: true,
+        attempt_number: true,
+        status: true,
+        score_value_obtained: true,
+        score_total: true,
+        quiz_version_id: true,
+        responses: {
+          select: {
+            question_id: true,
+            option_ids: true,
+            answer_text: true,
+            answer_number: true,
+            is_correct: true,
+          },
+        },
+      },
+    });
+
+    const questionsById = await loadAnsweredQuestions(attempts);
+
+    res.json({
+      status: "success",
+      data: {
+        quiz: {
+          id: quiz.id,
+          name: quiz.name,
+          status: quiz.status,
+          grading_policy: quiz.grading_policy,
+        },
+        ...buildQuizAnalytics(
+          attempts,
+          questionsById,
+          quiz._count.assignments,
+          quiz.grading_policy
+        ),
+      },
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to fetch quiz analytics",
+      data: null,
+    });
+  }
+};
+
+const getQuizLeaderboard = async (req, res) => {
+  try {
+    const isAdmin = req.user.role === "ADMIN";
+
+    const { error, value } = leaderboardQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: "failure",
+        message: "Validation failed",
+        errors: error.details.map((err) => err.message),
+      });
+    }
+    const { page, limit } = value;
+
+    const quiz = await prisma.quizzes.findUnique({
+      where: { id: Number(req.params.quizId) },
+      select: {
+        id: true,
+        name: true,
+        leaderboard_enabled: true,
+        leaderboard_show_names: true,
+        assignments: { select: { user_id: true } },
+      },
+    });
+    const assignedUserIds = (quiz?.assignments || []).map((a) => a.user_id);
+
+    if (!quiz || (!isAdmin && !assignedUserIds.includes(req.user.id))) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Quiz not found",
+        data: null,
+      });
+    }
+
+    if (!isAdmin && !quiz.leaderboard_enabled) {
+      return res.status(403).json({
+        status: "failure",
+        message: "The leaderboard is not available for this quiz",
+        data: null,
+      });
+    }
+
+    const attempts = await prisma.quiz_scores.findMany({
+      where: {
+        quiz_id: quiz.id,
+        user_id: { in: assignedUserIds },
+        status: { in: ["COMPLETED", "TIMED_OUT"] },
+      },
+      orderBy: { completed_at: "asc" },
+      select: {
+        user_id: true,
+        score_value_obtained: true,
+        score_total: true,
+        started_at: true,
+        completed_at: true,
+        user: { select: { email: true } },
+      },
+    });
+
+    // learners only see who the others are when the quiz allows it
+    const showNames = isAdmin || quiz.leaderboard_show_names;
+    const ranking = rankLearners(attempts).map(
+      ({ user_id, email, ...entry }) => ({
+        ...entry,
+        ...(showNames && { user_id }),
+        email: showNames || user_id === req.user.id ? email : maskEmail(email),
+        is_me: user_id === req.user.id,
+      })
+    );
+
+    res.json({
+      status: "success",
+      data: {
+        quiz: { id: quiz.id, name: quiz.name },
+        my_rank: ranking.find((entry) => entry.is_me) || null,
+        entries: ranking.slice((page - 1) * limit, page * limit),
+      },
+      pagination: { page, limit, total: ranking.length },
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to fetch leaderboard",
+      data: null,
+    });
+  }
+};
+
+const exportQuizResults = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return res.status(403).json({
+        status: "failure",
+        message: "Only admins can export quiz results",
+        data: null,
+      });
+    }
+
+    const { error, value } = resultsExportQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: "failure",
+        message: "Validation failed",
+        errors: error.details.map((err) => err.message),
+      });
+    }
+
+    const { format, quiz_id, from, to, include_questions, rows } = value;
+    const where = {
+      ...(quiz_id && { quiz_id }),
+      ...((from || to) && {
+        started_at: { ...(from && { gte: from }), ...(to && { lte: to }) },
+      }),
+    };
+
+    if (
+      quiz_id &&
+      !(await prisma.quizzes.findUnique({ where: { id: quiz_id } }))
+    ) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Quiz not found",
+        data: null,
+      });
+    }
+
+    const { extension, contentType } = RESULT_EXPORT_FORMATS[format];
+    res.attachment(
+      `${quiz_id ? `quiz-${quiz_id}` : "quiz"}-${rows === "grades" ? "grades" : "results"}.${extension}`
+    );
+    res.type(contentType);
+    if (rows === "grades") {
+      await exportGrades(format, res, where);
+    } else {
+      await exportResults(format, res, where, {
+        includeQuestions: include_questions,
+      });
+    }
+  } catch (error) {
+    console.error(error);
+    // once the file has started streaming, the client can only see it cut short
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to export quiz results",
+      data: null,
+    });
+  }
+};
+
+const getQuizResults = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const now = new Date();
+
+    // Fetch all quizzes assigned to this user
+    const quizzes = await prisma.quizzes.findMany({
+      where: {
+        assignments: {
+          some: { user_id: userId },
+        },
+      },
+      select: {
+        id: true,
+        name: true,
+        status: true,
+        expires_at: true,
+        created_at: true,
+        max_attempts: true,
+        cooldown_minutes: true,
+        grading_policy: true,
+        pass_mark: true,
+        pass_mark_type: true,
+        questions_per_attempt: true,
+        bankRules: { select: { count: true } },
+        questions: { select: { points: true } },
+        bankQuestions: { select: { question: { select: { points: true } } } },
+        publishedVersion: { select: { snapshot: true } },
+        assignments: {
+          where: { user_id: userId },
+          select: { extra_attempts: true },
+        },
+        quizScores: {
+          where: { user_id: userId },
+          orderBy: { attempt_number: "desc" },
+          select: {
+            score_value_obtained: true,
+            score_total: true,
+            attempt_number: true,
+            status: true,
+            passed: true,
+            started_at: true,
+            completed_at: true,
+          },
+        },
+      },
+      orderBy: { created_at: "desc" },
+    });
+
+    const results = quizzes.map((row) => {
+      const quiz = withBankQuestions(row);
+      const latestScore =
+        quiz.quizScores.find((score) => score.status !== "IN_PROGRESS") || null;
+      // what the latest attempt was scored out of; before one, only a quiz serving
+      // every question has a known total, as random draws differ per attempt
+      const snapshot = quiz.publishedVersion?.snapshot;
+      const drawsQuestions = snapshot
+        ? !!snapshot.settings.questions_per_attempt ||
+          snapshot.bank_rules?.length > 0
+        : !!quiz.questions_per_attempt || quiz.bankRules.length > 0;
+      const maxScore =
+        latestScore?.score_total ??
+        (drawsQuestions
+          ? null
+          : (snapshot?.questions || quiz.questions || []).reduce(
+              (sum, question) => sum + question.points,
+              0
+            ));
+      const awaitingGrading = latestScore?.status === "PENDING_GRADING";
+      const grade = gradeAttempts(quiz.quizScores, quiz.grading_policy);
+      const allowance = getAttemptAllowance(
+        quiz,
+        quiz.quizScores,
+        quiz.assignments[0]?.extra_attempts ?? 0,
+        now
+      );
+
+      return {
+        id: quiz.id,
+        name: quiz.name,
+        status: quiz.status,
+        expires_at: quiz.expires_at,
+        max_score: maxScore,
+        grading_policy: quiz.grading_policy,
+        // the grade the learner gets under the quiz's grading policy
+        score: grade?.score ?? null,
+        score_total: grade?.score_total ?? maxScore,
+        percentage: grade?.percentage ?? null,
+        graded_attempt_number: grade?.attempt_number ?? null,
+        passed: grade
+          ? isPassingGrade(grade, quiz.quizScores, {
+              ...quiz,
+              ...snapshot?.settings,
+            })
+          : null,
+        // the latest attempt's score is only partial until its essays are graded
+        awaiting_grading: awaitingGrading,
+        latest_score: awaitingGrading
+          ? null
+          : (latestScore?.score_value_obtained ?? null),
+        attempt_number: latestScore?.attempt_number ?? null,
+        attempt_status: latestScore?.status ?? null,
+        started_at: latestScore?.started_at ?? null,
+        completed_at: latestScore?.completed_at ?? null,
+        attempted: !!latestScore,
+        attempts_used: allowance.attempts_used,
+        remaining_attempts: allowance.remaining_attempts,
+        next_attempt_at: allowance.next_attempt_at,
+      };
+    });
+
+    return res.status(200).json({
+      status: "success",
+      message: results.length
+        ? "Quiz results fetched successfully"
+        : "No quizzes assigned to this user",
+      data: results,
+    });
+  } catch (error) {
+    console.error("Error fetching quiz results:", error);
+    return res.status(500).json({
+      status: "failure",
+      message: "Failed to fetch quiz results",
+      error: error.message,
+    });
+  }
+};
+
+const getQuizById = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const quizId = Number(req.params.id);
+    const now = new Date();
+
+    // Ensure this quiz is assigned to the user and not expired
+    const row = await prisma.quizzes.findFirst({
+      where: {
         id: quizId,
         status: "LIVE",
         assignments: { some: { user_id: userId } },
@@ -414,61 +1811,360 @@ const getQuizById = async (req, res) => {
         id: true,
         name: true,
         expires_at: true,
-        questions: {
-          select: {
-            id: true,
-            question_text: true,
-            options: { select: { id: true, value: true } },
-          },
-        },
+        time_limit_minutes: true,
+        publishedVersion: true,
+      },
+    });
+
+    if (!row) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Quiz not found, expired, or not accessible",
+      });
+    }
+
+    const { publishedVersion, ...quiz } = row;
+    const { version, snapshot } = await loadPublishedVersion({
+      id: quiz.id,
+      publishedVersion,
+    });
+    const { shuffle_questions, shuffle_options, questions_per_attempt } =
+      snapshot.settings;
+    const activeAttempt = await findActiveAttempt(quizId, userId);
+
+    let questions = snapshot.questions.map(toLearnerQuestion);
+    if (activeAttempt && Array.isArray(activeAttempt.layout)) {
+      // serve the attempt's stored layout, from the version it was started on,
+      // so a reload shows the same questions in the same order
+      const served = await loadAttemptQuestions(activeAttempt, row);
+      questions = applyAttemptLayout(
+        served.questions.map(toLearnerQuestion),
+        activeAttempt.layout
+      );
+    } else if (
+      isRandomized({ ...snapshot.settings, bankRules: snapshot.bank_rules })
+    ) {
+      questions = [];
+    }
+
+    res.json({
+      status: "success",
+      data: {
+        ...quiz,
+        shuffle_questions,
+        shuffle_options,
+        questions_per_attempt,
+        version,
+        questions,
+        active_attempt: activeAttempt && toAttemptSummary(activeAttempt),
+      },
+      message: "Quiz fetched successfully",
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to fetch quiz",
+    });
+  }
+};
+
+// another request started the same attempt at the same time
+const attemptStartConflict = (res) =>
+  res.status(409).json({
+    status: "failure",
+    message: "An attempt was started at the same time, please try again",
+  });
+
+const startQuizAttempt = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const quizId = Number(req.params.id);
+    const now = new Date();
+
+    const quiz = await prisma.quizzes.findFirst({
+      where: {
+        id: quizId,
+        status: "LIVE",
+        assignments: { some: { user_id: userId } },
+        OR: [{ expires_at: null }, { expires_at: { gt: now } }],
       },
+      select: attemptQuizSelect,
+    });
+
+    if (!quiz) {
+      return res.status(403).json({
+        status: "failure",
+        message: "You are not assigned to this quiz or it has expired",
+      });
+    }
+
+    // resuming an attempt that is still running keeps its original clock
+    const activeAttempt = await findActiveAttempt(quizId, userId);
+    if (activeAttempt && !isPastDeadline(activeAttempt, now)) {
+      return res.status(200).json({
+        status: "success",
+        message: "Attempt already in progress",
+        data: toAttemptSummary(activeAttempt),
+      });
+    }
+    if (activeAttempt) await timeOutAttempt(activeAttempt, quiz);
+
+    const allowance = await loadAttemptAllowance(quiz, userId, now);
+    if (!allowance.can_start) {
+      return res.status(403).json({
+        status: "failure",
+        message: describeBlockedAttempt(allowance),
+        data: allowance,
+      });
+    }
+
+    let attempt;
+    try {
+      attempt = await startAttempt(quiz, userId, allowance, now);
+    } catch (error) {
+      if (error.code === "P2002") return attemptStartConflict(res);
+      throw error;
+    }
+
+    res.status(201).json({
+      status: "success",
+      message: "Attempt started",
+      data: toAttemptSummary(attempt),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to start quiz",
+    });
+  }
+};
+
+// the learner's assigned LIVE quiz and their attempt in progress on it, if any
+const findQuizInProgress = async (quizId, userId) => {
+  const quiz = await prisma.quizzes.findFirst({
+    where: {
+      id: quizId,
+      status: "LIVE",
+      assignments: { some: { user_id: userId } },
+    },
+    select: attemptQuizSelect,
+  });
+  const attempt = quiz && (await findActiveAttempt(quizId, userId));
+  return { quiz, attempt };
+};
+
+const submitQuizAnswers = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const quizId = Number(req.params.id);
+    const now = new Date();
+
+    const { error, value } = submitQuizSchema.validate(req.body, {
+      abortEarly: false,
     });
 
-    if (!quiz) {
-      return res.status(404).json({
+    if (error) {
+      return res.status(400).json({
         status: "failure",
-        message: "Quiz not found, expired, or not accessible",
+        message: "Validation failed",
+        errors: error.details.map((err) => err.message),
+      });
+    }
+
+    const { answers } = value;
+
+    // Check quiz assignment; expiry is enforced through the attempt deadline
+    const found = await findQuizInProgress(quizId, userId);
+    const { quiz } = found;
+    let { attempt } = found;
+
+    if (!quiz || (!attempt && quiz.expires_at && quiz.expires_at <= now)) {
+      return res.status(403).json({
+        status: "failure",
+        message: "You are not assigned to this quiz or it has expired",
+      });
+    }
+
+    // answers may all have been saved beforehand
+    const savedCount = attempt
+      ? await prisma.quiz_responses.count({ where: { attempt_id: attempt.id } })
+      : 0;
+    if (!answers.length && !savedCount) {
+      return res.status(400).json({
+        status: "failure",
+        message: "No answers provided",
+      });
+    }
+
+    if (!attempt) {
+      // timed quizzes must be started explicitly so the clock runs server-side
+      if (quiz.time_limit_minutes) {
+        return res.status(409).json({
+          status: "failure",
+          message: "Start the quiz before submitting answers",
+        });
+      }
+      const allowance = await loadAttemptAllowance(quiz, userId, now);
+      if (!allowance.can_start) {
+        return res.status(403).json({
+          status: "failure",
+          message: describeBlockedAttempt(allowance),
+          data: allowance,
+        });
+      }
+      try {
+        attempt = await startAttempt(quiz, userId, allowance, now);
+      } catch (error) {
+        if (error.code === "P2002") return attemptStartConflict(res);
+        throw error;
+      }
+    }
+
+    if (isPastDeadline(attempt, now)) {
+      await timeOutAttempt(attempt, quiz);
+      return res.status(403).json({
+        status: "failure",
+        message: "Time limit exceeded, the attempt has been closed",
+      });
+    }
+
+    const {
+      finalized,
+      status,
+      score,
+      total,
+      passed,
+      certificateCode,
+      questions,
+      responses,
+    } = await completeAttempt(attempt, quiz, answers);
+
+    if (!finalized) {
+      return res.status(409).json({
+        status: "failure",
+        message: "This attempt has already been closed",
       });
     }
 
     res.json({
       status: "success",
-      data: quiz,
-      message: "Quiz fetched successfully",
+      message: "Quiz submitted successfully",
+      data: {
+        attempt_id: attempt.id,
+        attempt_number: attempt.attempt_number,
+        status,
+        // essays are graded by hand, so the score is only known once they all are
+        awaiting_grading: status === "PENDING_GRADING",
+        score: status === "PENDING_GRADING" ? null : score,
+        total,
+        // null when the quiz has no pass mark or the attempt awaits grading
+        passed,
+        certificate_code: certificateCode,
+        // per-question feedback, when the quiz lets learners review right away
+        feedback: isReviewOpen(quiz, now)
+          ? buildAttemptReview(
+              applyAttemptLayout(questions, attempt.layout),
+              responses
+            )
+          : null,
+      },
     });
   } catch (error) {
     console.error(error);
     res.status(500).json({
       status: "failure",
-      message: "Failed to fetch quiz",
+      message: "Failed to submit quiz",
     });
   }
 };
 
-const submitQuizAnswers = async (req, res) => {
+const saveQuizAnswers = async (req, res) => {
   try {
     const userId = req.user.id;
     const quizId = Number(req.params.id);
-    const { answers } = req.body;
     const now = new Date();
 
-    if (!Array.isArray(answers) || answers.length === 0) {
+    const { error, value } = saveAnswersSchema.validate(req.body, {
+      abortEarly: false,
+    });
+
+    if (error) {
       return res.status(400).json({
         status: "failure",
-        message: "No answers provided",
+        message: "Validation failed",
+        errors: error.details.map((err) => err.message),
       });
     }
 
-    // Check quiz assignment and expiration
-    const quiz = await prisma.quizzes.findFirst({
-      where: {
-        id: quizId,
-        status: "LIVE",
-        assignments: { some: { user_id: userId } },
-        OR: [{ expires_at: null }, { expires_at: { gt: now } }],
-      },
-      select: { id: true },
+    const { quiz, attempt } = await findQuizInProgress(quizId, userId);
+
+    if (!quiz) {
+      return res.status(403).json({
+        status: "failure",
+        message: "You are not assigned to this quiz or it has expired",
+      });
+    }
+
+    if (!attempt) {
+      return res.status(409).json({
+        status: "failure",
+        message: "Start the quiz before saving answers",
+      });
+    }
+
+    if (isPastDeadline(attempt, now)) {
+      await timeOutAttempt(attempt, quiz);
+      return res.status(403).json({
+        status: "failure",
+        message: "Time limit exceeded, the attempt has been closed",
+      });
+    }
+
+    // only questions served in this attempt can be answered
+    if (Array.isArray(attempt.layout)) {
+      const servedIds = attempt.layout.map((entry) => entry.question_id);
+      const unknownIds = value.answers
+        .map((answer) => answer.question_id)
+        .filter((id) => !servedIds.includes(id));
+      if (unknownIds.length) {
+        return res.status(400).json({
+          status: "failure",
+          message: `Questions not part of this attempt: ${[...new Set(unknownIds)].join(", ")}`,
+        });
+      }
+    }
+
+    const saved = await saveAttemptAnswers(attempt, value.answers, now);
+
+    if (!saved) {
+      return res.status(409).json({
+        status: "failure",
+        message: "This attempt has already been closed",
+      });
+    }
+
+    res.json({
+      status: "success",
+      message: "Answers saved",
+      data: { attempt_id: attempt.id, last_saved_at: now },
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to save answers",
     });
+  }
+};
+
+const getSavedAnswers = async (req, res) => {
+  try {
+    const { quiz, attempt } = await findQuizInProgress(
+      Number(req.params.id),
+      req.user.id
+    );
 
     if (!quiz) {
       return res.status(403).json({
@@ -477,67 +2173,349 @@ const submitQuizAnswers = async (req, res) => {
       });
     }
 
-    // Fetch correct options for scoring
-    const correctOptions = await prisma.options.findMany({
-      where: {
-        is_correct: true,
-        question: { quiz_id: quizId },
+    if (!attempt) {
+      return res.status(404).json({
+        status: "failure",
+        message: "No attempt in progress for this quiz",
+      });
+    }
+
+    if (isPastDeadline(attempt)) {
+      await timeOutAttempt(attempt, quiz);
+      return res.status(403).json({
+        status: "failure",
+        message: "Time limit exceeded, the attempt has been closed",
+      });
+    }
+
+    res.json({
+      status: "success",
+      data: {
+        ...toAttemptSummary(attempt),
+        last_saved_at: attempt.last_saved_at,
+        answers: await loadSavedAnswers(attempt.id),
       },
-      select: { question_id: true, id: true },
     });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to load saved answers",
+    });
+  }
+};
 
-    const totalQuestions = correctOptions.length;
-    let correctCount = 0;
+const getAttemptReview = async (req, res) => {
+  try {
+    const isAdmin = req.user.role === "ADMIN";
+    const now = new Date();
 
-    for (const answer of answers) {
-      const correct = correctOptions.find(
-        (opt) =>
-          opt.question_id === answer.question_id && opt.id === answer.option_id
-      );
-      if (correct) correctCount++;
+    const attempt = await prisma.quiz_scores.findUnique({
+      where: { id: Number(req.params.attemptId) },
+      include: {
+        quiz: {
+          select: { ...attemptQuizSelect, name: true, status: true },
+        },
+        responses: true,
+      },
+    });
+
+    // learners can only review their own attempts
+    if (!attempt || (!isAdmin && attempt.user_id !== req.user.id)) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Attempt not found",
+        data: null,
+      });
+    }
+
+    if (attempt.status === "IN_PROGRESS") {
+      return res.status(409).json({
+        status: "failure",
+        message: "Submit the attempt before reviewing it",
+        data: null,
+      });
+    }
+
+    if (!isAdmin && !isReviewOpen(attempt.quiz, now)) {
+      return res.status(403).json({
+        status: "failure",
+        message:
+          attempt.quiz.review_policy === "AFTER_EXPIRY"
+            ? "Review opens once the quiz has expired"
+            : "Review is not available for this quiz",
+        data: null,
+      });
     }
 
-    // Determine attempt number
-    const attemptNumber =
-      (await prisma.quiz_scores.count({
-        where: { quiz_id: quizId, user_id: userId },
-      })) + 1;
+    const { questions } = await loadAttemptQuestions(attempt, attempt.quiz);
+    // a regrade after the attempt changed the key its answers are marked against
+    const regradedKeys = await loadRegradedKeys(attempt);
 
-    // Save quiz score
-    await prisma.quiz_scores.create({
+    res.json({
+      status: "success",
       data: {
-        user_id: userId,
-        quiz_id: quizId,
-        score_value_obtained: correctCount,
-        score_total: totalQuestions,
-        attempt_number: attemptNumber,
-        completed_at: new Date(),
+        quiz: { id: attempt.quiz.id, name: attempt.quiz.name },
+        attempt: {
+          ...toAttemptSummary(attempt),
+          completed_at: attempt.completed_at,
+          score:
+            attempt.status === "PENDING_GRADING"
+              ? null
+              : attempt.score_value_obtained,
+          total: attempt.score_total,
+        },
+        questions: buildAttemptReview(
+          withRegradedKeys(
+            applyAttemptLayout(questions, attempt.layout),
+            regradedKeys
+          ),
+          attempt.responses
+        ),
       },
     });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to load attempt review",
+      data: null,
+    });
+  }
+};
+
+const getGradingQueue = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return res.status(403).json({
+        status: "failure",
+        message: "Only admins can grade answers",
+        data: null,
+      });
+    }
+
+    const { error, value } = gradingQueueQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: "failure",
+        message: "Validation failed",
+        errors: error.details.map((err) => err.message),
+      });
+    }
+
+    const quizId = Number(req.params.quizId);
+    const quiz = await prisma.quizzes.findUnique({
+      where: { id: quizId },
+      select: { id: true, name: true },
+    });
+    if (!quiz) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Quiz not found",
+        data: null,
+      });
+    }
+
+    const { page, limit } = value;
+    const where = {
+      points_awarded: null,
+      attempt: { quiz_id: quizId, status: "PENDING_GRADING" },
+    };
+    const [responses, total] = await Promise.all([
+      prisma.quiz_responses.findMany({
+        where,
+        // oldest submissions first
+        orderBy: [{ attempt: { completed_at: "asc" } }, { id: "asc" }],
+        skip: (page - 1) * limit,
+        take: limit,
+        include: {
+          attempt: {
+            select: {
+              id: true,
+              attempt_number: true,
+              completed_at: true,
+              quiz_version_id: true,
+              user: { select: { id: true, email: true } },
+            },
+          },
+        },
+      }),
+      prisma.quiz_responses.count({ where }),
+    ]);
+
+    const questionsById = await loadAnsweredQuestions(
+      responses.map((r) => ({ ...r.attempt, responses: [r] }))
+    );
 
     res.json({
       status: "success",
-      message: "Quiz submitted successfully",
       data: {
-        score: correctCount,
-        total: totalQuestions,
+        quiz,
+        responses: responses.map((r) => {
+          const question = questionsById.get(r.question_id);
+          return {
+            response_id: r.id,
+            attempt_id: r.attempt.id,
+            attempt_number: r.attempt.attempt_number,
+            submitted_at: r.attempt.completed_at,
+            user: r.attempt.user,
+            question_id: r.question_id,
+            question_text: question?.question_text ?? null,
+            points: question?.points ?? null,
+            answer_text: r.answer_text,
+          };
+        }),
       },
+      pagination: { page, limit, total },
     });
   } catch (error) {
     console.error(error);
     res.status(500).json({
       status: "failure",
-      message: "Failed to submit quiz",
+      message: "Failed to fetch the grading queue",
+      data: null,
     });
   }
 };
+
+const gradeQuizResponse = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return res.status(403).json({
+        status: "failure",
+        message: "Only admins can grade answers",
+        data: null,
+      });
+    }
+
+    const { error, value } = gradeResponseSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(400).json({
+        status: "failure",
+        message: "Validation failed",
+        errors: error.details.map((err) => err.message),
+      });
+    }
+
+    const response = await prisma.quiz_responses.findUnique({
+      where: { id: Number(req.params.responseId) },
+      include: {
+        attempt: { include: { quiz: { select: attemptQuizSelect } } },
+      },
+    });
+    if (!response) {
+      return res.status(404).json({
+        status: "failure",
+        message: "Response not found",
+        data: null,
+      });
+    }
+
+    const { attempt } = response;
+    if (attempt.status !== "PENDING_GRADING") {
+      return res.status(409).json({
+        status: "failure",
+        message: "This attempt is not awaiting grading",
+        data: null,
+      });
+    }
+
+    // graded against the question as it was served in the attempt
+    const { questions } = await loadAttemptQuestions(attempt, attempt.quiz);
+    const question = questions.find((q) => q.id === response.question_id);
+    if (question?.question_type !== QUESTION_TYPES.ESSAY) {
+      return res.status(409).json({
+        status: "failure",
+        message: "Only essay answers are graded by hand",
+        data: null,
+      });
+    }
+    if (value.points > question.points) {
+      return res.status(400).json({
+        status: "failure",
+        message: `"points" cannot exceed the question's ${question.points} points`,
+        data: null,
+      });
+    }
+
+    const graded = await gradeResponse(response, attempt.quiz, {
+      points: value.points,
+      maxPoints: question.points,
+      comment: value.comment,
+      graderId: req.user.id,
+    });
+    if (!graded) {
+      return res.status(409).json({
+        status: "failure",
+        message: "This attempt is not awaiting grading",
+        data: null,
+      });
+    }
+
+    const { response: updated, attempt: updatedAttempt, remaining } = graded;
+    res.json({
+      status: "success",
+      message: remaining
+        ? "Answer graded"
+        : "Answer graded, the attempt is fully graded",
+      data: {
+        response: {
+          id: updated.id,
+          question_id: updated.question_id,
+          points_awarded: updated.points_awarded,
+          is_correct: updated.is_correct,
+          grader_comment: updated.grader_comment,
+          graded_at: updated.graded_at,
+        },
+        attempt: {
+          id: updatedAttempt.id,
+          status: updatedAttempt.status,
+          remaining_to_grade: remaining,
+          score: remaining ? null : updatedAttempt.score_value_obtained,
+          total: updatedAttempt.score_total,
+          passed: updatedAttempt.passed,
+        },
+      },
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to grade answer",
+      data: null,
+    });
+  }
+};
+
 module.exports = {
   createQuiz,
   updateQuiz,
   deleteQuiz,
   makeQuizLive,
+  updateExtraAttempts,
+  getQuizStatusHistory,
+  regradeQuiz,
+  getRegradeHistory,
+  cloneQuiz,
+  getQuizVersions,
+  getQuizVersion,
+  diffQuizVersions,
+  rollbackQuizVersion,
+  exportQuiz,
+  importQuiz,
   getAllQuizzes,
   getQuizResults,
+  exportQuizResults,
+  getQuizAnalytics,
+  getQuizLeaderboard,
   getQuizById,
+  startQuizAttempt,
   submitQuizAnswers,
+  saveQuizAnswers,
+  getSavedAnswers,
+  getAttemptReview,
+  getGradingQueue,
+  gradeQuizResponse,
 };
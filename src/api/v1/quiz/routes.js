@@ -5,10 +5,30 @@ const {
   updateQuiz,
   deleteQuiz,
   makeQuizLive,
+  getQuizStatusHistory,
+  regradeQuiz,
+  getRegradeHistory,
+  updateExtraAttempts,
+  cloneQuiz,
+  getQuizVersions,
+  getQuizVersion,
+  diffQuizVersions,
+  rollbackQuizVersion,
+  exportQuiz,
+  importQuiz,
   getAllQuizzes,
   getQuizResults,
+  exportQuizResults,
+  getQuizAnalytics,
+  getQuizLeaderboard,
   getQuizById,
+  startQuizAttempt,
   submitQuizAnswers,
+  saveQuizAnswers,
+  getSavedAnswers,
+  getAttemptReview,
+  getGradingQueue,
+  gradeQuizResponse,
 } = require("./controller");
 
 // ------ ADMIN ONLY ENDPOINTS START ------
@@ -24,11 +44,44 @@ const {
  *       Assigned users **must exist** in the system and have the `USER` role.
  *       **Validation rules** (Joi):
  *       - `name`: string, min length 3, max length 255, required
- *       - `questions`: array of objects, min length 1, required
+ *       - `questions`: array of objects, optional when the quiz draws from the question bank
  *         - `question_text`: string, min length 5, required
- *         - `options`: array of objects, min length 1, required
+ *         - `question_type`: one of `SINGLE_CHOICE`, `MULTIPLE_CHOICE`, `TRUE_FALSE`, `SHORT_ANSWER`, `NUMERIC`, `ESSAY` (defaults to `SINGLE_CHOICE`)
+ *         - `points`: positive number, optional (defaults to 1)
+ *         - `options`: array of objects, required for choice questions, not allowed otherwise
  *           - `value`: string, required
  *           - `is_correct`: boolean, optional (defaults to false)
+ *           - `feedback`: string shown to learners who picked the option, optional
+ *           - `SINGLE_CHOICE` needs exactly one correct option, `MULTIPLE_CHOICE` at least one,
+ *             `TRUE_FALSE` exactly two options with one correct
+ *         - `accepted_answers`: array of strings, required for `SHORT_ANSWER`
+ *         - `case_sensitive`: boolean, `SHORT_ANSWER` only (defaults to false)
+ *         - `normalize_whitespace`: boolean, `SHORT_ANSWER` only (defaults to true)
+ *         - `numeric_answer`: number, required for `NUMERIC`
+ *         - `numeric_tolerance`: number >= 0, `NUMERIC` only (defaults to 0)
+ *         - `ESSAY` questions take neither options nor answers; they are graded by hand
+ *         - `explanation`: string explaining the correct answer, optional
+ *         - `explanation` and option `feedback` are only shown once the quiz's `review_policy` allows review
+ *       - `scoring_policy`: `ALL_OR_NOTHING` or `PARTIAL_CREDIT` (proportional credit on `MULTIPLE_CHOICE`), optional (defaults to `ALL_OR_NOTHING`)
+ *       - `wrong_answer_penalty`: number between 0 and 1, the fraction of a question's points deducted for a wrong answer, optional (defaults to 0)
+ *       - `time_limit_minutes`: positive integer, minutes allowed per attempt once started, optional (untimed when omitted)
+ *       - `max_attempts`: positive integer, optional (unlimited when omitted)
+ *       - `cooldown_minutes`: integer >= 0, minimum wait between attempts, optional
+ *       - `shuffle_questions` / `shuffle_options`: booleans, shuffle the order per attempt, optional (default false)
+ *       - `questions_per_attempt`: positive integer up to the number of questions, serves a random subset per attempt, optional
+ *       - `review_policy`: when learners may review their answers next to the correct ones:
+ *         `IMMEDIATELY`, `AFTER_EXPIRY` or `NEVER`, optional (defaults to `AFTER_EXPIRY`)
+ *       - `leaderboard_enabled`: boolean, whether learners can see the quiz leaderboard, optional (default false)
+ *       - `leaderboard_show_names`: boolean, show learners' emails on the leaderboard instead of masking them, optional (default false)
+ *       - `pass_mark`: number >= 0, the score an attempt needs to pass, optional (attempts are neither passed nor failed when omitted)
+ *       - `pass_mark_type`: `PERCENT` (of the attempt's total, up to 100) or `POINTS`, optional (defaults to `PERCENT`).
+ *         Passing attempts earn a certificate, see `GET /api/v1/certificates`
+ *       - `grading_policy`: which finished attempts make up a learner's grade: `HIGHEST`, `LATEST`, `FIRST`
+ *         or `AVERAGE`, optional (defaults to `LATEST`)
+ *       - `bank_question_ids`: array of question bank ids the quiz always includes, optional
+ *       - `bank_rules`: array of `{ tags, difficulty, count }`, each draws `count` random bank questions
+ *         having all `tags` (and the `difficulty`, if set) for every attempt, optional
+ *       - at least one question must come from `questions`, `bank_question_ids` or `bank_rules`
  *       - `assigned_user_ids`: array of positive integers, required
  *     tags: [Quiz]
  *     security:
@@ -41,7 +94,6 @@ const {
  *             type: object
  *             required:
  *               - name
- *               - questions
  *               - assigned_user_ids
  *             properties:
  *               name:
@@ -49,20 +101,132 @@ const {
  *                 minLength: 3
  *                 maxLength: 255
  *                 example: "JavaScript Basics Quiz"
+ *               scoring_policy:
+ *                 type: string
+ *                 enum: [ALL_OR_NOTHING, PARTIAL_CREDIT]
+ *                 default: ALL_OR_NOTHING
+ *               wrong_answer_penalty:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 1
+ *                 default: 0
+ *                 example: 0.25
+ *               time_limit_minutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *                 example: 30
+ *               max_attempts:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *                 example: 3
+ *               cooldown_minutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 0
+ *                 example: 60
+ *               shuffle_questions:
+ *                 type: boolean
+ *                 default: false
+ *               shuffle_options:
+ *                 type: boolean
+ *                 default: false
+ *               questions_per_attempt:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *                 example: 10
+ *               review_policy:
+ *                 type: string
+ *                 enum: [IMMEDIATELY, AFTER_EXPIRY, NEVER]
+ *                 default: AFTER_EXPIRY
+ *               leaderboard_enabled:
+ *                 type: boolean
+ *                 default: false
+ *               leaderboard_show_names:
+ *                 type: boolean
+ *                 default: false
+ *               pass_mark:
+ *                 type: number
+ *                 nullable: true
+ *                 minimum: 0
+ *                 example: 80
+ *               pass_mark_type:
+ *                 type: string
+ *                 enum: [PERCENT, POINTS]
+ *                 default: PERCENT
+ *               grading_policy:
+ *                 type: string
+ *                 enum: [HIGHEST, LATEST, FIRST, AVERAGE]
+ *                 default: LATEST
+ *               bank_question_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [12, 15]
+ *               bank_rules:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - count
+ *                   properties:
+ *                     tags:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["networking"]
+ *                     difficulty:
+ *                       type: string
+ *                       enum: [EASY, MEDIUM, HARD]
+ *                       example: MEDIUM
+ *                     count:
+ *                       type: integer
+ *                       minimum: 1
+ *                       example: 5
  *               questions:
  *                 type: array
  *                 description: List of questions for the quiz
- *                 minItems: 1
  *                 items:
  *                   type: object
  *                   required:
  *                     - question_text
- *                     - options
  *                   properties:
  *                     question_text:
  *                       type: string
  *                       minLength: 5
  *                       example: "What is the output of console.log(typeof null)?"
+ *                     question_type:
+ *                       type: string
+ *                       enum: [SINGLE_CHOICE, MULTIPLE_CHOICE, TRUE_FALSE, SHORT_ANSWER, NUMERIC, ESSAY]
+ *                       default: SINGLE_CHOICE
+ *                     points:
+ *                       type: number
+ *                       default: 1
+ *                       example: 2
+ *                     accepted_answers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["object"]
+ *                     case_sensitive:
+ *                       type: boolean
+ *                       default: false
+ *                     normalize_whitespace:
+ *                       type: boolean
+ *                       default: true
+ *                     numeric_answer:
+ *                       type: number
+ *                       example: 3.14
+ *                     numeric_tolerance:
+ *                       type: number
+ *                       minimum: 0
+ *                       example: 0.01
+ *                     explanation:
+ *                       type: string
+ *                       nullable: true
+ *                       example: "typeof null is a long-standing quirk kept for backwards compatibility."
  *                     options:
  *                       type: array
  *                       minItems: 1
@@ -77,6 +241,10 @@ const {
  *                           is_correct:
  *                             type: boolean
  *                             example: true
+ *                           feedback:
+ *                             type: string
+ *                             nullable: true
+ *                             example: "Right: null reports itself as an object."
  *               assigned_user_ids:
  *                 type: array
  *                 description: List of user IDs to assign this quiz to
@@ -211,9 +379,15 @@ activityRouter.post("/", authMiddleware, async (req, res) =>
  *   put:
  *     summary: Update an existing quiz (Admin only)
  *     description: >
- *       Updates quiz details including name, status, expiration date, assigned users, and questions.
+ *       Updates quiz details including name, schedule dates, assigned users, and questions.
  *       Only users with the `ADMIN` role can update quizzes.
  *       All operations (quiz update, assignments, questions) are performed in a **single transaction**.
+ *       Edits change the quiz's draft only: learners keep being served the last published version
+ *       until the quiz is made `LIVE` again through `PUT /api/v1/quiz/live/{quizId}`.
+ *       The status cannot be changed here: sending `status` is rejected, use `PUT /api/v1/quiz/live/{quizId}`.
+ *       Send option `id`s to keep existing options; options left out of a question are removed.
+ *       Correcting an answer key leaves existing scores as they are; regrade them through
+ *       `POST /api/v1/quiz/regrade/{quizId}`, which matches options by `id`.
  *     tags: [Quiz]
  *     security:
  *       - bearerAuth: []
@@ -235,17 +409,76 @@ activityRouter.post("/", authMiddleware, async (req, res) =>
  *               name:
  *                 type: string
  *                 example: "Updated JavaScript Quiz"
- *               status:
+ *               starts_at:
  *                 type: string
- *                 enum: [DRAFT, LIVE, EXPIRED]
- *                 example: LIVE
+ *                 format: date-time
+ *                 description: When a `SCHEDULED` quiz goes `LIVE`, before `expires_at`.
+ *                 example: "2025-08-14T10:00:00.000Z"
  *               expires_at:
  *                 type: string
  *                 format: date-time
  *                 example: "2025-08-15T10:00:00.000Z"
+ *               scoring_policy:
+ *                 type: string
+ *                 enum: [ALL_OR_NOTHING, PARTIAL_CREDIT]
+ *               wrong_answer_penalty:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 1
+ *               time_limit_minutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Minutes allowed per attempt, `null` removes the limit
+ *               max_attempts:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Maximum attempts per learner, `null` allows unlimited attempts
+ *               cooldown_minutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Minimum wait between attempts, `null` removes the cooldown
+ *               shuffle_questions:
+ *                 type: boolean
+ *               shuffle_options:
+ *                 type: boolean
+ *               questions_per_attempt:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Random questions served per attempt, `null` serves all
+ *               review_policy:
+ *                 type: string
+ *                 enum: [IMMEDIATELY, AFTER_EXPIRY, NEVER]
+ *               leaderboard_enabled:
+ *                 type: boolean
+ *               leaderboard_show_names:
+ *                 type: boolean
+ *               pass_mark:
+ *                 type: number
+ *                 nullable: true
+ *                 description: >
+ *                   Score needed to pass, `null` removes the pass mark. Like the other grading settings,
+ *                   it applies to attempts once the quiz is made live again.
+ *               pass_mark_type:
+ *                 type: string
+ *                 enum: [PERCENT, POINTS]
+ *               grading_policy:
+ *                 type: string
+ *                 enum: [HIGHEST, LATEST, FIRST, AVERAGE]
+ *               bank_question_ids:
+ *                 type: array
+ *                 description: Replaces the bank questions linked to the quiz
+ *                 items:
+ *                   type: integer
+ *               bank_rules:
+ *                 type: array
+ *                 description: Replaces the quiz's bank draw rules (`{ tags, difficulty, count }`)
+ *                 items:
+ *                   type: object
  *               assigned_user_ids:
  *                 type: array
- *                 description: List of user IDs to assign this quiz to (removes old assignments)
+ *                 description: >
+ *                   List of user IDs to assign this quiz to. Users not in the list are unassigned;
+ *                   users who stay assigned keep their extra attempts.
  *                 items:
  *                   type: integer
  *                 example: [2, 3, 4]
@@ -253,10 +486,15 @@ activityRouter.post("/", authMiddleware, async (req, res) =>
  *                 type: array
  *                 description: >
  *                   List of questions to update or add.
- *                   If `id` is provided, the question will be updated.
+ *                   If `id` is provided, the question will be updated; it must be one of the quiz's own
+ *                   questions (bank questions are edited through the question bank).
  *                   If `id` is omitted, a new question will be created.
+ *                   Each question is sent in full and validated as when creating a quiz, so fields left out
+ *                   fall back to their defaults.
  *                 items:
  *                   type: object
+ *                   required:
+ *                     - question_text
  *                   properties:
  *                     id:
  *                       type: integer
@@ -265,19 +503,54 @@ activityRouter.post("/", authMiddleware, async (req, res) =>
  *                     question_text:
  *                       type: string
  *                       example: "What is the value of typeof NaN?"
+ *                     question_type:
+ *                       type: string
+ *                       enum: [SINGLE_CHOICE, MULTIPLE_CHOICE, TRUE_FALSE, SHORT_ANSWER, NUMERIC, ESSAY]
+ *                       default: SINGLE_CHOICE
+ *                     points:
+ *                       type: number
+ *                       default: 1
+ *                       example: 2
+ *                     accepted_answers:
+ *                       type: array
+ *                       description: Required for `SHORT_ANSWER` questions
+ *                       items:
+ *                         type: string
+ *                     case_sensitive:
+ *                       type: boolean
+ *                       default: false
+ *                     normalize_whitespace:
+ *                       type: boolean
+ *                       default: true
+ *                     numeric_answer:
+ *                       type: number
+ *                       description: Required for `NUMERIC` questions
+ *                     numeric_tolerance:
+ *                       type: number
+ *                       minimum: 0
+ *                     explanation:
+ *                       type: string
+ *                       nullable: true
  *                     options:
  *                       type: array
+ *                       description: Required for choice questions, with the correct options marked
  *                       items:
  *                         type: object
  *                         required:
  *                           - value
  *                         properties:
+ *                           id:
+ *                             type: integer
+ *                             description: Keeps an existing option
  *                           value:
  *                             type: string
  *                             example: "number"
  *                           is_correct:
  *                             type: boolean
  *                             example: true
+ *                           feedback:
+ *                             type: string
+ *                             nullable: true
  *     responses:
  *       200:
  *         description: Quiz updated successfully
@@ -309,7 +582,10 @@ activityRouter.post("/", authMiddleware, async (req, res) =>
  *                       type: string
  *                       format: date-time
  *       400:
- *         description: Validation or bad request errors
+ *         description: >
+ *           Validation errors, listed in `errors` with `message: Validation failed`, or bad request
+ *           errors such as unknown bank questions, returned in `error`. Only the fields sent are
+ *           validated and changed.
  *         content:
  *           application/json:
  *             schema:
@@ -318,6 +594,11 @@ activityRouter.post("/", authMiddleware, async (req, res) =>
  *                 error:
  *                   type: string
  *                   example: Invalid assigned user IDs
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ['"max_attempts" must be a number']
  *       403:
  *         description: Forbidden — only admins can update quizzes
  *         content:
@@ -473,6 +754,12 @@ activityRouter.put("/delete/:quizId", authMiddleware, async (req, res) =>
  *       Updates the quiz status to `LIVE` or `DRAFT`.
  *       If setting to `LIVE`, an expiration date (`expires_at`) **must** be provided in ISO 8601 UTC format.
  *       Only `ADMIN` users are allowed to perform this action.
+ *       Going `LIVE` publishes the quiz: its questions, answer key and grading settings are frozen as a
+ *       new immutable version that new attempts are served and graded against. Attempts already taken
+ *       keep their own version. Publishing without changes since the last version reuses it.
+ *       With a future `starts_at`, the quiz is `SCHEDULED` instead: the scheduler makes it `LIVE`
+ *       (and publishes it) once `starts_at` passes, and moves `LIVE` quizzes to `EXPIRED` once
+ *       `expires_at` passes. Every status change is recorded in the quiz's status history.
  *     tags: [Quiz]
  *     security:
  *       - bearerAuth: []
@@ -501,13 +788,20 @@ activityRouter.put("/delete/:quizId", authMiddleware, async (req, res) =>
  *                   Expiration date/time in **ISO 8601 UTC format** (required only if status is `LIVE`).
  *                   Example: `"2025-08-15T10:00:00.000Z"`
  *                 example: "2025-08-15T10:00:00.000Z"
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: >
+ *                   Optional opening date/time in **ISO 8601 UTC format**, before `expires_at`.
+ *                   In the future, the quiz is `SCHEDULED` until then; otherwise it goes `LIVE` now.
+ *                 example: "2025-08-14T10:00:00.000Z"
  *               status:
  *                 type: string
  *                 enum: [LIVE, DRAFT]
  *                 description: >
  *                   The desired status of the quiz.
- *                   - `LIVE`: Makes the quiz available for assigned users until `expires_at`.
- *                   - `DRAFT`: Makes the quiz inactive and removes `expires_at`.
+ *                   - `LIVE`: Makes the quiz available for assigned users from `starts_at` until `expires_at`.
+ *                   - `DRAFT`: Makes the quiz inactive and removes `starts_at` and `expires_at`.
  *                 example: LIVE
  *     responses:
  *       200:
@@ -535,8 +829,13 @@ activityRouter.put("/delete/:quizId", authMiddleware, async (req, res) =>
  *                       example: "React Fundamentals"
  *                     status:
  *                       type: string
- *                       enum: [LIVE, DRAFT, EXPIRED, DELETED]
+ *                       enum: [LIVE, SCHEDULED, DRAFT, EXPIRED, DELETED]
  *                       example: LIVE
+ *                     starts_at:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                       example: null
  *                     expires_at:
  *                       type: string
  *                       format: date-time
@@ -562,6 +861,18 @@ activityRouter.put("/delete/:quizId", authMiddleware, async (req, res) =>
  *                   status: failure
  *                   message: Status is required LIVE | DRAFT
  *                   data: null
+ *               pastExpiresAt:
+ *                 summary: expires_at is not in the future
+ *                 value:
+ *                   status: failure
+ *                   message: Expiration date must be in the future
+ *                   data: null
+ *               invalidStartsAt:
+ *                 summary: starts_at is invalid or not before expires_at
+ *                 value:
+ *                   status: failure
+ *                   message: Start date must be a valid date before the expiration date
+ *                   data: null
  *       403:
  *         description: Forbidden — only admins can make quizzes live
  *         content:
@@ -601,25 +912,29 @@ activityRouter.put("/live/:quizId", authMiddleware, async (req, res) =>
   makeQuizLive(req, res)
 );
 
-// ------ ADMIN ONLY ENDPOINTS END------
-
-// get all quizzes assigned to the user
+// audit trail of a quiz's status changes
 /**
  * @swagger
- * /api/v1/quiz:
+ * /api/v1/quiz/status-history/{quizId}:
  *   get:
- *     summary: Get all quizzes assigned to the logged-in user
+ *     summary: Get a quiz's status history (Admin only)
  *     description: >
- *       Returns all **LIVE** quizzes assigned to the currently authenticated user,
- *       excluding expired ones.
- *       - Expired quizzes are filtered out unless they have `expires_at` set to `null`.
- *       - This endpoint is accessible **only** by users with the `USER` role.
+ *       Returns the quiz's current status and schedule with every status change, newest first.
+ *       `source` is `ADMIN` for changes made through the API (with the admin in `user`) and
+ *       `SCHEDULER` for automatic `SCHEDULED` → `LIVE` and `LIVE` → `EXPIRED` transitions.
  *     tags: [Quiz]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 7
  *     responses:
  *       200:
- *         description: Successfully fetched the list of assigned quizzes
+ *         description: Status history
  *         content:
  *           application/json:
  *             schema:
@@ -627,105 +942,114 @@ activityRouter.put("/live/:quizId", authMiddleware, async (req, res) =>
  *               properties:
  *                 status:
  *                   type: string
- *                   enum: [success]
  *                   example: success
  *                 data:
- *                   type: array
- *                   description: List of quizzes assigned to the user
- *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: integer
- *                         example: 101
- *                       name:
- *                         type: string
- *                         example: "JavaScript Fundamentals"
- *                       expires_at:
- *                         type: string
- *                         format: date-time
- *                         nullable: true
- *                         example: "2025-08-15T10:00:00.000Z"
- *                       status:
- *                         type: string
- *                         enum: [LIVE]
- *                         example: LIVE
- *                       questions:
- *                         type: array
- *                         description: Quiz questions (without correct answers)
- *                         items:
- *                           type: object
- *                           properties:
- *                             id:
- *                               type: integer
- *                               example: 301
- *                             question_text:
- *                               type: string
- *                               example: "What is the output of console.log(typeof null)?"
- *                             options:
- *                               type: array
- *                               description: List of available answer options
- *                               items:
- *                                 type: object
- *                                 properties:
- *                                   id:
- *                                     type: integer
- *                                     example: 501
- *                                   value:
- *                                     type: string
- *                                     example: "object"
- *       401:
- *         description: Unauthorized - No token or invalid token
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   enum: [failure]
- *                   example: failure
- *                 message:
- *                   type: string
- *                   example: Unauthorized
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 7
+ *                     status:
+ *                       type: string
+ *                       example: LIVE
+ *                     starts_at:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     expires_at:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     statusChanges:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                             example: 12
+ *                           from_status:
+ *                             type: string
+ *                             nullable: true
+ *                             example: SCHEDULED
+ *                           to_status:
+ *                             type: string
+ *                             example: LIVE
+ *                           source:
+ *                             type: string
+ *                             enum: [ADMIN, SCHEDULER]
+ *                             example: SCHEDULER
+ *                           created_at:
+ *                             type: string
+ *                             format: date-time
+ *                           user:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               id:
+ *                                 type: integer
+ *                               email:
+ *                                 type: string
+ *       403:
+ *         description: Forbidden — only admins can view the status history
+ *       404:
+ *         description: Quiz not found
  *       500:
- *         description: Internal server error while fetching quizzes
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   enum: [failure]
- *                   example: failure
- *                 message:
- *                   type: string
- *                   example: Failed to fetch quizzes
+ *         description: Internal server error
  */
-
-activityRouter.get("/", authMiddleware, async (req, res) =>
-  getAllQuizzes(req, res)
+activityRouter.get(
+  "/status-history/:quizId",
+  authMiddleware,
+  async (req, res) => getQuizStatusHistory(req, res)
 );
 
-// Get quiz results for the user
+// POST /api/v1/quiz/regrade/:quizId - Regrade attempts after an answer key correction
 /**
  * @swagger
- * /api/v1/quiz/results:
- *   get:
- *     summary: Get quiz results for the logged-in user
+ * /api/v1/quiz/regrade/{quizId}:
+ *   post:
+ *     summary: Regrade a quiz's attempts after an answer key correction (Admin only)
  *     description: >
- *       Retrieves the latest score results for all quizzes assigned to the authenticated user,
- *       regardless of quiz status (`LIVE`, `DRAFT`, or `DELETED`).
- *       - Returns the **most recent attempt** for each quiz along with maximum score and quiz details.
- *       - If the quiz has never been attempted, `latest_score` will be `null` and `attempted` will be `false`.
- *       - Accessible **only** to authenticated users with the `USER` role.
+ *       Scores the stored answers of every finished attempt (`COMPLETED`, `TIMED_OUT` or `PENDING_GRADING`)
+ *       again, against the answer key the questions have now — correct options, accepted answers and
+ *       numeric answers, as edited through `PUT /api/v1/quiz/{quizId}`. Each attempt keeps the points and
+ *       scoring settings it was served with.
+ *       - `dry_run` defaults to `true`: the response shows what would change and nothing is written.
+ *         Send `dry_run: false` to apply it.
+ *       - With `question_id`, only that question's answers are scored again.
+ *       - Essay answers keep their hand-given points. Attempts finished before answers were stored cannot
+ *         be regraded and are counted in `attempts_skipped`.
+ *       - Attempts are passed or failed again against the `pass_mark` of the version they were taken on: newly passing attempts
+ *         earn a certificate, and the certificates of attempts that now fail are revoked.
+ *       - Every applied regrade is recorded with each attempt's old and new score, see
+ *         `GET /api/v1/quiz/regrade-history/{quizId}`.
+ *       - The corrected key is kept with the regrade, so the review of a regraded attempt
+ *         (`GET /api/v1/quiz/attempts/{attemptId}/review`) marks the answers it was scored against.
  *     tags: [Quiz]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 7
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               question_id:
+ *                 type: integer
+ *                 example: 31
+ *               dry_run:
+ *                 type: boolean
+ *                 default: true
  *     responses:
  *       200:
- *         description: Successfully fetched quiz results
+ *         description: What the regrade changes (or would change, on a dry run)
  *         content:
  *           application/json:
  *             schema:
@@ -733,50 +1057,1072 @@ activityRouter.get("/", authMiddleware, async (req, res) =>
  *               properties:
  *                 status:
  *                   type: string
- *                   enum: [success]
  *                   example: success
  *                 message:
  *                   type: string
- *                   example: Quiz results fetched successfully
+ *                   example: Dry run, nothing was changed
  *                 data:
- *                   type: array
- *                   description: List of quizzes with latest score information
- *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: integer
- *                         example: 101
- *                       name:
- *                         type: string
- *                         example: "JavaScript Fundamentals"
- *                       status:
- *                         type: string
- *                         enum: [LIVE, DRAFT, DELETED]
- *                         example: LIVE
- *                       expires_at:
- *                         type: string
- *                         format: date-time
- *                         nullable: true
- *                         example: "2025-08-15T10:00:00.000Z"
- *                       max_score:
- *                         type: integer
- *                         description: Maximum possible score for the quiz
- *                         example: 10
- *                       latest_score:
- *                         type: integer
- *                         nullable: true
- *                         description: Score obtained in the latest attempt
- *                         example: 8
- *                       score_total:
- *                         type: integer
- *                         description: Total possible points in that attempt
- *                         example: 10
- *                       attempt_number:
- *                         type: integer
- *                         nullable: true
- *                         description: Attempt number of the latest quiz attempt
+ *                   type: object
+ *                   properties:
+ *                     dry_run:
+ *                       type: boolean
+ *                       example: true
+ *                     regrade_id:
+ *                       type: integer
+ *                       description: Id of the recorded regrade, only when applied
+ *                       example: 4
+ *                     attempts_checked:
+ *                       type: integer
+ *                       example: 120
+ *                     attempts_skipped:
+ *                       type: integer
+ *                       example: 0
+ *                     attempts_changed:
+ *                       type: integer
+ *                       example: 37
+ *                     total_score_change:
+ *                       type: number
+ *                       description: Sum of the score changes of all changed attempts
+ *                       example: 37
+ *                     newly_passed:
+ *                       type: integer
+ *                       example: 5
+ *                     newly_failed:
+ *                       type: integer
+ *                       example: 0
+ *                     changes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           attempt_id:
+ *                             type: integer
+ *                             example: 42
+ *                           attempt_number:
+ *                             type: integer
+ *                             example: 1
+ *                           user:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: integer
+ *                                 example: 12
+ *                               email:
+ *                                 type: string
+ *                                 example: "jane@example.com"
+ *                           status:
+ *                             type: string
+ *                             example: COMPLETED
+ *                           old_score:
+ *                             type: number
+ *                             example: 7
+ *                           new_score:
+ *                             type: number
+ *                             example: 8
+ *                           score_change:
+ *                             type: number
+ *                             example: 1
+ *                           score_total:
+ *                             type: number
+ *                             example: 10
+ *                           old_passed:
+ *                             type: boolean
+ *                             nullable: true
+ *                             example: false
+ *                           new_passed:
+ *                             type: boolean
+ *                             nullable: true
+ *                             example: true
+ *                           questions_changed:
+ *                             type: array
+ *                             items:
+ *                               type: integer
+ *                             example: [31]
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Forbidden — only admins can regrade quizzes
+ *       404:
+ *         description: >
+ *           Quiz not found, or `question_id` is not one of the quiz's questions, its linked bank
+ *           questions or a bank question its rules served in an attempt
+ *       500:
+ *         description: Internal server error
+ */
+activityRouter.post("/regrade/:quizId", authMiddleware, async (req, res) =>
+  regradeQuiz(req, res)
+);
+
+// GET /api/v1/quiz/regrade-history/:quizId - Audit trail of applied regrades
+/**
+ * @swagger
+ * /api/v1/quiz/regrade-history/{quizId}:
+ *   get:
+ *     summary: Get the regrades applied to a quiz (Admin only)
+ *     description: >
+ *       Lists the regrades applied to the quiz, newest first: who ran it, whether it covered one
+ *       question (`question_id`) or the whole quiz, and each changed attempt's old and new score and pass.
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 7
+ *     responses:
+ *       200:
+ *         description: Regrade history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 7
+ *                     name:
+ *                       type: string
+ *                       example: "React Fundamentals"
+ *                     regrades:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                             example: 4
+ *                           question_id:
+ *                             type: integer
+ *                             nullable: true
+ *                             example: 31
+ *                           attempts_checked:
+ *                             type: integer
+ *                             example: 120
+ *                           created_at:
+ *                             type: string
+ *                             format: date-time
+ *                           admin:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: integer
+ *                                 example: 1
+ *                               email:
+ *                                 type: string
+ *                                 example: "admin@example.com"
+ *                           changes:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 attempt_id:
+ *                                   type: integer
+ *                                   example: 42
+ *                                 old_score:
+ *                                   type: number
+ *                                   nullable: true
+ *                                   example: 7
+ *                                 new_score:
+ *                                   type: number
+ *                                   example: 8
+ *                                 old_passed:
+ *                                   type: boolean
+ *                                   nullable: true
+ *                                 new_passed:
+ *                                   type: boolean
+ *                                   nullable: true
+ *                                 attempt:
+ *                                   type: object
+ *                                   properties:
+ *                                     attempt_number:
+ *                                       type: integer
+ *                                       example: 1
+ *                                     user:
+ *                                       type: object
+ *                                       properties:
+ *                                         id:
+ *                                           type: integer
+ *                                         email:
+ *                                           type: string
+ *       403:
+ *         description: Forbidden — only admins can view regrade history
+ *       404:
+ *         description: Quiz not found
+ *       500:
+ *         description: Internal server error
+ */
+activityRouter.get(
+  "/regrade-history/:quizId",
+  authMiddleware,
+  async (req, res) => getRegradeHistory(req, res)
+);
+
+// grant a single user extra attempts on a quiz
+/**
+ * @swagger
+ * /api/v1/quiz/assignments/{quizId}/{userId}:
+ *   put:
+ *     summary: Set extra attempts for an assigned user (Admin only)
+ *     description: >
+ *       Overrides the quiz's `max_attempts` for one assigned user by granting additional attempts.
+ *       The value replaces any previous grant. Returns the user's updated attempt allowance.
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 7
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 3
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - extra_attempts
+ *             properties:
+ *               extra_attempts:
+ *                 type: integer
+ *                 minimum: 0
+ *                 example: 1
+ *     responses:
+ *       200:
+ *         description: Extra attempts updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Extra attempts updated
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quiz_id:
+ *                       type: integer
+ *                     user_id:
+ *                       type: integer
+ *                     max_attempts:
+ *                       type: integer
+ *                       nullable: true
+ *                     attempts_used:
+ *                       type: integer
+ *                     remaining_attempts:
+ *                       type: integer
+ *                       nullable: true
+ *                     next_attempt_at:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     can_start:
+ *                       type: boolean
+ *       400:
+ *         description: Invalid `extra_attempts`
+ *       403:
+ *         description: Forbidden — only admins can grant extra attempts
+ *       404:
+ *         description: User is not assigned to this quiz
+ *       500:
+ *         description: Internal server error
+ */
+activityRouter.put(
+  "/assignments/:quizId/:userId",
+  authMiddleware,
+  async (req, res) => updateExtraAttempts(req, res)
+);
+
+// start a new quiz from a copy of an existing one
+/**
+ * @swagger
+ * /api/v1/quiz/clone/{quizId}:
+ *   post:
+ *     summary: Clone a quiz into a new DRAFT (Admin only)
+ *     description: >
+ *       Deep-copies the quiz's own questions and options into a new `DRAFT` quiz with the given name.
+ *       Linked question bank entries and bank rules are copied as references, so both quizzes keep
+ *       sharing the same bank questions. Scores, attempts, versions and the expiry date are never copied.
+ *       - `copy_settings` (default `true`): copy scoring, timing, attempt limit and randomization settings;
+ *         otherwise the new quiz uses the defaults.
+ *       - `copy_assignments` (default `false`): assign the same users; extra attempts are not carried over.
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         description: ID of the quiz to copy
+ *         schema:
+ *           type: integer
+ *           example: 7
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 255
+ *                 example: "Networking basics - Spring term"
+ *               copy_settings:
+ *                 type: boolean
+ *                 default: true
+ *               copy_assignments:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Quiz cloned
+ *       400:
+ *         description: Validation failed, or a quiz with that name already exists
+ *       403:
+ *         description: Forbidden — only admins can clone quizzes
+ *       404:
+ *         description: Quiz not found
+ *       500:
+ *         description: Internal server error
+ */
+activityRouter.post("/clone/:quizId", authMiddleware, async (req, res) =>
+  cloneQuiz(req, res)
+);
+
+// list the published versions of a quiz
+/**
+ * @swagger
+ * /api/v1/quiz/versions/{quizId}:
+ *   get:
+ *     summary: List the published versions of a quiz (Admin only)
+ *     description: >
+ *       Every time a quiz goes `LIVE` its questions, answer key and grading settings
+ *       (`scoring_policy`, `wrong_answer_penalty`, shuffling, `questions_per_attempt` and the pass mark) are frozen
+ *       as a numbered version. Each attempt records the version it was taken against.
+ *       `has_unpublished_changes` tells whether the quiz was edited since the published version.
+ *     tags: [Quiz Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 7
+ *     responses:
+ *       200:
+ *         description: Versions fetched, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quiz_id:
+ *                       type: integer
+ *                     name:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                     has_unpublished_changes:
+ *                       type: boolean
+ *                     versions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           version:
+ *                             type: integer
+ *                             example: 2
+ *                           created_by:
+ *                             type: integer
+ *                             nullable: true
+ *                           created_at:
+ *                             type: string
+ *                             format: date-time
+ *                           attempt_count:
+ *                             type: integer
+ *                           is_published:
+ *                             type: boolean
+ *       403:
+ *         description: Forbidden — only admins can view quiz versions
+ *       404:
+ *         description: Quiz not found
+ *       500:
+ *         description: Internal server error
+ */
+activityRouter.get("/versions/:quizId", authMiddleware, async (req, res) =>
+  getQuizVersions(req, res)
+);
+
+// compare two versions of a quiz
+/**
+ * @swagger
+ * /api/v1/quiz/versions/{quizId}/diff:
+ *   get:
+ *     summary: Compare two versions of a quiz (Admin only)
+ *     description: >
+ *       Lists what changed between `from` and `to`: settings, questions added, removed or changed
+ *       (matched by id, with field and option level changes), bank rules, and the bank questions the
+ *       rules can draw from. Either side can be `draft`, the quiz as currently edited.
+ *       By default the published version is compared with the draft.
+ *     tags: [Quiz Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 7
+ *       - name: from
+ *         in: query
+ *         description: Version number or `draft`, defaults to the published version
+ *         schema:
+ *           type: string
+ *           example: "1"
+ *       - name: to
+ *         in: query
+ *         description: Version number or `draft`
+ *         schema:
+ *           type: string
+ *           default: draft
+ *           example: "2"
+ *     responses:
+ *       200:
+ *         description: Differences between the two versions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       oneOf:
+ *                         - type: integer
+ *                         - type: string
+ *                     to:
+ *                       oneOf:
+ *                         - type: integer
+ *                         - type: string
+ *                     has_changes:
+ *                       type: boolean
+ *                     settings:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           field:
+ *                             type: string
+ *                             example: scoring_policy
+ *                           from: {}
+ *                           to: {}
+ *                     questions:
+ *                       type: object
+ *                       properties:
+ *                         added:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         removed:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         changed:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: integer
+ *                               question_text:
+ *                                 type: string
+ *                               changes:
+ *                                 type: array
+ *                                 items:
+ *                                   type: object
+ *                               options:
+ *                                 type: object
+ *                     bank_rules:
+ *                       type: object
+ *                       nullable: true
+ *                     bank_pool:
+ *                       type: object
+ *       400:
+ *         description: Invalid `from`/`to`, or the quiz has no published version to compare from
+ *       403:
+ *         description: Forbidden — only admins can compare quiz versions
+ *       404:
+ *         description: Quiz or version not found
+ *       500:
+ *         description: Internal server error
+ */
+activityRouter.get("/versions/:quizId/diff", authMiddleware, async (req, res) =>
+  diffQuizVersions(req, res)
+);
+
+// get one version of a quiz
+/**
+ * @swagger
+ * /api/v1/quiz/versions/{quizId}/{version}:
+ *   get:
+ *     summary: Get the frozen snapshot of a quiz version (Admin only)
+ *     description: >
+ *       Returns the version with its `snapshot`: `settings`, the fixed `questions` with their options
+ *       and correct answers, `bank_question_ids`, `bank_rules` (with the ids of the bank questions each
+ *       rule could draw) and `bank_pool`, the full text of those bank questions.
+ *     tags: [Quiz Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 7
+ *       - name: version
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 2
+ *     responses:
+ *       200:
+ *         description: Version fetched
+ *       403:
+ *         description: Forbidden — only admins can view quiz versions
+ *       404:
+ *         description: Quiz version not found
+ *       500:
+ *         description: Internal server error
+ */
+activityRouter.get(
+  "/versions/:quizId/:version",
+  authMiddleware,
+  async (req, res) => getQuizVersion(req, res)
+);
+
+// roll a quiz back to an earlier version
+/**
+ * @swagger
+ * /api/v1/quiz/versions/{quizId}/{version}/rollback:
+ *   post:
+ *     summary: Roll a quiz back to an earlier version (Admin only)
+ *     description: >
+ *       Replaces the quiz's draft with the content of the given version: grading settings, the quiz's
+ *       own questions (updated in place where they still exist), links to bank questions that still
+ *       exist, and bank rules. If the quiz is `LIVE` the restored content is published straight away as
+ *       a new version; earlier versions and the attempts taken against them are left untouched.
+ *     tags: [Quiz Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 7
+ *       - name: version
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Quiz rolled back
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Quiz rolled back to version 1 and published as version 4
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quiz_id:
+ *                       type: integer
+ *                     restored_version:
+ *                       type: integer
+ *                     published_version:
+ *                       type: integer
+ *                       nullable: true
+ *       403:
+ *         description: Forbidden — only admins can roll back quizzes
+ *       404:
+ *         description: Quiz version not found
+ *       500:
+ *         description: Internal server error
+ */
+activityRouter.post(
+  "/versions/:quizId/:version/rollback",
+  authMiddleware,
+  async (req, res) => rollbackQuizVersion(req, res)
+);
+
+// export a quiz as a file
+/**
+ * @swagger
+ * /api/v1/quiz/export/{quizId}:
+ *   get:
+ *     summary: Export a quiz as JSON, CSV or Moodle GIFT (Admin only)
+ *     description: >
+ *       Downloads the quiz's questions, options and correct answers. Linked question bank
+ *       entries are written out as regular questions so the file can be imported anywhere.
+ *       Formats:
+ *       - `json`: the native format, `{ format: "quizz-node", version: 1, quiz }`. It carries
+ *         every quiz setting and the bank draw rules, and can be imported back as is.
+ *       - `csv`: one row per option with the columns `question_no, question_text, question_type,
+ *         points, option_text, is_correct, answer, tolerance, case_sensitive, normalize_whitespace,
+ *         explanation, feedback`.
+ *         Rows with the same `question_no` belong to one question and the question fields are
+ *         read from its first row. `SHORT_ANSWER` questions have one accepted answer per row in
+ *         `answer`; `NUMERIC` questions put the expected value in `answer`; `ESSAY` questions are a single
+ *         row with neither. `feedback` is shown for the option on its row and `explanation` for the
+ *         question. Quiz settings are not included.
+ *       - `gift`: Moodle GIFT text. GIFT has no points or quiz settings; the quiz name is written
+ *         as the `$CATEGORY`, on one line and with each `/` doubled as category paths require. On import,
+ *         the category's full path (without Moodle's `$course$/top` prefix) becomes the quiz name.
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 7
+ *       - name: format
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, gift]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: The exported file, sent as an attachment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unsupported format
+ *       403:
+ *         description: Forbidden — only admins can export quizzes
+ *       404:
+ *         description: Quiz not found
+ *       500:
+ *         description: Internal server error
+ */
+activityRouter.get("/export/:quizId", authMiddleware, async (req, res) =>
+  exportQuiz(req, res)
+);
+
+// import a quiz from a file
+/**
+ * @swagger
+ * /api/v1/quiz/import:
+ *   post:
+ *     summary: Create a quiz from a JSON, CSV or Moodle GIFT file (Admin only)
+ *     description: >
+ *       Creates a DRAFT quiz from a file in one of the formats described on the export endpoint.
+ *       Send native JSON as `application/json`, CSV as `text/csv` and GIFT as `text/plain`.
+ *       The file is checked with the same rules as `POST /api/v1/quiz`; each error names the CSV
+ *       row, GIFT line or JSON question it comes from. GIFT files support multiple choice,
+ *       true/false, short answer, numerical and essay questions.
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: format
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, gift]
+ *           default: json
+ *       - name: name
+ *         in: query
+ *         description: >
+ *           Name of the new quiz. Required for CSV; overrides the name in a JSON file
+ *           and the `$CATEGORY` of a GIFT file.
+ *         schema:
+ *           type: string
+ *           example: "Networking basics"
+ *       - name: assigned_user_ids
+ *         in: query
+ *         required: true
+ *         description: Comma separated ids of the users to assign the quiz to
+ *         schema:
+ *           type: string
+ *           example: "3,4"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - format
+ *               - version
+ *               - quiz
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 example: quizz-node
+ *               version:
+ *                 type: integer
+ *                 example: 1
+ *               quiz:
+ *                 type: object
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               question_no,question_text,question_type,points,option_text,is_correct,explanation,feedback
+ *               1,What is 2 + 2?,SINGLE_CHOICE,1,4,true,Two pairs make four.,
+ *               1,,,,5,false,,One too many.
+ *         text/plain:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               ::Q1:: What is 2 + 2? {=4 ~5 ~3}
+ *     responses:
+ *       201:
+ *         description: Quiz imported
+ *       400:
+ *         description: The file could not be read or failed validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Validation failed
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example:
+ *                     - 'Row 4: "SINGLE_CHOICE" questions must have exactly one correct option'
+ *       403:
+ *         description: Forbidden — only admins can import quizzes
+ *       500:
+ *         description: Internal server error
+ */
+activityRouter.post("/import", authMiddleware, async (req, res) =>
+  importQuiz(req, res)
+);
+
+// ------ ADMIN ONLY ENDPOINTS END------
+
+// get all quizzes assigned to the user
+/**
+ * @swagger
+ * /api/v1/quiz:
+ *   get:
+ *     summary: Get all quizzes assigned to the logged-in user
+ *     description: >
+ *       Returns all **LIVE** quizzes assigned to the currently authenticated user,
+ *       excluding expired ones.
+ *       - Expired quizzes are filtered out unless they have `expires_at` set to `null`.
+ *       - This endpoint is accessible **only** by users with the `USER` role.
+ *       - Quizzes that shuffle or draw questions return an empty `questions` list; the questions are
+ *         served through `GET /api/v1/quiz/{id}` once an attempt is started. `question_count` is the
+ *         number of questions served per attempt.
+ *       - Questions come from the quiz's published `version`; unpublished edits are never shown.
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successfully fetched the list of assigned quizzes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [success]
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   description: List of quizzes assigned to the user
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 101
+ *                       name:
+ *                         type: string
+ *                         example: "JavaScript Fundamentals"
+ *                       expires_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         example: "2025-08-15T10:00:00.000Z"
+ *                       status:
+ *                         type: string
+ *                         enum: [LIVE]
+ *                         example: LIVE
+ *                       question_count:
+ *                         type: integer
+ *                         example: 10
+ *                       version:
+ *                         type: integer
+ *                         description: Published quiz version the questions come from
+ *                         example: 3
+ *                       max_attempts:
+ *                         type: integer
+ *                         nullable: true
+ *                         example: 3
+ *                       remaining_attempts:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Attempts left for this user, `null` when unlimited
+ *                         example: 2
+ *                       next_attempt_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: When the cooldown ends, `null` if a new attempt can start now
+ *                       can_start:
+ *                         type: boolean
+ *                         description: Whether the user may start a new attempt right now
+ *                         example: true
+ *                       questions:
+ *                         type: array
+ *                         description: Quiz questions (without correct answers)
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             id:
+ *                               type: integer
+ *                               example: 301
+ *                             question_text:
+ *                               type: string
+ *                               example: "What is the output of console.log(typeof null)?"
+ *                             question_type:
+ *                               type: string
+ *                               example: SINGLE_CHOICE
+ *                             options:
+ *                               type: array
+ *                               description: List of available answer options
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   id:
+ *                                     type: integer
+ *                                     example: 501
+ *                                   value:
+ *                                     type: string
+ *                                     example: "object"
+ *       401:
+ *         description: Unauthorized - No token or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [failure]
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Unauthorized
+ *       500:
+ *         description: Internal server error while fetching quizzes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [failure]
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Failed to fetch quizzes
+ */
+
+activityRouter.get("/", authMiddleware, async (req, res) =>
+  getAllQuizzes(req, res)
+);
+
+// Get quiz results for the user
+/**
+ * @swagger
+ * /api/v1/quiz/results:
+ *   get:
+ *     summary: Get quiz results for the logged-in user
+ *     description: >
+ *       Retrieves the grades for all quizzes assigned to the authenticated user,
+ *       regardless of quiz status (`LIVE`, `DRAFT`, or `DELETED`).
+ *       - `score`, `score_total` and `percentage` are the learner's grade under the quiz's `grading_policy`:
+ *         the `HIGHEST` (by percentage), `LATEST` or `FIRST` finished attempt, or the `AVERAGE` of all of them.
+ *         `graded_attempt_number` is the attempt the grade comes from, `null` for `AVERAGE`.
+ *       - `passed` is whether the graded attempt passed, against the pass mark of the version it was taken
+ *         on; an `AVERAGE` grade is compared with the published version's `pass_mark`. `null` when there is none.
+ *       - The `latest_score`, `attempt_number`, `attempt_status`, `started_at` and `completed_at` fields
+ *         describe the **most recent finished attempt**. Attempts still in progress are not reported.
+ *       - While the latest attempt has essays waiting to be graded, `awaiting_grading` is true and
+ *         `latest_score` is `null`; it does not count towards the grade until it is fully graded.
+ *       - If the quiz has never been attempted, `latest_score` will be `null` and `attempted` will be `false`.
+ *       - Accessible **only** to authenticated users with the `USER` role.
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successfully fetched quiz results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [success]
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Quiz results fetched successfully
+ *                 data:
+ *                   type: array
+ *                   description: List of quizzes with latest score information
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 101
+ *                       name:
+ *                         type: string
+ *                         example: "JavaScript Fundamentals"
+ *                       status:
+ *                         type: string
+ *                         enum: [LIVE, DRAFT, DELETED]
+ *                         example: LIVE
+ *                       expires_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         example: "2025-08-15T10:00:00.000Z"
+ *                       max_score:
+ *                         type: number
+ *                         nullable: true
+ *                         description: >
+ *                           Maximum possible score of the latest attempt. Before any attempt, the sum of the
+ *                           quiz's question points, or `null` when each attempt draws its own questions.
+ *                         example: 10
+ *                       grading_policy:
+ *                         type: string
+ *                         enum: [HIGHEST, LATEST, FIRST, AVERAGE]
+ *                         example: HIGHEST
+ *                       score:
+ *                         type: number
+ *                         nullable: true
+ *                         description: The learner's grade, `null` before a finished attempt
+ *                         example: 9
+ *                       score_total:
+ *                         type: number
+ *                         description: Total possible points of the graded attempt (averaged for `AVERAGE`)
+ *                         example: 10
+ *                       percentage:
+ *                         type: number
+ *                         nullable: true
+ *                         example: 90
+ *                       graded_attempt_number:
+ *                         type: integer
+ *                         nullable: true
+ *                         example: 1
+ *                       passed:
+ *                         type: boolean
+ *                         nullable: true
+ *                         example: true
+ *                       awaiting_grading:
+ *                         type: boolean
+ *                         example: false
+ *                       latest_score:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Score obtained in the latest attempt
+ *                         example: 8
+ *                       attempt_number:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Attempt number of the latest quiz attempt
  *                         example: 1
+ *                       attempt_status:
+ *                         type: string
+ *                         nullable: true
+ *                         enum: [COMPLETED, TIMED_OUT, PENDING_GRADING]
+ *                         description: How the latest attempt ended
+ *                       started_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         example: "2025-08-01T14:00:00.000Z"
  *                       completed_at:
  *                         type: string
  *                         format: date-time
@@ -786,8 +2132,799 @@ activityRouter.get("/", authMiddleware, async (req, res) =>
  *                         type: boolean
  *                         description: Whether the quiz has been attempted by the user
  *                         example: true
+ *                       attempts_used:
+ *                         type: integer
+ *                         example: 1
+ *                       remaining_attempts:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Attempts left for this user, `null` when unlimited
+ *                         example: 2
+ *                       next_attempt_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: When the cooldown ends, `null` if a new attempt can start now
+ *       401:
+ *         description: Unauthorized - No token or invalid token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Unauthorized
+ *       500:
+ *         description: Internal server error while fetching quiz results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Failed to fetch quiz results
+ *                 error:
+ *                   type: string
+ *                   example: Unexpected database error
+ */
+activityRouter.get("/results", authMiddleware, async (req, res) =>
+  getQuizResults(req, res)
+);
+
+// GET /api/v1/quiz/results/export - Stream attempts as CSV or XLSX
+/**
+ * @swagger
+ * /api/v1/quiz/results/export:
+ *   get:
+ *     summary: Export quiz results as CSV or XLSX (Admin only)
+ *     description: >
+ *       Streams every attempt on one quiz (`quiz_id`), or on all quizzes for attempts started between
+ *       `from` and `to`, or both. At least one of `quiz_id`, `from` or `to` is required.
+ *       Rows are written in batches as they are read, oldest attempt first, so large exports are not
+ *       buffered in memory.
+ *       - Columns: `attempt_id`, `quiz_id`, `quiz_name`, `user_email`, `attempt_number`, `status`, `score`,
+ *         `total`, `percentage`, `passed`, `started_at`, `completed_at`.
+ *       - With `include_questions=true`, one `question_<id>` column per question answered in the exported
+ *         attempts: `correct`, `incorrect`, `unanswered`, or blank when the attempt was not served that
+ *         question or is still in progress. Attempts finished before answers were stored are blank too.
+ *       - With `rows=grades`, one row per learner and quiz instead, graded under the quiz's `grading_policy`
+ *         from the learner's finished attempts that match the filters: `quiz_id`, `quiz_name`, `user_email`,
+ *         `grading_policy`, `attempts_counted`, `graded_attempt_number`, `score`, `total`, `percentage`,
+ *         `passed`. `include_questions` does not apply to grades.
+ *       - Text starting with `=`, `+`, `-`, `@`, a tab or a carriage return (such as a quiz name) is
+ *         prefixed with `'`, so spreadsheet apps do not run it as a formula.
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: format
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - name: quiz_id
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           example: 7
+ *       - name: from
+ *         in: query
+ *         description: Only attempts started at or after this date (ISO 8601)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *           example: "2025-08-01T00:00:00.000Z"
+ *       - name: to
+ *         in: query
+ *         description: Only attempts started at or before this date (ISO 8601)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *           example: "2025-08-31T23:59:59.999Z"
+ *       - name: include_questions
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - name: rows
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [attempts, grades]
+ *           default: attempts
+ *     responses:
+ *       200:
+ *         description: The results file, sent as an attachment
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid format, dates, or neither a quiz nor a date range given
+ *       403:
+ *         description: Forbidden — only admins can export quiz results
+ *       404:
+ *         description: Quiz not found
+ *       500:
+ *         description: Internal server error
+ */
+activityRouter.get("/results/export", authMiddleware, async (req, res) =>
+  exportQuizResults(req, res)
+);
+
+// GET /api/v1/quiz/analytics/:quizId - Score distribution and item analysis
+/**
+ * @swagger
+ * /api/v1/quiz/analytics/{quizId}:
+ *   get:
+ *     summary: Get a quiz's score distribution and item analysis (Admin only)
+ *     description: >
+ *       Aggregates every attempt on the quiz, across all its versions.
+ *       - `attempts`: attempt counts by status, distinct learners, assigned learners and the share of
+ *         assigned learners with at least one finished attempt.
+ *       - `scores` and `histogram`: statistics of the learners' grades under the quiz's `grading_policy`,
+ *         one per learner with a finished (`COMPLETED` or `TIMED_OUT`) attempt, as a percentage of the
+ *         graded total, in ten 10-point buckets.
+ *       - `questions`: for every question served, `difficulty` (share of attempts that got it fully right),
+ *         `discrimination` (correct rate of the top 27% of attempts by score minus that of the bottom 27%;
+ *         `null` with too few attempts) and, for choice questions, how often each option was chosen.
+ *         Questions are described as they were in the latest version that served them. Attempts finished
+ *         before answers were stored only count towards the scores.
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 7
+ *     responses:
+ *       200:
+ *         description: Quiz analytics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quiz:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                           example: 7
+ *                         name:
+ *                           type: string
+ *                           example: "React Fundamentals"
+ *                         status:
+ *                           type: string
+ *                           example: LIVE
+ *                         grading_policy:
+ *                           type: string
+ *                           enum: [HIGHEST, LATEST, FIRST, AVERAGE]
+ *                           example: HIGHEST
+ *                     attempts:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                           example: 58
+ *                         in_progress:
+ *                           type: integer
+ *                           example: 3
+ *                         completed:
+ *                           type: integer
+ *                           example: 52
+ *                         timed_out:
+ *                           type: integer
+ *                           example: 3
+ *                         pending_grading:
+ *                           type: integer
+ *                           description: Closed attempts with essays still to grade
+ *                           example: 2
+ *                         learners:
+ *                           type: integer
+ *                           example: 40
+ *                         assigned:
+ *                           type: integer
+ *                           example: 45
+ *                         completion_rate:
+ *                           type: number
+ *                           nullable: true
+ *                           example: 0.867
+ *                     scores:
+ *                       type: object
+ *                       properties:
+ *                         count:
+ *                           type: integer
+ *                           description: Learners with a grade
+ *                           example: 40
+ *                         mean:
+ *                           type: number
+ *                           nullable: true
+ *                           example: 68.4
+ *                         median:
+ *                           type: number
+ *                           nullable: true
+ *                           example: 70
+ *                         min:
+ *                           type: number
+ *                           nullable: true
+ *                           example: 10
+ *                         max:
+ *                           type: number
+ *                           nullable: true
+ *                           example: 100
+ *                         percentiles:
+ *                           type: object
+ *                           properties:
+ *                             p10:
+ *                               type: number
+ *                             p25:
+ *                               type: number
+ *                             p75:
+ *                               type: number
+ *                             p90:
+ *                               type: number
+ *                     histogram:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           from:
+ *                             type: number
+ *                             example: 60
+ *                           to:
+ *                             type: number
+ *                             example: 70
+ *                           count:
+ *                             type: integer
+ *                             example: 12
+ *                     questions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           question_id:
+ *                             type: integer
+ *                             example: 3
+ *                           question_text:
+ *                             type: string
+ *                           question_type:
+ *                             type: string
+ *                           served:
+ *                             type: integer
+ *                             example: 50
+ *                           answered:
+ *                             type: integer
+ *                             example: 48
+ *                           correct:
+ *                             type: integer
+ *                             example: 31
+ *                           difficulty:
+ *                             type: number
+ *                             nullable: true
+ *                             example: 0.62
+ *                           discrimination:
+ *                             type: number
+ *                             nullable: true
+ *                             example: 0.45
+ *                           options:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 id:
+ *                                   type: integer
+ *                                 value:
+ *                                   type: string
+ *                                 is_correct:
+ *                                   type: boolean
+ *                                 chosen:
+ *                                   type: integer
+ *                                   example: 9
+ *                                 chosen_rate:
+ *                                   type: number
+ *                                   nullable: true
+ *                                   example: 0.18
+ *       403:
+ *         description: Forbidden — only admins can view quiz analytics
+ *       404:
+ *         description: Quiz not found
+ *       500:
+ *         description: Internal server error
+ */
+activityRouter.get("/analytics/:quizId", authMiddleware, async (req, res) =>
+  getQuizAnalytics(req, res)
+);
+
+// GET /api/v1/quiz/leaderboard/:quizId - Rank assigned learners by their best attempt
+/**
+ * @swagger
+ * /api/v1/quiz/leaderboard/{quizId}:
+ *   get:
+ *     summary: Get a quiz leaderboard
+ *     description: >
+ *       Ranks the learners assigned to the quiz by the best of their finished attempts: highest percentage of
+ *       the attempt's own total first (attempts can draw different questions), then the shortest time taken.
+ *       Learners tied on both share a rank.
+ *       - Learners assigned to the quiz can see it only when the quiz has `leaderboard_enabled`; admins always can.
+ *       - Unless the quiz has `leaderboard_show_names`, learners see other learners' emails masked
+ *         (`j***@example.com`) and no user ids. Their own entry is never masked.
+ *       - `my_rank` is the caller's own entry, or `null` when they have no finished attempt.
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 7
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Leaderboard page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quiz:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                           example: 7
+ *                         name:
+ *                           type: string
+ *                           example: "React Fundamentals"
+ *                     my_rank:
+ *                       type: object
+ *                       nullable: true
+ *                       description: The caller's own entry, shaped like the `entries` items
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           rank:
+ *                             type: integer
+ *                             example: 2
+ *                           user_id:
+ *                             type: integer
+ *                             description: Only when names are shown
+ *                             example: 15
+ *                           email:
+ *                             type: string
+ *                             example: "j***@example.com"
+ *                           score:
+ *                             type: number
+ *                             example: 9
+ *                           score_total:
+ *                             type: number
+ *                             example: 10
+ *                           percentage:
+ *                             type: number
+ *                             nullable: true
+ *                             example: 90
+ *                           time_taken_seconds:
+ *                             type: integer
+ *                             example: 754
+ *                           completed_at:
+ *                             type: string
+ *                             format: date-time
+ *                           is_me:
+ *                             type: boolean
+ *                             example: false
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                       example: 1
+ *                     limit:
+ *                       type: integer
+ *                       example: 20
+ *                     total:
+ *                       type: integer
+ *                       example: 37
+ *       400:
+ *         description: Invalid pagination parameters
+ *       403:
+ *         description: The leaderboard is not enabled for this quiz
+ *       404:
+ *         description: Quiz not found, or the learner is not assigned to it
+ *       500:
+ *         description: Internal server error
+ */
+activityRouter.get("/leaderboard/:quizId", authMiddleware, async (req, res) =>
+  getQuizLeaderboard(req, res)
+);
+
+// GET /api/v1/quiz/grading-queue/:quizId - Essay answers waiting to be graded
+/**
+ * @swagger
+ * /api/v1/quiz/grading-queue/{quizId}:
+ *   get:
+ *     summary: List the essay answers of a quiz waiting to be graded (Admin only)
+ *     description: >
+ *       Lists the ungraded essay answers of the quiz's `PENDING_GRADING` attempts, oldest submission first.
+ *       Questions are shown as they were served in the attempt. Grade each answer through
+ *       `POST /api/v1/quiz/responses/{responseId}/grade`.
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 7
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Answers waiting to be graded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quiz:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                           example: 7
+ *                         name:
+ *                           type: string
+ *                           example: "Ethics in Practice"
+ *                     responses:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           response_id:
+ *                             type: integer
+ *                             example: 311
+ *                           attempt_id:
+ *                             type: integer
+ *                             example: 42
+ *                           attempt_number:
+ *                             type: integer
+ *                             example: 1
+ *                           submitted_at:
+ *                             type: string
+ *                             format: date-time
+ *                           user:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: integer
+ *                                 example: 12
+ *                               email:
+ *                                 type: string
+ *                                 example: "jane@example.com"
+ *                           question_id:
+ *                             type: integer
+ *                             example: 5
+ *                           question_text:
+ *                             type: string
+ *                             example: "Describe a conflict of interest you might face at work."
+ *                           points:
+ *                             type: number
+ *                             description: Most points the answer can be awarded
+ *                             example: 5
+ *                           answer_text:
+ *                             type: string
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                       example: 1
+ *                     limit:
+ *                       type: integer
+ *                       example: 20
+ *                     total:
+ *                       type: integer
+ *                       example: 9
+ *       400:
+ *         description: Invalid pagination
+ *       403:
+ *         description: Forbidden — only admins can grade answers
+ *       404:
+ *         description: Quiz not found
+ *       500:
+ *         description: Internal server error
+ */
+activityRouter.get("/grading-queue/:quizId", authMiddleware, async (req, res) =>
+  getGradingQueue(req, res)
+);
+
+// POST /api/v1/quiz/responses/:responseId/grade - Grade an essay answer
+/**
+ * @swagger
+ * /api/v1/quiz/responses/{responseId}/grade:
+ *   post:
+ *     summary: Grade an essay answer (Admin only)
+ *     description: >
+ *       Awards points and an optional comment to an essay answer of a `PENDING_GRADING` attempt.
+ *       An answer can be graded again while its attempt still has other essays to grade.
+ *       - `points` must be between 0 and the question's points; only full points count as correct.
+ *       - Once the last essay is graded, the attempt's score is totalled and it becomes `COMPLETED`
+ *         (or `TIMED_OUT`, if that is how it ended). It is then passed or failed against the `pass_mark`
+ *         of the version it was taken on, earning a certificate when passed, and counts towards the learner's grade.
+ *       - The learner sees the comment when reviewing the attempt.
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: responseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 311
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - points
+ *             properties:
+ *               points:
+ *                 type: number
+ *                 minimum: 0
+ *                 example: 4
+ *               comment:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "Good example, but the reporting step is missing."
+ *     responses:
+ *       200:
+ *         description: Answer graded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Answer graded, the attempt is fully graded
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     response:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                           example: 311
+ *                         question_id:
+ *                           type: integer
+ *                           example: 5
+ *                         points_awarded:
+ *                           type: number
+ *                           example: 4
+ *                         is_correct:
+ *                           type: boolean
+ *                           example: false
+ *                         grader_comment:
+ *                           type: string
+ *                           nullable: true
+ *                         graded_at:
+ *                           type: string
+ *                           format: date-time
+ *                     attempt:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                           example: 42
+ *                         status:
+ *                           type: string
+ *                           enum: [PENDING_GRADING, COMPLETED, TIMED_OUT]
+ *                         remaining_to_grade:
+ *                           type: integer
+ *                           example: 0
+ *                         score:
+ *                           type: number
+ *                           nullable: true
+ *                           description: "`null` while other essays remain to grade"
+ *                           example: 8
+ *                         total:
+ *                           type: number
+ *                           example: 10
+ *                         passed:
+ *                           type: boolean
+ *                           nullable: true
+ *       400:
+ *         description: Validation failed, or more points than the question is worth
+ *       403:
+ *         description: Forbidden — only admins can grade answers
+ *       404:
+ *         description: Response not found
+ *       409:
+ *         description: The attempt is not awaiting grading, or the answer is not an essay
+ *       500:
+ *         description: Internal server error
+ */
+activityRouter.post(
+  "/responses/:responseId/grade",
+  authMiddleware,
+  async (req, res) => gradeQuizResponse(req, res)
+);
+//GET quiz by its id to be attempted by the user
+/**
+ * @swagger
+ * /api/v1/quiz/{id}:
+ *   get:
+ *     summary: Get quiz details for the logged-in user to attempt
+ *     description: >
+ *       Retrieves a specific quiz assigned to the authenticated user **without revealing correct answers**.
+ *       - The quiz must be `LIVE` and either have no expiration date or not yet expired.
+ *       - Only users assigned to the quiz can access it.
+ *       - Expired or unassigned quizzes return `404`.
+ *       - `active_attempt` holds the learner's in-progress attempt and its deadline, if any.
+ *       - While an attempt is in progress, questions and options are returned in the order stored for
+ *         that attempt (and limited to the questions drawn for it), so reloading shows the same layout.
+ *       - Quizzes that shuffle or draw questions return no questions until an attempt is started.
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 101
+ *         description: The unique ID of the quiz to fetch
+ *     responses:
+ *       200:
+ *         description: Successfully fetched the quiz
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [success]
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 101
+ *                     name:
+ *                       type: string
+ *                       example: "JavaScript Fundamentals"
+ *                     expires_at:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                       example: "2025-08-15T10:00:00.000Z"
+ *                     time_limit_minutes:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: 30
+ *                     version:
+ *                       type: integer
+ *                       description: Published quiz version the questions come from
+ *                       example: 3
+ *                     active_attempt:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                         attempt_number:
+ *                           type: integer
+ *                         started_at:
+ *                           type: string
+ *                           format: date-time
+ *                         deadline_at:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                     questions:
+ *                       type: array
+ *                       description: List of quiz questions (without correct answers)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                             example: 1
+ *                           question_text:
+ *                             type: string
+ *                             example: "What is the output of console.log(typeof null)?"
+ *                           question_type:
+ *                             type: string
+ *                             example: SINGLE_CHOICE
+ *                           options:
+ *                             type: array
+ *                             description: Multiple-choice options
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 id:
+ *                                   type: integer
+ *                                   example: 11
+ *                                 value:
+ *                                   type: string
+ *                                   example: "object"
+ *                 message:
+ *                   type: string
+ *                   example: Quiz fetched successfully
  *       401:
- *         description: Unauthorized - No token or invalid token provided
+ *         description: Unauthorized - Missing or invalid authentication token
  *         content:
  *           application/json:
  *             schema:
@@ -799,8 +2936,21 @@ activityRouter.get("/", authMiddleware, async (req, res) =>
  *                 message:
  *                   type: string
  *                   example: Unauthorized
+ *       404:
+ *         description: Quiz not found, expired, or not accessible to this user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
+ *                 message:
+ *                   type: string
+ *                   example: Quiz not found, expired, or not accessible
  *       500:
- *         description: Internal server error while fetching quiz results
+ *         description: Internal server error while fetching quiz details
  *         content:
  *           application/json:
  *             schema:
@@ -811,25 +2961,119 @@ activityRouter.get("/", authMiddleware, async (req, res) =>
  *                   example: failure
  *                 message:
  *                   type: string
- *                   example: Failed to fetch quiz results
- *                 error:
+ *                   example: Failed to fetch quiz
+ */
+activityRouter.get("/:id", authMiddleware, async (req, res) =>
+  getQuizById(req, res)
+);
+// POST /api/v1/quiz/:id/start - Start a (timed) attempt
+/**
+ * @swagger
+ * /api/v1/quiz/{id}/start:
+ *   post:
+ *     summary: Start a quiz attempt
+ *     description: >
+ *       Creates an `IN_PROGRESS` attempt for the authenticated user and starts the server-side clock.
+ *       - The quiz must be `LIVE`, not expired, and assigned to the user.
+ *       - `deadline_at` is `started_at` plus the quiz's `time_limit_minutes`, capped at the quiz's `expires_at`.
+ *       - If an attempt is already running it is returned unchanged (`200`), so reloading does not reset the clock.
+ *       - The question/option order (and the random draw, if `questions_per_attempt` is set) is fixed and
+ *         stored when the attempt starts; only the questions served count towards the score.
+ *       - Attempts that are never submitted are closed as `TIMED_OUT` once their deadline passes.
+ *       - Fails when the user has used up `max_attempts` (plus any extra attempts granted) or is still in the cooldown window.
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 105
+ *         description: The unique ID of the quiz to start
+ *     responses:
+ *       201:
+ *         description: Attempt started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
  *                   type: string
- *                   example: Unexpected database error
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Attempt started
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 42
+ *                     attempt_number:
+ *                       type: integer
+ *                       example: 1
+ *                     status:
+ *                       type: string
+ *                       example: IN_PROGRESS
+ *                     started_at:
+ *                       type: string
+ *                       format: date-time
+ *                       example: "2025-08-01T14:00:00.000Z"
+ *                     deadline_at:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                       example: "2025-08-01T14:30:00.000Z"
+ *       200:
+ *         description: An attempt is already in progress and is returned as-is
+ *       403:
+ *         description: >
+ *           User not assigned to quiz, quiz has expired, the attempt limit is reached,
+ *           or the cooldown since the last attempt has not passed yet. The latter two
+ *           include the user's attempt allowance in `data`.
+ *       409:
+ *         description: Another request started the same attempt at the same time
+ *       500:
+ *         description: Internal server error while starting the quiz
  */
-activityRouter.get("/results", authMiddleware, async (req, res) =>
-  getQuizResults(req, res)
+activityRouter.post("/:id/start", authMiddleware, async (req, res) =>
+  startQuizAttempt(req, res)
 );
-//GET quiz by its id to be attempted by the user
+// POST /api/v1/quiz/:id - Submit quiz answers
 /**
  * @swagger
  * /api/v1/quiz/{id}:
- *   get:
- *     summary: Get quiz details for the logged-in user to attempt
+ *   post:
+ *     summary: Submit quiz answers
  *     description: >
- *       Retrieves a specific quiz assigned to the authenticated user **without revealing correct answers**.
- *       - The quiz must be `LIVE` and either have no expiration date or not yet expired.
- *       - Only users assigned to the quiz can access it.
- *       - Expired or unassigned quizzes return `404`.
+ *       Allows an authenticated **USER** to submit answers for a quiz they are assigned to.
+ *       - The quiz must have a `LIVE` status and must not be expired.
+ *       - The user must be assigned to the quiz to attempt it.
+ *       - Calculates the weighted score from each question's `points` using the quiz's `scoring_policy`
+ *         and `wrong_answer_penalty`, and stores the attempt in the database. The score never drops below 0.
+ *       - Choice questions are answered with `option_id` or, for `MULTIPLE_CHOICE`, `option_ids`
+ *         (all correct options and nothing else must be selected).
+ *       - `SHORT_ANSWER` and `ESSAY` questions are answered with `answer_text`, `NUMERIC` questions with `answer_number`.
+ *       - Essay answers are graded by hand: an attempt with any is closed as `PENDING_GRADING`, with
+ *         `awaiting_grading` true and `score` and `passed` left `null` until every essay is graded through
+ *         `POST /api/v1/quiz/responses/{responseId}/grade`. Blank essays score 0 right away.
+ *       - Multiple attempts are allowed, with attempt numbers tracked.
+ *       - Closes the learner's in-progress attempt. Quizzes with a `time_limit_minutes` must be started
+ *         through `POST /api/v1/quiz/{id}/start` first; untimed quizzes are started implicitly.
+ *       - Submissions received after the attempt deadline (plus a short grace period) are rejected
+ *         and the attempt is closed as `TIMED_OUT`.
+ *       - Answers saved through `PUT /api/v1/quiz/{id}/answers` are graded along with the submitted ones;
+ *         a submitted answer replaces the saved answer to the same question. `answers` may be empty when
+ *         everything was saved beforehand.
+ *       - Each answer is stored with its grading, so the attempt can later be reviewed through
+ *         `GET /api/v1/quiz/attempts/{attemptId}/review`.
+ *       - When the quiz's `review_policy` is `IMMEDIATELY`, `feedback` holds the same per-question review
+ *         (correct answers, explanations and option feedback); otherwise it is `null`.
+ *       - When the quiz has a `pass_mark`, `passed` tells whether the attempt reached it, and a passing
+ *         attempt is issued a certificate whose verification code is returned as `certificate_code`.
  *     tags: [Quiz]
  *     security:
  *       - bearerAuth: []
@@ -839,11 +3083,54 @@ activityRouter.get("/results", authMiddleware, async (req, res) =>
  *         required: true
  *         schema:
  *           type: integer
- *           example: 101
- *         description: The unique ID of the quiz to fetch
+ *           example: 105
+ *         description: The unique ID of the quiz to submit
+ *     requestBody:
+ *       required: true
+ *       description: List of question and selected option pairs for the quiz
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 description: An array of answers for the quiz questions
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - question_id
+ *                   properties:
+ *                     question_id:
+ *                       type: integer
+ *                       example: 1
+ *                     option_id:
+ *                       type: integer
+ *                       example: 11
+ *                     option_ids:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                       example: [11, 12]
+ *                     answer_text:
+ *                       type: string
+ *                       example: "Paris"
+ *                     answer_number:
+ *                       type: number
+ *                       example: 3.14
+ *           example:
+ *             answers:
+ *               - question_id: 1
+ *                 option_id: 11
+ *               - question_id: 2
+ *                 option_ids: [17, 18]
+ *               - question_id: 3
+ *                 answer_text: "Paris"
+ *               - question_id: 4
+ *                 answer_number: 3.14
  *     responses:
  *       200:
- *         description: Successfully fetched the quiz
+ *         description: Quiz submitted successfully
  *         content:
  *           application/json:
  *             schema:
@@ -853,49 +3140,71 @@ activityRouter.get("/results", authMiddleware, async (req, res) =>
  *                   type: string
  *                   enum: [success]
  *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Quiz submitted successfully
  *                 data:
  *                   type: object
  *                   properties:
- *                     id:
+ *                     attempt_id:
  *                       type: integer
- *                       example: 101
- *                     name:
+ *                       example: 42
+ *                     attempt_number:
+ *                       type: integer
+ *                       example: 1
+ *                     status:
  *                       type: string
- *                       example: "JavaScript Fundamentals"
- *                     expires_at:
+ *                       enum: [COMPLETED, PENDING_GRADING]
+ *                     awaiting_grading:
+ *                       type: boolean
+ *                       example: false
+ *                     score:
+ *                       type: number
+ *                       nullable: true
+ *                       description: "`null` until every essay is graded"
+ *                       example: 7.5
+ *                     total:
+ *                       type: number
+ *                       example: 10
+ *                     passed:
+ *                       type: boolean
+ *                       nullable: true
+ *                       description: "`null` when the quiz has no pass mark"
+ *                       example: false
+ *                     certificate_code:
  *                       type: string
- *                       format: date-time
  *                       nullable: true
- *                       example: "2025-08-15T10:00:00.000Z"
- *                     questions:
+ *                       description: Verification code of the certificate earned by a passing attempt
+ *                       example: null
+ *                     feedback:
  *                       type: array
- *                       description: List of quiz questions (without correct answers)
+ *                       nullable: true
+ *                       description: >
+ *                         Per-question review, shaped like the `questions` of
+ *                         `GET /api/v1/quiz/attempts/{attemptId}/review`, or `null` when review is not open yet
  *                       items:
  *                         type: object
- *                         properties:
- *                           id:
- *                             type: integer
- *                             example: 1
- *                           question_text:
- *                             type: string
- *                             example: "What is the output of console.log(typeof null)?"
- *                           options:
- *                             type: array
- *                             description: Multiple-choice options
- *                             items:
- *                               type: object
- *                               properties:
- *                                 id:
- *                                   type: integer
- *                                   example: 11
- *                                 value:
- *                                   type: string
- *                                   example: "object"
+ *       400:
+ *         description: No answers provided (nor saved) or invalid request body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failure
  *                 message:
  *                   type: string
- *                   example: Quiz fetched successfully
- *       401:
- *         description: Unauthorized - Missing or invalid authentication token
+ *                   example: Validation failed
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example:
+ *                     - No answers provided
+ *       403:
+ *         description: User not assigned to quiz, quiz has expired, or the attempt deadline has passed
  *         content:
  *           application/json:
  *             schema:
@@ -906,9 +3215,9 @@ activityRouter.get("/results", authMiddleware, async (req, res) =>
  *                   example: failure
  *                 message:
  *                   type: string
- *                   example: Unauthorized
- *       404:
- *         description: Quiz not found, expired, or not accessible to this user
+ *                   example: You are not assigned to this quiz or it has expired
+ *       409:
+ *         description: Timed quiz was not started, the attempt was already closed, or another request started the same attempt at the same time
  *         content:
  *           application/json:
  *             schema:
@@ -919,9 +3228,9 @@ activityRouter.get("/results", authMiddleware, async (req, res) =>
  *                   example: failure
  *                 message:
  *                   type: string
- *                   example: Quiz not found, expired, or not accessible
+ *                   example: Start the quiz before submitting answers
  *       500:
- *         description: Internal server error while fetching quiz details
+ *         description: Internal server error while submitting the quiz
  *         content:
  *           application/json:
  *             schema:
@@ -932,23 +3241,29 @@ activityRouter.get("/results", authMiddleware, async (req, res) =>
  *                   example: failure
  *                 message:
  *                   type: string
- *                   example: Failed to fetch quiz
+ *                   example: Failed to submit quiz
  */
-activityRouter.get("/:id", authMiddleware, async (req, res) =>
-  getQuizById(req, res)
+activityRouter.post("/:id", authMiddleware, async (req, res) =>
+  submitQuizAnswers(req, res)
 );
-// POST /api/v1/quiz/:id - Submit quiz answers
+
+// PUT /api/v1/quiz/:id/answers - Save answers to the attempt in progress
 /**
  * @swagger
- * /api/v1/quiz/{id}:
- *   post:
- *     summary: Submit quiz answers
+ * /api/v1/quiz/{id}/answers:
+ *   put:
+ *     summary: Save answers for later
  *     description: >
- *       Allows an authenticated **USER** to submit answers for a quiz they are assigned to.
- *       - The quiz must have a `LIVE` status and must not be expired.
- *       - The user must be assigned to the quiz to attempt it.
- *       - Calculates the score based on correct answers and stores the attempt in the database.
- *       - Multiple attempts are allowed, with attempt numbers tracked.
+ *       Saves answers against the user's in-progress attempt without grading or closing it, so they
+ *       survive a reload or a lost connection. Meant to be called on every answer change.
+ *       - Each answer replaces whatever was saved for the same question; answers to other questions
+ *         are kept, and repeating the same save changes nothing.
+ *       - An entry with only `question_id` clears the saved answer to that question.
+ *       - Only questions served in the attempt may be answered.
+ *       - The attempt must have been started through `POST /api/v1/quiz/{id}/start`. Saves after the
+ *         deadline (plus a short grace period) are rejected and the attempt is closed as `TIMED_OUT`.
+ *       - Submitting with `POST /api/v1/quiz/{id}` grades the saved answers; attempts that are never
+ *         submitted are graded on their saved answers when they time out.
  *     tags: [Quiz]
  *     security:
  *       - bearerAuth: []
@@ -959,10 +3274,8 @@ activityRouter.get("/:id", authMiddleware, async (req, res) =>
  *         schema:
  *           type: integer
  *           example: 105
- *         description: The unique ID of the quiz to submit
  *     requestBody:
  *       required: true
- *       description: List of question and selected option pairs for the quiz
  *       content:
  *         application/json:
  *           schema:
@@ -972,28 +3285,32 @@ activityRouter.get("/:id", authMiddleware, async (req, res) =>
  *             properties:
  *               answers:
  *                 type: array
- *                 description: An array of answers for the quiz questions
+ *                 minItems: 1
  *                 items:
  *                   type: object
  *                   required:
  *                     - question_id
- *                     - option_id
  *                   properties:
  *                     question_id:
  *                       type: integer
- *                       example: 1
  *                     option_id:
  *                       type: integer
- *                       example: 11
+ *                     option_ids:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                     answer_text:
+ *                       type: string
+ *                     answer_number:
+ *                       type: number
  *           example:
  *             answers:
  *               - question_id: 1
  *                 option_id: 11
- *               - question_id: 2
- *                 option_id: 17
+ *               - question_id: 3
  *     responses:
  *       200:
- *         description: Quiz submitted successfully
+ *         description: Answers saved
  *         content:
  *           application/json:
  *             schema:
@@ -1001,35 +3318,54 @@ activityRouter.get("/:id", authMiddleware, async (req, res) =>
  *               properties:
  *                 status:
  *                   type: string
- *                   enum: [success]
  *                   example: success
  *                 message:
  *                   type: string
- *                   example: Quiz submitted successfully
+ *                   example: Answers saved
  *                 data:
  *                   type: object
  *                   properties:
- *                     score:
+ *                     attempt_id:
  *                       type: integer
- *                       example: 8
- *                     total:
- *                       type: integer
- *                       example: 10
+ *                       example: 42
+ *                     last_saved_at:
+ *                       type: string
+ *                       format: date-time
  *       400:
- *         description: No answers provided or invalid request body
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: failure
- *                 message:
- *                   type: string
- *                   example: No answers provided
+ *         description: Invalid request body, or questions that are not part of the attempt
  *       403:
- *         description: User not assigned to quiz or quiz has expired
+ *         description: User not assigned to quiz, quiz is not LIVE, or the attempt deadline has passed
+ *       409:
+ *         description: No attempt in progress, or it was closed meanwhile
+ *       500:
+ *         description: Internal server error
+ */
+activityRouter.put("/:id/answers", authMiddleware, async (req, res) =>
+  saveQuizAnswers(req, res)
+);
+
+// GET /api/v1/quiz/:id/answers - Fetch the answers saved for the attempt in progress
+/**
+ * @swagger
+ * /api/v1/quiz/{id}/answers:
+ *   get:
+ *     summary: Get saved answers
+ *     description: >
+ *       Returns the user's in-progress attempt with the answers saved so far, to restore the quiz
+ *       after a reload. The questions themselves come from `GET /api/v1/quiz/{id}`.
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 105
+ *     responses:
+ *       200:
+ *         description: The attempt in progress and its saved answers
  *         content:
  *           application/json:
  *             schema:
@@ -1037,12 +3373,85 @@ activityRouter.get("/:id", authMiddleware, async (req, res) =>
  *               properties:
  *                 status:
  *                   type: string
- *                   example: failure
- *                 message:
- *                   type: string
- *                   example: You are not assigned to this quiz or it has expired
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 42
+ *                     attempt_number:
+ *                       type: integer
+ *                       example: 1
+ *                     status:
+ *                       type: string
+ *                       example: IN_PROGRESS
+ *                     started_at:
+ *                       type: string
+ *                       format: date-time
+ *                     deadline_at:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     last_saved_at:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     answers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           question_id:
+ *                             type: integer
+ *                           option_ids:
+ *                             type: array
+ *                             items:
+ *                               type: integer
+ *                           answer_text:
+ *                             type: string
+ *                           answer_number:
+ *                             type: number
+ *       403:
+ *         description: User not assigned to quiz, quiz is not LIVE, or the attempt deadline has passed
+ *       404:
+ *         description: No attempt in progress
  *       500:
- *         description: Internal server error while submitting the quiz
+ *         description: Internal server error
+ */
+activityRouter.get("/:id/answers", authMiddleware, async (req, res) =>
+  getSavedAnswers(req, res)
+);
+
+// GET /api/v1/quiz/attempts/:attemptId/review - Review a finished attempt
+/**
+ * @swagger
+ * /api/v1/quiz/attempts/{attemptId}/review:
+ *   get:
+ *     summary: Review a finished attempt
+ *     description: >
+ *       Returns every question served in the attempt, in the order it was served, with the learner's
+ *       answer, the correct answer, whether it was correct and the points awarded. Questions are shown
+ *       as they were in the quiz version the attempt was taken on, with the answer key of any regrade
+ *       run since (`POST /api/v1/quiz/regrade/{quizId}`).
+ *       - Learners can only review their own attempts, and only once the quiz's `review_policy` allows it:
+ *         `IMMEDIATELY` after submitting, `AFTER_EXPIRY` once the quiz has expired, or `NEVER`.
+ *       - Admins can review any attempt at any time.
+ *       - Attempts finished before answers were stored have `response`, `is_correct` and
+ *         `points_awarded` set to `null`.
+ *     tags: [Quiz]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 42
+ *     responses:
+ *       200:
+ *         description: Attempt review
  *         content:
  *           application/json:
  *             schema:
@@ -1050,13 +3459,135 @@ activityRouter.get("/:id", authMiddleware, async (req, res) =>
  *               properties:
  *                 status:
  *                   type: string
- *                   example: failure
- *                 message:
- *                   type: string
- *                   example: Failed to submit quiz
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quiz:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                           example: 7
+ *                         name:
+ *                           type: string
+ *                           example: "React Fundamentals"
+ *                     attempt:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                           example: 42
+ *                         attempt_number:
+ *                           type: integer
+ *                           example: 1
+ *                         status:
+ *                           type: string
+ *                           enum: [COMPLETED, TIMED_OUT, PENDING_GRADING]
+ *                         started_at:
+ *                           type: string
+ *                           format: date-time
+ *                         deadline_at:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                         completed_at:
+ *                           type: string
+ *                           format: date-time
+ *                         score:
+ *                           type: number
+ *                           example: 3.5
+ *                         total:
+ *                           type: number
+ *                           example: 5
+ *                     questions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           question_id:
+ *                             type: integer
+ *                             example: 3
+ *                           question_text:
+ *                             type: string
+ *                             example: "Which hooks are built into React?"
+ *                           question_type:
+ *                             type: string
+ *                             example: MULTIPLE_CHOICE
+ *                           points:
+ *                             type: number
+ *                             example: 2
+ *                           explanation:
+ *                             type: string
+ *                             nullable: true
+ *                             example: "useState and useEffect ship with React; useFetch does not."
+ *                           options:
+ *                             type: array
+ *                             description: Choice questions only
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 id:
+ *                                   type: integer
+ *                                 value:
+ *                                   type: string
+ *                                 is_correct:
+ *                                   type: boolean
+ *                                 feedback:
+ *                                   type: string
+ *                                   nullable: true
+ *                                 selected:
+ *                                   type: boolean
+ *                           accepted_answers:
+ *                             type: array
+ *                             description: "`SHORT_ANSWER` only"
+ *                             items:
+ *                               type: string
+ *                           numeric_answer:
+ *                             type: number
+ *                             description: "`NUMERIC` only"
+ *                           numeric_tolerance:
+ *                             type: number
+ *                             description: "`NUMERIC` only"
+ *                           response:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               option_ids:
+ *                                 type: array
+ *                                 items:
+ *                                   type: integer
+ *                               answer_text:
+ *                                 type: string
+ *                                 nullable: true
+ *                               answer_number:
+ *                                 type: number
+ *                                 nullable: true
+ *                           is_correct:
+ *                             type: boolean
+ *                             nullable: true
+ *                           points_awarded:
+ *                             type: number
+ *                             nullable: true
+ *                             description: "`null` while an essay awaits grading"
+ *                             example: 1
+ *                           grader_comment:
+ *                             type: string
+ *                             nullable: true
+ *                             description: The grader's comment on a hand-graded answer
+ *       403:
+ *         description: Review is not open yet, or never opens, for this quiz
+ *       404:
+ *         description: Attempt not found, or it belongs to another learner
+ *       409:
+ *         description: The attempt is still in progress
+ *       500:
+ *         description: Internal server error
  */
-activityRouter.post("/:id", authMiddleware, async (req, res) =>
-  submitQuizAnswers(req, res)
+activityRouter.get(
+  "/attempts/:attemptId/review",
+  authMiddleware,
+  async (req, res) => getAttemptReview(req, res)
 );
 
 module.exports = activityRouter;
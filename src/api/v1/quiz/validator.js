@@ -1,41 +1,168 @@
 const Joi = require("joi");
+const {
+  QUESTION_TYPES,
+  CHOICE_QUESTION_TYPES,
+  SCORING_POLICIES,
+  REVIEW_POLICIES,
+  PASS_MARK_TYPES,
+  GRADING_POLICIES,
+  DIFFICULTIES,
+} = require("../../../helper/constants");
 
-const createQuizSchema = Joi.object({
+const optionSchema = Joi.object({
+  // only used when editing, to update an existing option in place
+  id: Joi.number().integer().positive(),
+  value: Joi.string().required().messages({
+    "string.empty": `"value" is required`,
+    "any.required": `"value" is required`,
+  }),
+  is_correct: Joi.boolean().default(false),
+  // shown to learners who picked this option, once review is allowed
+  feedback: Joi.string().allow("", null),
+});
+
+// checks the number of correct options against the question type
+const validateCorrectOptions = (question, helpers) => {
+  const { question_type, options = [] } = question;
+  const correctCount = options.filter((opt) => opt.is_correct).length;
+
+  if (
+    [QUESTION_TYPES.SINGLE_CHOICE, QUESTION_TYPES.TRUE_FALSE].includes(
+      question_type
+    ) &&
+    correctCount !== 1
+  ) {
+    return helpers.message(
+      `"${question_type}" questions must have exactly one correct option`
+    );
+  }
+  if (question_type === QUESTION_TYPES.MULTIPLE_CHOICE && correctCount < 1) {
+    return helpers.message(
+      `"MULTIPLE_CHOICE" questions must have at least one correct option`
+    );
+  }
+  return question;
+};
+
+const questionSchema = Joi.object({
+  question_text: Joi.string().min(5).required().messages({
+    "string.empty": `"question_text" is required`,
+    "any.required": `"question_text" is required`,
+  }),
+  question_type: Joi.string()
+    .valid(...Object.values(QUESTION_TYPES))
+    .default(QUESTION_TYPES.SINGLE_CHOICE),
+  points: Joi.number().positive().default(1),
+  options: Joi.when("question_type", {
+    switch: [
+      {
+        is: QUESTION_TYPES.TRUE_FALSE,
+        then: Joi.array().length(2).items(optionSchema).required().messages({
+          "array.length": `"TRUE_FALSE" questions must have exactly two options`,
+        }),
+      },
+      {
+        is: Joi.valid(...CHOICE_QUESTION_TYPES),
+        then: Joi.array().min(1).items(optionSchema).required(),
+      },
+    ],
+    otherwise: Joi.array().max(0).default([]).messages({
+      "array.max": `"options" are only allowed on choice questions`,
+    }),
+  }).messages({
+    "array.base": `"options" must be an array`,
+    "array.min": `"options" must have at least one option`,
+  }),
+  accepted_answers: Joi.when("question_type", {
+    is: QUESTION_TYPES.SHORT_ANSWER,
+    then: Joi.array().min(1).items(Joi.string().required()).required(),
+    otherwise: Joi.forbidden(),
+  }).messages({
+    "any.required": `"accepted_answers" is required for SHORT_ANSWER questions`,
+    "array.min": `"accepted_answers" must have at least one answer`,
+  }),
+  case_sensitive: Joi.boolean().default(false),
+  normalize_whitespace: Joi.boolean().default(true),
+  numeric_answer: Joi.when("question_type", {
+    is: QUESTION_TYPES.NUMERIC,
+    then: Joi.number().required(),
+    otherwise: Joi.forbidden(),
+  }).messages({
+    "any.required": `"numeric_answer" is required for NUMERIC questions`,
+  }),
+  numeric_tolerance: Joi.number().min(0).default(0),
+  // why the answer is what it is, shown once review is allowed
+  explanation: Joi.string().allow("", null),
+}).custom(validateCorrectOptions);
+
+const bankRuleSchema = Joi.object({
+  tags: Joi.array().items(Joi.string().trim().lowercase()).default([]),
+  difficulty: Joi.string()
+    .valid(...Object.values(DIFFICULTIES))
+    .allow(null)
+    .default(null),
+  count: Joi.number().integer().positive().required().messages({
+    "any.required": `"count" is required for bank rules`,
+  }),
+});
+
+// the fields of a quiz, shared by creating and editing one
+const quizFields = {
   name: Joi.string().min(3).max(255).required().messages({
     "string.empty": `"name" is required`,
     "any.required": `"name" is required`,
   }),
-  questions: Joi.array()
-    .items(
-      Joi.object({
-        question_text: Joi.string().min(5).required().messages({
-          "string.empty": `"question_text" is required`,
-          "any.required": `"question_text" is required`,
-        }),
-        options: Joi.array()
-          .min(1)
-          .items(
-            Joi.object({
-              value: Joi.string().required().messages({
-                "string.empty": `"value" is required`,
-                "any.required": `"value" is required`,
-              }),
-              is_correct: Joi.boolean().default(false),
-            })
-          )
-          .required()
-          .messages({
-            "array.base": `"options" must be an array`,
-            "array.min": `"options" must have at least one option`,
-          }),
-      })
-    )
-    .min(1)
-    .required()
+  questions: Joi.array().items(questionSchema).default([]).messages({
+    "array.base": `"questions" must be an array`,
+  }),
+  bank_question_ids: Joi.array()
+    .items(Joi.number().integer().positive())
+    .unique()
+    .default([]),
+  bank_rules: Joi.array().items(bankRuleSchema).default([]),
+  scoring_policy: Joi.string()
+    .valid(...Object.values(SCORING_POLICIES))
+    .default(SCORING_POLICIES.ALL_OR_NOTHING),
+  wrong_answer_penalty: Joi.number().min(0).max(1).default(0).messages({
+    "number.max": `"wrong_answer_penalty" is a fraction of the question's points and cannot exceed 1`,
+  }),
+  time_limit_minutes: Joi.number()
+    .integer()
+    .positive()
+    .allow(null)
+    .default(null),
+  max_attempts: Joi.number().integer().positive().allow(null).default(null),
+  cooldown_minutes: Joi.number().integer().min(0).allow(null).default(null),
+  shuffle_questions: Joi.boolean().default(false),
+  shuffle_options: Joi.boolean().default(false),
+  questions_per_attempt: Joi.number()
+    .integer()
+    .positive()
+    .allow(null)
+    .default(null),
+  review_policy: Joi.string()
+    .valid(...Object.values(REVIEW_POLICIES))
+    .default(REVIEW_POLICIES.AFTER_EXPIRY),
+  leaderboard_enabled: Joi.boolean().default(false),
+  leaderboard_show_names: Joi.boolean().default(false),
+  pass_mark_type: Joi.string()
+    .valid(...Object.values(PASS_MARK_TYPES))
+    .default(PASS_MARK_TYPES.PERCENT),
+  // no pass mark means attempts are neither passed nor failed
+  pass_mark: Joi.number()
+    .min(0)
+    .allow(null)
+    .default(null)
+    .when("pass_mark_type", {
+      is: PASS_MARK_TYPES.PERCENT,
+      then: Joi.number().max(100),
+    })
     .messages({
-      "array.base": `"questions" must be an array`,
-      "array.min": `"questions" must have at least one question`,
+      "number.max": `"pass_mark" is a percentage and cannot exceed 100`,
     }),
+  grading_policy: Joi.string()
+    .valid(...Object.values(GRADING_POLICIES))
+    .default(GRADING_POLICIES.LATEST),
   assigned_user_ids: Joi.array()
     .items(Joi.number().integer().positive().required())
     .required()
@@ -43,6 +170,145 @@ const createQuizSchema = Joi.object({
       "array.base": `"assigned_user_ids" must be an array of integers`,
       "any.required": `"assigned_user_ids" is required`,
     }),
+};
+
+const createQuizSchema = Joi.object(quizFields).custom((quiz, helpers) =>
+  quiz.questions.length ||
+  quiz.bank_question_ids.length ||
+  quiz.bank_rules.length
+    ? quiz
+    : helpers.message(`"questions" must have at least one question`)
+);
+
+// only the fields sent are changed, so no defaults are filled in
+const updateQuizSchema = Joi.object({
+  ...quizFields,
+  // questions are sent in full, with `id` to update an existing one, and checked as on creation
+  questions: Joi.array()
+    .items(
+      questionSchema
+        .keys({ id: Joi.number().integer().positive() })
+        .prefs({ noDefaults: false })
+    )
+    .messages({
+      "array.base": `"questions" must be an array`,
+    }),
+  // status changes go through making the quiz live, which checks and records them
+  status: Joi.forbidden().messages({
+    "any.unknown": `"status" is changed through PUT /api/v1/quiz/live/:quizId`,
+  }),
+  starts_at: Joi.date().iso(),
+  expires_at: Joi.date().iso(),
+})
+  .fork(["name", "assigned_user_ids"], (field) => field.optional())
+  .prefs({ noDefaults: true });
+
+const answerSchema = Joi.object({
+  question_id: Joi.number().integer().positive().required(),
+  option_id: Joi.number().integer().positive(),
+  option_ids: Joi.array().items(Joi.number().integer().positive()),
+  answer_text: Joi.string().allow(""),
+  answer_number: Joi.number(),
+});
+
+// answers already saved against the attempt are submitted along with these
+const submitQuizSchema = Joi.object({
+  answers: Joi.array()
+    .items(
+      answerSchema.or("option_id", "option_ids", "answer_text", "answer_number")
+    )
+    .default([])
+    .messages({
+      "array.base": `"answers" must be an array`,
+    }),
+});
+
+// an answer with only `question_id` clears what was saved for that question
+const saveAnswersSchema = Joi.object({
+  answers: Joi.array().min(1).items(answerSchema).required().messages({
+    "array.base": `"answers" must be an array`,
+    "array.min": "No answers provided",
+    "any.required": "No answers provided",
+  }),
+});
+
+const extraAttemptsSchema = Joi.object({
+  extra_attempts: Joi.number().integer().min(0).required().messages({
+    "any.required": `"extra_attempts" is required`,
+  }),
+});
+
+const cloneQuizSchema = Joi.object({
+  name: Joi.string().min(3).max(255).required().messages({
+    "string.empty": `"name" is required`,
+    "any.required": `"name" is required`,
+  }),
+  copy_settings: Joi.boolean().default(true),
+  copy_assignments: Joi.boolean().default(false),
+});
+
+const leaderboardQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+// one quiz, or every quiz over a range of attempt start dates
+const resultsExportQuerySchema = Joi.object({
+  format: Joi.string().valid("csv", "xlsx").default("csv"),
+  quiz_id: Joi.number().integer().positive(),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref("from")),
+  include_questions: Joi.boolean().default(false),
+  // one row per attempt, or one row per learner and quiz with their grade
+  rows: Joi.string().valid("attempts", "grades").default("attempts"),
+})
+  .or("quiz_id", "from", "to")
+  .messages({
+    "object.missing": `Provide "quiz_id" or a "from"/"to" date range`,
+  });
+
+const gradingQueueQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+const gradeResponseSchema = Joi.object({
+  // at most the question's points, checked against the question
+  points: Joi.number().min(0).required(),
+  comment: Joi.string().allow("", null),
+});
+
+const regradeSchema = Joi.object({
+  // regrade a single question instead of the whole quiz
+  question_id: Joi.number().integer().positive(),
+  // report what would change without writing anything
+  dry_run: Joi.boolean().default(true),
+});
+
+// a published version number, or "draft" for the quiz as currently edited
+const versionRefSchema = Joi.alternatives().try(
+  Joi.number().integer().positive(),
+  Joi.string().valid("draft")
+);
+
+const versionDiffQuerySchema = Joi.object({
+  from: versionRefSchema,
+  to: versionRefSchema.default("draft"),
 });
 
-module.exports = { createQuizSchema };
+module.exports = {
+  questionSchema,
+  bankRuleSchema,
+  createQuizSchema,
+  updateQuizSchema,
+  submitQuizSchema,
+  saveAnswersSchema,
+  extraAttemptsSchema,
+  cloneQuizSchema,
+  versionDiffQuerySchema,
+  leaderboardQuerySchema,
+  resultsExportQuerySchema,
+  gradingQueueQuerySchema,
+  gradeResponseSchema,
+  regradeSchema,
+};
@@ -2,10 +2,18 @@ const express = require("express");
 const authRouter = require("./auth/routes");
 
 const quizRouter = require("./quiz/routes");
+const questionBankRouter = require("./questionBank/routes");
+const certificateRouter = require("./certificates/routes");
+const settingsRouter = require("./settings/routes");
+const inviteRouter = require("./invites/routes");
 
 const router = express.Router();
 
 router.use("/auth", authRouter);
 router.use("/quiz", quizRouter);
+router.use("/question-bank", questionBankRouter);
+router.use("/certificates", certificateRouter);
+router.use("/settings", settingsRouter);
+router.use("/invites", inviteRouter);
 
 module.exports = router;
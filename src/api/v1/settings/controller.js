@@ -0,0 +1,67 @@
+const {
+  getAppSettings,
+  updateAppSettings,
+} = require("../../../helper/appSettings");
+const { updateSettingsSchema } = require("./validator");
+
+const getSettings = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return res.status(403).json({
+        status: "failure",
+        message: "Only admins can view settings",
+        data: null,
+      });
+    }
+
+    res.json({
+      status: "success",
+      data: await getAppSettings(),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to fetch settings",
+      data: null,
+    });
+  }
+};
+
+const updateSettings = async (req, res) => {
+  try {
+    if (req.user.role !== "ADMIN") {
+      return res.status(403).json({
+        status: "failure",
+        message: "Only admins can change settings",
+        data: null,
+      });
+    }
+
+    const { error, value } = updateSettingsSchema.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(400).json({
+        status: "failure",
+        message: "Validation failed",
+        errors: error.details.map((err) => err.message),
+      });
+    }
+
+    res.json({
+      status: "success",
+      message: "Settings updated",
+      data: await updateAppSettings(value, req.user.id),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      status: "failure",
+      message: "Failed to update settings",
+      data: null,
+    });
+  }
+};
+
+module.exports = { getSettings, updateSettings };
@@ -0,0 +1,118 @@
+const settingsRouter = require("express").Router();
+const authMiddleware = require("../../../middleware/authMiddleware");
+const { getSettings, updateSettings } = require("./controller");
+
+// read the application-wide settings
+/**
+ * @swagger
+ * /api/v1/settings:
+ *   get:
+ *     summary: Get application settings
+ *     description: >
+ *       Admin only. Returns the settings that apply to the whole application. Settings no admin has
+ *       saved yet are returned with their defaults, with `updated_at` and `updated_by` null.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     otp_login_enabled:
+ *                       type: boolean
+ *                       example: false
+ *                       description: Whether users can log in with an emailed OTP instead of their password
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     updated_by:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: 1
+ *       403:
+ *         description: Only admins can view settings
+ *       500:
+ *         description: Internal server error
+ */
+settingsRouter.get("/", authMiddleware, async (req, res) =>
+  getSettings(req, res)
+);
+
+// change one or more application-wide settings
+/**
+ * @swagger
+ * /api/v1/settings:
+ *   patch:
+ *     summary: Update application settings
+ *     description: >
+ *       Admin only. Changes the given settings and leaves the others as they are. At least one
+ *       setting is required.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               otp_login_enabled:
+ *                 type: boolean
+ *                 example: true
+ *                 description: Allow passwordless login through `/api/v1/auth/login/otp`
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Settings updated
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     otp_login_enabled:
+ *                       type: boolean
+ *                       example: true
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *                     updated_by:
+ *                       type: integer
+ *                       example: 1
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Only admins can change settings
+ *       500:
+ *         description: Internal server error
+ */
+settingsRouter.patch("/", authMiddleware, async (req, res) =>
+  updateSettings(req, res)
+);
+
+module.exports = settingsRouter;
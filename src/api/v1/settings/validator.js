@@ -0,0 +1,9 @@
+const Joi = require("joi");
+
+const updateSettingsSchema = Joi.object({
+  otp_login_enabled: Joi.boolean(),
+})
+  .min(1)
+  .messages({ "object.min": "At least one setting is required" });
+
+module.exports = { updateSettingsSchema };
@@ -57,8 +57,25 @@ const config = {
   senderMail: process.env.EMAIL_USER,
   senderMailPass: process.env.EMAIL_PASS,
   jwtSecret: process.env.JWT_SECRET,
-  otpExpireMinutes: process.env.OTP_EXPIRY_MINUTES,
+  otpExpireMinutes: Number(process.env.OTP_EXPIRY_MINUTES || 5),
+  otpMaxAttempts: Number(process.env.OTP_MAX_ATTEMPTS || 5), // wrong guesses before a code stops working
+  otpResendCooldownSeconds: Number(
+    process.env.OTP_RESEND_COOLDOWN_SECONDS || 60
+  ),
+  otpDailySendLimit: Number(process.env.OTP_DAILY_SEND_LIMIT || 10), // codes emailed to one account per 24 hours
+  accessTokenTtlSeconds: Number(
+    process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60
+  ),
+  inviteExpireDays: Number(process.env.INVITE_EXPIRY_DAYS || 7),
+  // lets the first admin account be created; unset it once that is done
+  bootstrapAdminToken: process.env.BOOTSTRAP_ADMIN_TOKEN,
+  refreshTokenTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30), // a session idle this long is logged out
+  // extra time allowed after an attempt's deadline to absorb network latency on submit
+  attemptGraceSeconds: Number(process.env.ATTEMPT_GRACE_SECONDS || 30),
+  attemptSweepIntervalMs: 60 * 1000, // how often abandoned attempts are finalized
+  quizScheduleIntervalMs: 60 * 1000, // how often scheduled quizzes are opened and ended ones expired
   website: process.env.WEBSITE,
+  certificateIssuer: process.env.CERTIFICATE_ISSUER || "Quiz Management System", // name printed on certificates
 };
 
 module.exports = config;
@@ -0,0 +1,29 @@
+const prisma = require("../../prisma/prismaClient");
+
+const APP_SETTINGS_ID = 1;
+
+// used until an admin first saves the settings
+const DEFAULT_APP_SETTINGS = {
+  otp_login_enabled: false,
+  updated_at: null,
+  updated_by: null,
+};
+
+const getAppSettings = async () =>
+  (await prisma.app_settings.findUnique({
+    where: { id: APP_SETTINGS_ID },
+  })) || { id: APP_SETTINGS_ID, ...DEFAULT_APP_SETTINGS };
+
+const updateAppSettings = (data, adminId, now = new Date()) =>
+  prisma.app_settings.upsert({
+    where: { id: APP_SETTINGS_ID },
+    create: {
+      id: APP_SETTINGS_ID,
+      ...data,
+      updated_at: now,
+      updated_by: adminId,
+    },
+    update: { ...data, updated_at: now, updated_by: adminId },
+  });
+
+module.exports = { getAppSettings, updateAppSettings };
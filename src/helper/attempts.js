@@ -0,0 +1,605 @@
+const prisma = require("../../prisma/prismaClient");
+const { gradeAnswers, roundScore, getSelectedOptionIds } = require("./scoring");
+const { generateSeed, createRandom, shuffle } = require("./shuffle");
+const { quizQuestionsWhere } = require("./quizQuestions");
+const {
+  findSnapshotQuestion,
+  drawSnapshotQuestions,
+  loadPublishedVersion,
+} = require("./quizVersions");
+const { CHOICE_QUESTION_TYPES, QUESTION_TYPES } = require("./constants");
+const { isPassingScore, generateCertificateCode } = require("./certificates");
+const { attemptGraceSeconds } = require("../config");
+
+// quiz fields needed to start, grade and close an attempt
+const attemptQuizSelect = {
+  id: true,
+  expires_at: true,
+  time_limit_minutes: true,
+  scoring_policy: true,
+  wrong_answer_penalty: true,
+  max_attempts: true,
+  cooldown_minutes: true,
+  shuffle_questions: true,
+  shuffle_options: true,
+  questions_per_attempt: true,
+  published_version_id: true,
+  review_policy: true,
+  pass_mark: true,
+  pass_mark_type: true,
+  bankRules: { select: { count: true } },
+};
+
+// learners only get to see questions through an attempt layout when the quiz randomizes them
+const isRandomized = (quiz) =>
+  !!(
+    quiz.shuffle_questions ||
+    quiz.shuffle_options ||
+    quiz.questions_per_attempt ||
+    quiz.bankRules?.length
+  );
+
+/**
+ * Picks and orders the questions (and their options) served in one attempt.
+ * `questions` must be in database order with their options; the same seed
+ * always produces the same layout.
+ */
+const buildAttemptLayout = (quiz, questions, seed) => {
+  const random = createRandom(seed);
+  let served = questions;
+
+  if (
+    quiz.questions_per_attempt &&
+    quiz.questions_per_attempt < questions.length
+  ) {
+    const drawn = shuffle(questions, random).slice(
+      0,
+      quiz.questions_per_attempt
+    );
+    // keep the authored order unless questions are shuffled as well
+    served = quiz.shuffle_questions
+      ? drawn
+      : questions.filter((q) => drawn.includes(q));
+  } else if (quiz.shuffle_questions) {
+    served = shuffle(questions, random);
+  }
+
+  return served.map((question) => {
+    const optionIds = question.options.map((opt) => opt.id);
+    return {
+      question_id: question.id,
+      option_ids: quiz.shuffle_options ? shuffle(optionIds, random) : optionIds,
+    };
+  });
+};
+
+// orders and filters questions/options as they were served in the attempt
+const applyAttemptLayout = (questions, layout) => {
+  if (!Array.isArray(layout)) return questions;
+
+  return layout
+    .map(({ question_id, option_ids }) => {
+      const question = questions.find((q) => q.id === question_id);
+      if (!question) return null;
+      return {
+        ...question,
+        options: option_ids
+          .map((id) => question.options.find((opt) => opt.id === id))
+          .filter(Boolean),
+      };
+    })
+    .filter(Boolean);
+};
+
+// the attempt fields that are safe to hand back to the learner
+const toAttemptSummary = (attempt) => ({
+  id: attempt.id,
+  attempt_number: attempt.attempt_number,
+  status: attempt.status,
+  started_at: attempt.started_at,
+  deadline_at: attempt.deadline_at,
+});
+
+// an attempt ends at its time limit, and never later than the quiz itself expires
+const computeDeadline = (quiz, startedAt) => {
+  const limits = [];
+  if (quiz.time_limit_minutes) {
+    limits.push(startedAt.getTime() + quiz.time_limit_minutes * 60 * 1000);
+  }
+  if (quiz.expires_at) limits.push(new Date(quiz.expires_at).getTime());
+  return limits.length ? new Date(Math.min(...limits)) : null;
+};
+
+const isPastDeadline = (attempt, now = new Date()) =>
+  !!attempt.deadline_at &&
+  now.getTime() > attempt.deadline_at.getTime() + attemptGraceSeconds * 1000;
+
+/**
+ * Works out how many attempts a learner has left and when the next one may start.
+ * `attempts` are the learner's attempts on the quiz (any status), `extraAttempts`
+ * comes from their assignment. `remaining_attempts` is null when unlimited.
+ */
+const getAttemptAllowance = (
+  quiz,
+  attempts,
+  extraAttempts = 0,
+  now = new Date()
+) => {
+  const maxAttempts = quiz.max_attempts
+    ? quiz.max_attempts + extraAttempts
+    : null;
+  const remainingAttempts =
+    maxAttempts === null ? null : Math.max(0, maxAttempts - attempts.length);
+
+  let nextAttemptAt = null;
+  if (quiz.cooldown_minutes && attempts.length) {
+    const lastEndedAt = Math.max(
+      ...attempts.map((a) => new Date(a.completed_at ?? a.started_at).getTime())
+    );
+    const availableAt = lastEndedAt + quiz.cooldown_minutes * 60 * 1000;
+    if (availableAt > now.getTime()) nextAttemptAt = new Date(availableAt);
+  }
+
+  return {
+    max_attempts: maxAttempts,
+    attempts_used: attempts.length,
+    remaining_attempts: remainingAttempts,
+    next_attempt_at: nextAttemptAt,
+    can_start: remainingAttempts !== 0 && !nextAttemptAt,
+  };
+};
+
+const loadAttemptAllowance = async (quiz, userId, now = new Date()) => {
+  const [attempts, assignment] = await Promise.all([
+    prisma.quiz_scores.findMany({
+      where: { quiz_id: quiz.id, user_id: userId },
+      select: { started_at: true, completed_at: true },
+    }),
+    prisma.quiz_assignments.findFirst({
+      where: { quiz_id: quiz.id, user_id: userId },
+      select: { extra_attempts: true },
+    }),
+  ]);
+  return getAttemptAllowance(
+    quiz,
+    attempts,
+    assignment?.extra_attempts ?? 0,
+    now
+  );
+};
+
+// the message shown to a learner who may not start another attempt yet
+const describeBlockedAttempt = (allowance) =>
+  allowance.remaining_attempts === 0
+    ? "Attempt limit reached for this quiz"
+    : `Please wait until ${allowance.next_attempt_at.toISOString()} before starting another attempt`;
+
+const findActiveAttempt = (quizId, userId) =>
+  prisma.quiz_scores.findFirst({
+    where: { quiz_id: quizId, user_id: userId, status: "IN_PROGRESS" },
+    orderBy: { attempt_number: "desc" },
+  });
+
+/**
+ * Starts the learner's next attempt, numbered after the `allowance` it was checked
+ * against. Another request starting the same attempt meanwhile makes the insert fail
+ * on the unique attempt number (P2002), so `max_attempts` cannot be exceeded.
+ */
+const startAttempt = async (quiz, userId, allowance, now = new Date()) => {
+  const attemptNumber = allowance.attempts_used + 1;
+
+  // the attempt is served and graded against the version published right now
+  const version = await loadPublishedVersion(quiz);
+  const seed = generateSeed();
+  const questions = drawSnapshotQuestions(version.snapshot, seed);
+
+  return prisma.quiz_scores.create({
+    data: {
+      user_id: userId,
+      quiz_id: quiz.id,
+      attempt_number: attemptNumber,
+      status: "IN_PROGRESS",
+      started_at: now,
+      deadline_at: computeDeadline(quiz, now),
+      seed,
+      layout: buildAttemptLayout(
+        { ...quiz, ...version.snapshot.settings },
+        questions,
+        seed
+      ),
+      quiz_version_id: version.id,
+    },
+  });
+};
+
+/**
+ * Loads the questions served in an attempt, answer key included, in the order
+ * they were served, together with the quiz settings they are graded under.
+ * Attempts started before quizzes were versioned fall back to the live questions.
+ */
+const loadAttemptQuestions = async (attempt, quiz) => {
+  if (attempt.quiz_version_id) {
+    const { snapshot } = await prisma.quiz_versions.findUnique({
+      where: { id: attempt.quiz_version_id },
+    });
+    return {
+      settings: { ...quiz, ...snapshot.settings },
+      questions: attempt.layout
+        .map((entry) => findSnapshotQuestion(snapshot, entry.question_id))
+        .filter(Boolean),
+    };
+  }
+
+  const questions = await prisma.questions.findMany({
+    where: Array.isArray(attempt.layout)
+      ? { id: { in: attempt.layout.map((entry) => entry.question_id) } }
+      : quizQuestionsWhere(quiz.id),
+    orderBy: { id: "asc" },
+    include: { options: { orderBy: { id: "asc" } } },
+  });
+  return { settings: quiz, questions };
+};
+
+// a stored response in the shape `submitQuizSchema` accepts
+const toAnswer = (response) => ({
+  question_id: response.question_id,
+  option_ids: response.option_ids,
+  ...(response.answer_text !== null && { answer_text: response.answer_text }),
+  ...(response.answer_number !== null && {
+    answer_number: response.answer_number,
+  }),
+});
+
+// a `question_id` with nothing else clears a saved answer
+const hasAnswer = (answer) =>
+  getSelectedOptionIds(answer).length > 0 ||
+  answer.answer_text !== undefined ||
+  answer.answer_number !== undefined;
+
+const loadSavedAnswers = async (attemptId) => {
+  const responses = await prisma.quiz_responses.findMany({
+    where: { attempt_id: attemptId },
+    orderBy: { question_id: "asc" },
+  });
+  return responses.map(toAnswer);
+};
+
+/**
+ * Saves answers against an in-progress attempt without grading them, replacing
+ * whatever was saved for the same questions, so repeating a save changes nothing.
+ * Returns false when the attempt is no longer in progress.
+ */
+const saveAttemptAnswers = (attempt, answers, now = new Date()) =>
+  prisma.$transaction(async (tx) => {
+    // locks the attempt, so a save never lands after it has been graded
+    const { count } = await tx.quiz_scores.updateMany({
+      where: { id: attempt.id, status: "IN_PROGRESS" },
+      data: { last_saved_at: now },
+    });
+    if (!count) return false;
+
+    await tx.quiz_responses.deleteMany({
+      where: {
+        attempt_id: attempt.id,
+        question_id: {
+          in: answers.filter((a) => !hasAnswer(a)).map((a) => a.question_id),
+        },
+      },
+    });
+    for (const answer of answers.filter(hasAnswer)) {
+      const data = {
+        option_ids: getSelectedOptionIds(answer),
+        answer_text: answer.answer_text ?? null,
+        answer_number: answer.answer_number ?? null,
+        updated_at: now,
+      };
+      await tx.quiz_responses.upsert({
+        where: {
+          attempt_id_question_id: {
+            attempt_id: attempt.id,
+            question_id: answer.question_id,
+          },
+        },
+        create: {
+          attempt_id: attempt.id,
+          question_id: answer.question_id,
+          ...data,
+        },
+        update: data,
+      });
+    }
+    return true;
+  });
+
+// one quiz_responses row per served question, answered or not
+const toResponseRows = (attemptId, answers, results) =>
+  results.map((result) => {
+    const answer = answers.find((a) => a.question_id === result.question_id);
+    return {
+      attempt_id: attemptId,
+      question_id: result.question_id,
+      option_ids: getSelectedOptionIds(answer),
+      answer_text: answer?.answer_text ?? null,
+      answer_number: answer?.answer_number ?? null,
+      is_correct: result.is_correct,
+      points_awarded: result.points_awarded,
+    };
+  });
+
+// `attempt` must have passed; returns the certificate's verification code
+const issueCertificate = async (tx, attempt, issuedAt) => {
+  const certificate = await tx.certificates.create({
+    data: {
+      code: generateCertificateCode(),
+      attempt_id: attempt.id,
+      user_id: attempt.user_id,
+      quiz_id: attempt.quiz_id,
+      issued_at: issuedAt,
+    },
+  });
+  return certificate.code;
+};
+
+/**
+ * Grades the answers and closes an in-progress attempt, storing each graded answer.
+ * Answers saved during the attempt count too, unless `answers` answers the same question.
+ * Attempts with answers to grade by hand are closed as PENDING_GRADING, with the score of
+ * the other answers, and are passed or failed once `gradeResponse` has graded them all.
+ * `finalized` is false when the attempt had already been closed elsewhere
+ * (e.g. by the sweeper), in which case nothing is written.
+ */
+const completeAttempt = async (
+  attempt,
+  quiz,
+  answers,
+  { status = "COMPLETED", completedAt = new Date() } = {}
+) => {
+  // only the questions served in the attempt count towards its score
+  const { settings, questions } = await loadAttemptQuestions(attempt, quiz);
+  const saved = await loadSavedAnswers(attempt.id);
+  const finalAnswers = [
+    ...saved.filter(
+      (s) => !answers.some((a) => a.question_id === s.question_id)
+    ),
+    ...answers,
+  ];
+  const { score, total, results, pending } = gradeAnswers(
+    settings,
+    questions,
+    finalAnswers
+  );
+  const responses = toResponseRows(attempt.id, finalAnswers, results);
+  const closedStatus = pending ? "PENDING_GRADING" : status;
+  const passed = pending ? null : isPassingScore(settings, score, total);
+  let certificateCode = null;
+
+  const finalized = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.quiz_scores.updateMany({
+      where: { id: attempt.id, status: "IN_PROGRESS" },
+      data: {
+        status: closedStatus,
+        score_value_obtained: score,
+        score_total: total,
+        passed,
+        completed_at: completedAt,
+        closed_by_timeout: status === "TIMED_OUT",
+      },
+    });
+    if (count) {
+      // the saved answers are replaced by the graded ones
+      await tx.quiz_responses.deleteMany({ where: { attempt_id: attempt.id } });
+      await tx.quiz_responses.createMany({ data: responses });
+    }
+    if (count && passed) {
+      certificateCode = await issueCertificate(tx, attempt, completedAt);
+    }
+    return count > 0;
+  });
+
+  return {
+    finalized,
+    status: closedStatus,
+    pending,
+    score,
+    total,
+    passed,
+    certificateCode,
+    results,
+    questions,
+    responses,
+  };
+};
+
+/**
+ * Stores a grader's points and comment on a response of an attempt PENDING_GRADING.
+ * `maxPoints` are the question's points; only full marks count as correct. Once no
+ * response is left to grade, the attempt's score is totalled, it is closed as it ended
+ * (TIMED_OUT when its deadline closed it) and passed or failed, earning a
+ * certificate like any other attempt. Returns null when the attempt is not pending grading.
+ */
+const gradeResponse = (
+  response,
+  quiz,
+  { points, maxPoints, comment = null, graderId, now = new Date() }
+) =>
+  prisma.$transaction(async (tx) => {
+    // locks the attempt, so grading its last responses at once still closes it exactly once
+    const { count } = await tx.quiz_scores.updateMany({
+      where: { id: response.attempt_id, status: "PENDING_GRADING" },
+      data: { status: "PENDING_GRADING" },
+    });
+    if (!count) return null;
+
+    const graded = await tx.quiz_responses.update({
+      where: { id: response.id },
+      data: {
+        points_awarded: points,
+        is_correct: points >= maxPoints,
+        grader_comment: comment || null,
+        graded_by: graderId,
+        graded_at: now,
+        updated_at: now,
+      },
+    });
+
+    const responses = await tx.quiz_responses.findMany({
+      where: { attempt_id: response.attempt_id },
+      select: { points_awarded: true },
+    });
+    const remaining = responses.filter((r) => r.points_awarded === null).length;
+    let attempt = await tx.quiz_scores.findUniqueOrThrow({
+      where: { id: response.attempt_id },
+      include: { version: { select: { snapshot: true } } },
+    });
+    if (remaining) return { response: graded, attempt, remaining };
+
+    // passed against the pass mark of the version the attempt was served
+    const settings = { ...quiz, ...attempt.version?.snapshot.settings };
+
+    const score = roundScore(
+      Math.max(
+        0,
+        responses.reduce((sum, r) => sum + r.points_awarded, 0)
+      )
+    );
+    const passed = isPassingScore(settings, score, attempt.score_total);
+    attempt = await tx.quiz_scores.update({
+      where: { id: attempt.id },
+      data: {
+        status: attempt.closed_by_timeout ? "TIMED_OUT" : "COMPLETED",
+        score_value_obtained: score,
+        passed,
+      },
+    });
+    if (passed) await issueCertificate(tx, attempt, now);
+    return { response: graded, attempt, remaining };
+  });
+
+// closes an attempt whose deadline passed without a valid submission, grading what was saved
+const timeOutAttempt = (attempt, quiz) =>
+  completeAttempt(attempt, quiz, [], {
+    status: "TIMED_OUT",
+    completedAt: attempt.deadline_at ?? new Date(),
+  });
+
+/**
+ * Finalizes attempts that were started but never submitted: those past their
+ * deadline (plus grace) and untimed ones whose quiz is no longer LIVE or has expired.
+ */
+const finalizeAbandonedAttempts = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - attemptGraceSeconds * 1000);
+
+  const attempts = await prisma.quiz_scores.findMany({
+    where: {
+      status: "IN_PROGRESS",
+      OR: [
+        { deadline_at: { lt: cutoff } },
+        {
+          deadline_at: null,
+          quiz: {
+            OR: [{ status: { not: "LIVE" } }, { expires_at: { lt: now } }],
+          },
+        },
+      ],
+    },
+    include: { quiz: { select: attemptQuizSelect } },
+  });
+
+  let finalized = 0;
+  for (const attempt of attempts) {
+    // one attempt that cannot be graded must not keep the others open
+    try {
+      const result = await timeOutAttempt(attempt, attempt.quiz);
+      if (result.finalized) finalized++;
+    } catch (error) {
+      console.error(`Failed to finalize attempt ${attempt.id}:`, error);
+    }
+  }
+  return finalized;
+};
+
+// whether learners may see their answers next to the correct ones yet
+const isReviewOpen = (quiz, now = new Date()) => {
+  switch (quiz.review_policy) {
+    case "IMMEDIATELY":
+      return true;
+    case "AFTER_EXPIRY":
+      return (
+        quiz.status === "EXPIRED" ||
+        (!!quiz.expires_at && quiz.expires_at <= now)
+      );
+    default:
+      return false;
+  }
+};
+
+/**
+ * Pairs each served question (answer key included, in served order) with the
+ * learner's stored response. Attempts finished before responses were stored
+ * have none, so `response`, `is_correct` and `points_awarded` are null, as they
+ * are for answers still to be graded by hand.
+ */
+const buildAttemptReview = (questions, responses) =>
+  questions.map((question) => {
+    const response = responses.find((r) => r.question_id === question.id);
+    return {
+      question_id: question.id,
+      question_text: question.question_text,
+      question_type: question.question_type,
+      points: question.points,
+      explanation: question.explanation ?? null,
+      ...(CHOICE_QUESTION_TYPES.includes(question.question_type) && {
+        options: question.options.map((opt) => ({
+          id: opt.id,
+          value: opt.value,
+          is_correct: opt.is_correct,
+          feedback: opt.feedback ?? null,
+          selected: !!response?.option_ids.includes(opt.id),
+        })),
+      }),
+      ...(question.question_type === QUESTION_TYPES.SHORT_ANSWER && {
+        accepted_answers: question.accepted_answers,
+      }),
+      ...(question.question_type === QUESTION_TYPES.NUMERIC && {
+        numeric_answer: question.numeric_answer,
+        numeric_tolerance: question.numeric_tolerance,
+      }),
+      response: response
+        ? {
+            option_ids: response.option_ids,
+            answer_text: response.answer_text,
+            answer_number: response.answer_number,
+          }
+        : null,
+      is_correct: response ? response.is_correct : null,
+      points_awarded: response ? response.points_awarded : null,
+      grader_comment: response?.grader_comment ?? null,
+    };
+  });
+
+module.exports = {
+  attemptQuizSelect,
+  isRandomized,
+  buildAttemptLayout,
+  applyAttemptLayout,
+  toAttemptSummary,
+  computeDeadline,
+  isPastDeadline,
+  getAttemptAllowance,
+  loadAttemptAllowance,
+  describeBlockedAttempt,
+  findActiveAttempt,
+  startAttempt,
+  loadAttemptQuestions,
+  toAnswer,
+  hasAnswer,
+  loadSavedAnswers,
+  saveAttemptAnswers,
+  completeAttempt,
+  gradeResponse,
+  issueCertificate,
+  timeOutAttempt,
+  finalizeAbandonedAttempts,
+  isReviewOpen,
+  buildAttemptReview,
+};
@@ -0,0 +1,88 @@
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+const { baseUrl, certificateIssuer } = require("../config");
+
+/**
+ * Whether a graded attempt reaches the quiz's pass mark, either a percentage
+ * of the attempt's total or a number of points. Null when the quiz has none.
+ */
+const isPassingScore = (quiz, score, total) => {
+  if (quiz.pass_mark === null || quiz.pass_mark === undefined) return null;
+  if (quiz.pass_mark_type === "POINTS") return score >= quiz.pass_mark;
+  return total > 0 && (score / total) * 100 >= quiz.pass_mark;
+};
+
+/**
+ * Whether a grade from `gradeAttempts` passes. A grade taken from one attempt passes when
+ * that attempt did, against the pass mark of the version it was served; an average over
+ * attempts is held to the pass mark in `settings`.
+ */
+const isPassingGrade = (grade, attempts, settings) =>
+  grade.attempt_number === null
+    ? isPassingScore(settings, grade.score, grade.score_total)
+    : (attempts.find((a) => a.attempt_number === grade.attempt_number)
+        ?.passed ?? null);
+
+// 80 random bits as five groups of four hex digits: 9F3A-0C2B-77D1-E4A8-1B5C
+const generateCertificateCode = () =>
+  crypto.randomBytes(10).toString("hex").toUpperCase().match(/.{4}/g).join("-");
+
+const verificationUrl = (code) =>
+  `${baseUrl || ""}/api/v1/certificates/verify/${code}`;
+
+// each line is drawn centered; {{placeholders}} are filled in from the certificate
+const CERTIFICATE_TEMPLATE = [
+  { text: "Certificate of Completion", size: 30, gap: 40 },
+  { text: "This certifies that", size: 14, gap: 12 },
+  { text: "{{email}}", size: 22, gap: 12 },
+  { text: "has successfully completed", size: 14, gap: 12 },
+  { text: "{{quiz}}", size: 22, gap: 12 },
+  { text: "with a score of {{score}} out of {{total}}", size: 14, gap: 40 },
+  { text: "Issued by {{issuer}} on {{date}}", size: 12, gap: 8 },
+  { text: "Verification code: {{code}}", size: 12, gap: 8 },
+  { text: "{{url}}", size: 10, gap: 0 },
+];
+
+const fillTemplate = (text, values) =>
+  text.replace(/\{\{(\w+)\}\}/g, (_, key) => String(values[key] ?? ""));
+
+/**
+ * Renders a certificate (with its `user`, `quiz` and `attempt`) as a landscape A4 PDF
+ * piped into `stream`.
+ */
+const renderCertificate = (certificate, stream) => {
+  const values = {
+    email: certificate.user.email,
+    quiz: certificate.quiz.name,
+    score: certificate.attempt.score_value_obtained,
+    total: certificate.attempt.score_total,
+    issuer: certificateIssuer,
+    date: certificate.issued_at.toISOString().slice(0, 10),
+    code: certificate.code,
+    url: verificationUrl(certificate.code),
+  };
+
+  const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 60 });
+  doc.pipe(stream);
+
+  doc
+    .lineWidth(3)
+    .rect(30, 30, doc.page.width - 60, doc.page.height - 60)
+    .stroke();
+  doc.moveDown(3);
+  for (const line of CERTIFICATE_TEMPLATE) {
+    doc
+      .fontSize(line.size)
+      .text(fillTemplate(line.text, values), { align: "center" });
+    doc.y += line.gap;
+  }
+
+  doc.end();
+};
+
+module.exports = {
+  isPassingScore,
+  isPassingGrade,
+  generateCertificateCode,
+  renderCertificate,
+};
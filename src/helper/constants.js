@@ -0,0 +1,79 @@
+const QUESTION_TYPES = {
+  SINGLE_CHOICE: "SINGLE_CHOICE",
+  MULTIPLE_CHOICE: "MULTIPLE_CHOICE",
+  TRUE_FALSE: "TRUE_FALSE",
+  SHORT_ANSWER: "SHORT_ANSWER",
+  NUMERIC: "NUMERIC",
+  ESSAY: "ESSAY",
+};
+
+// question types that are answered by picking from the question's options
+const CHOICE_QUESTION_TYPES = [
+  QUESTION_TYPES.SINGLE_CHOICE,
+  QUESTION_TYPES.MULTIPLE_CHOICE,
+  QUESTION_TYPES.TRUE_FALSE,
+];
+
+const SCORING_POLICIES = {
+  ALL_OR_NOTHING: "ALL_OR_NOTHING",
+  PARTIAL_CREDIT: "PARTIAL_CREDIT",
+};
+
+const REVIEW_POLICIES = {
+  IMMEDIATELY: "IMMEDIATELY",
+  AFTER_EXPIRY: "AFTER_EXPIRY",
+  NEVER: "NEVER",
+};
+
+const ROLES = {
+  ADMIN: "ADMIN",
+  USER: "USER",
+};
+
+const PASS_MARK_TYPES = {
+  PERCENT: "PERCENT",
+  POINTS: "POINTS",
+};
+
+const GRADING_POLICIES = {
+  HIGHEST: "HIGHEST",
+  LATEST: "LATEST",
+  FIRST: "FIRST",
+  AVERAGE: "AVERAGE",
+};
+
+const DIFFICULTIES = {
+  EASY: "EASY",
+  MEDIUM: "MEDIUM",
+  HARD: "HARD",
+};
+
+// per-quiz settings copied along with its questions on export and clone
+const QUIZ_SETTINGS = [
+  "scoring_policy",
+  "wrong_answer_penalty",
+  "time_limit_minutes",
+  "max_attempts",
+  "cooldown_minutes",
+  "shuffle_questions",
+  "shuffle_options",
+  "questions_per_attempt",
+  "review_policy",
+  "leaderboard_enabled",
+  "leaderboard_show_names",
+  "pass_mark",
+  "pass_mark_type",
+  "grading_policy",
+];
+
+module.exports = {
+  ROLES,
+  QUESTION_TYPES,
+  CHOICE_QUESTION_TYPES,
+  SCORING_POLICIES,
+  REVIEW_POLICIES,
+  PASS_MARK_TYPES,
+  GRADING_POLICIES,
+  DIFFICULTIES,
+  QUIZ_SETTINGS,
+};
@@ -0,0 +1,71 @@
+/**
+ * Parses RFC 4180 CSV text (quoted fields, escaped quotes, CRLF or LF line endings).
+ * Returns one entry per record with the line number it starts on, skipping blank lines.
+ * Throws when a quoted field is never closed.
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== "") {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = "";
+  };
+
+  const input = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+      quoteLine = line;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Line ${quoteLine}: quoted field is never closed`);
+  }
+  endRecord();
+
+  return records;
+};
+
+// quotes a value only when it contains a delimiter, a quote or a line break
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => values.map(escapeCsvValue).join(",") + "\r\n";
+
+module.exports = { parseCsv, toCsvRow };
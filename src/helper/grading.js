@@ -0,0 +1,74 @@
+const { GRADING_POLICIES } = require("./constants");
+
+const FINISHED_STATUSES = ["COMPLETED", "TIMED_OUT"];
+
+const toPercent = (score, total) =>
+  total ? Math.round((score / total) * 10000) / 100 : null;
+
+// attempts drawing different questions can have different totals, so they compare as percentages
+const byPercent = (a, b) =>
+  toPercent(b.score_value_obtained, b.score_total) -
+  toPercent(a.score_value_obtained, a.score_total);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const mean = (attempts, key) =>
+  attempts.reduce((sum, attempt) => sum + attempt[key], 0) / attempts.length;
+
+/**
+ * The grade of one learner on a quiz, from their attempts and the quiz's grading policy.
+ * `attempt_number` is the attempt the grade comes from, or null for `AVERAGE`, which
+ * averages the score and total of every finished attempt. Null when none is finished.
+ */
+const gradeAttempts = (attempts, policy) => {
+  const finished = attempts
+    .filter((a) => FINISHED_STATUSES.includes(a.status))
+    .sort((a, b) => a.attempt_number - b.attempt_number);
+  if (!finished.length) return null;
+
+  const grade = (score, total, attemptNumber) => ({
+    score: round(score),
+    score_total: round(total),
+    percentage: toPercent(score, total),
+    attempt_number: attemptNumber,
+    attempts_counted: finished.length,
+  });
+
+  if (policy === GRADING_POLICIES.AVERAGE) {
+    return grade(
+      mean(finished, "score_value_obtained"),
+      mean(finished, "score_total"),
+      null
+    );
+  }
+  const attempt =
+    policy === GRADING_POLICIES.HIGHEST
+      ? [...finished].sort(byPercent)[0] // stable, so the earliest best attempt wins
+      : policy === GRADING_POLICIES.FIRST
+        ? finished[0]
+        : finished[finished.length - 1];
+  return grade(
+    attempt.score_value_obtained,
+    attempt.score_total,
+    attempt.attempt_number
+  );
+};
+
+// grades of every learner with a finished attempt, keyed by user id
+const gradeLearners = (attempts, policy) => {
+  const byUser = new Map();
+  for (const attempt of attempts) {
+    byUser.set(attempt.user_id, [
+      ...(byUser.get(attempt.user_id) || []),
+      attempt,
+    ]);
+  }
+  const grades = new Map();
+  for (const [userId, userAttempts] of byUser) {
+    const grade = gradeAttempts(userAttempts, policy);
+    if (grade) grades.set(userId, grade);
+  }
+  return grades;
+};
+
+module.exports = { FINISHED_STATUSES, gradeAttempts, gradeLearners };
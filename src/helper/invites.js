@@ -0,0 +1,87 @@
+const prisma = require("../../prisma/prismaClient");
+const { website, inviteExpireDays } = require("../config");
+const { generateToken, hashToken } = require("./tokens");
+
+const INVITE_STATUSES = {
+  PENDING: "PENDING",
+  ACCEPTED: "ACCEPTED",
+  REVOKED: "REVOKED",
+  EXPIRED: "EXPIRED",
+};
+
+const inviteStatus = (invite, now = new Date()) => {
+  if (invite.accepted_at) return INVITE_STATUSES.ACCEPTED;
+  if (invite.revoked_at) return INVITE_STATUSES.REVOKED;
+  if (invite.expires_at <= now) return INVITE_STATUSES.EXPIRED;
+  return INVITE_STATUSES.PENDING;
+};
+
+// prisma filter matching invites in `status`
+const inviteStatusWhere = (status, now = new Date()) =>
+  ({
+    [INVITE_STATUSES.PENDING]: {
+      accepted_at: null,
+      revoked_at: null,
+      expires_at: { gt: now },
+    },
+    [INVITE_STATUSES.ACCEPTED]: { accepted_at: { not: null } },
+    [INVITE_STATUSES.REVOKED]: { accepted_at: null, revoked_at: { not: null } },
+    [INVITE_STATUSES.EXPIRED]: {
+      accepted_at: null,
+      revoked_at: null,
+      expires_at: { lte: now },
+    },
+  })[status];
+
+const inviteUrl = (token) =>
+  `${website || ""}/accept-invite?token=${encodeURIComponent(token)}`;
+
+/**
+ * Invites `email` to register as `role`. Earlier pending invites to the same email are
+ * revoked, so only the newest link works. Returns the invite and its token, which is
+ * not stored and cannot be shown again.
+ */
+const createInvite = (
+  { email, role, invitedBy, expiresInDays = inviteExpireDays },
+  now = new Date()
+) =>
+  prisma.$transaction(async (tx) => {
+    await tx.invites.updateMany({
+      where: { email, ...inviteStatusWhere(INVITE_STATUSES.PENDING, now) },
+      data: { revoked_at: now },
+    });
+
+    const token = generateToken();
+    const invite = await tx.invites.create({
+      data: {
+        email,
+        role,
+        token_hash: hashToken(token),
+        invited_by: invitedBy,
+        created_at: now,
+        expires_at: new Date(
+          now.getTime() + expiresInDays * 24 * 60 * 60 * 1000
+        ),
+      },
+    });
+    return { invite, token };
+  });
+
+// the pending invite a link's token belongs to, or null
+const findPendingInvite = async (token, now = new Date()) => {
+  const invite = await prisma.invites.findUnique({
+    where: { token_hash: hashToken(token) },
+  });
+  return invite && inviteStatus(invite, now) === INVITE_STATUSES.PENDING
+    ? invite
+    : null;
+};
+
+module.exports = {
+  INVITE_STATUSES,
+  inviteStatus,
+  inviteStatusWhere,
+  inviteUrl,
+  createInvite,
+  findPendingInvite,
+};
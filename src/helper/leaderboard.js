@@ -0,0 +1,54 @@
+// keeps just enough of an email for learners to recognize themselves: j***@example.com
+const maskEmail = (email) => {
+  const [local, domain] = email.split("@");
+  return `${local.slice(0, 1)}***@${domain}`;
+};
+
+const timeTaken = (attempt) =>
+  new Date(attempt.completed_at).getTime() -
+  new Date(attempt.started_at).getTime();
+
+// attempts drawing different questions have different totals, so they compare as a share of theirs
+const scoreRatio = (attempt) =>
+  attempt.score_total ? attempt.score_value_obtained / attempt.score_total : 0;
+
+// higher share of the total first, then the faster attempt
+const compareAttempts = (a, b) =>
+  scoreRatio(b) - scoreRatio(a) || timeTaken(a) - timeTaken(b);
+
+/**
+ * Ranks learners by their best finished attempt: highest percentage of the attempt's total,
+ * then shortest time taken.
+ * Learners tied on both share a rank (1, 2, 2, 4). `attempts` must include `user.email`.
+ */
+const rankLearners = (attempts) => {
+  const best = new Map();
+  for (const attempt of attempts) {
+    const current = best.get(attempt.user_id);
+    if (!current || compareAttempts(attempt, current) < 0) {
+      best.set(attempt.user_id, attempt);
+    }
+  }
+
+  const sorted = [...best.values()].sort(compareAttempts);
+  let rank = 0;
+  return sorted.map((attempt, index) => {
+    if (!index || compareAttempts(sorted[index - 1], attempt) !== 0) {
+      rank = index + 1;
+    }
+    return {
+      rank,
+      user_id: attempt.user_id,
+      email: attempt.user.email,
+      score: attempt.score_value_obtained,
+      score_total: attempt.score_total,
+      percentage: attempt.score_total
+        ? Math.round(scoreRatio(attempt) * 10000) / 100
+        : null,
+      time_taken_seconds: Math.round(timeTaken(attempt) / 1000),
+      completed_at: attempt.completed_at,
+    };
+  });
+};
+
+module.exports = { maskEmail, rankLearners };
@@ -1,4 +1,5 @@
 const sgMail = require("@sendgrid/mail");
+const { otpExpireMinutes } = require("../config");
 sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 
 async function sendOtpEmail(toEmail, otp) {
@@ -6,8 +7,8 @@ async function sendOtpEmail(toEmail, otp) {
     to: toEmail,
     from: process.env.SENDGRID_FROM_EMAIL,
     subject: "Your OTP Code",
-    text: `Your OTP code is ${otp}. It will expire in 5 minutes.`,
-    html: `<strong>Your OTP code is ${otp}</strong><br><br>This code will expire in 5 minutes.`,
+    text: `Your OTP code is ${otp}. It will expire in ${otpExpireMinutes} minutes.`,
+    html: `<strong>Your OTP code is ${otp}</strong><br><br>This code will expire in ${otpExpireMinutes} minutes.`,
   };
 
   try {
@@ -22,4 +23,26 @@ async function sendOtpEmail(toEmail, otp) {
   }
 }
 
-module.exports = { sendOtpEmail };
+async function sendInviteEmail(toEmail, role, inviteUrl, expiresAt) {
+  const expiry = expiresAt.toISOString().slice(0, 10);
+  const msg = {
+    to: toEmail,
+    from: process.env.SENDGRID_FROM_EMAIL,
+    subject: "You have been invited",
+    text: `You have been invited to join as ${role}. Accept the invitation at ${inviteUrl} before ${expiry}.`,
+    html: `You have been invited to join as <strong>${role}</strong>.<br><br><a href="${inviteUrl}">Accept the invitation</a> before ${expiry}.`,
+  };
+
+  try {
+    await sgMail.send(msg);
+    console.log(`Invite email sent to ${toEmail}`);
+  } catch (error) {
+    console.error(
+      "Error sending email:",
+      error.response?.body || error.message
+    );
+    throw new Error("Failed to send invite email");
+  }
+}
+
+module.exports = { sendOtpEmail, sendInviteEmail };
@@ -0,0 +1,120 @@
+const crypto = require("crypto");
+const prisma = require("../../prisma/prismaClient");
+const {
+  jwtSecret,
+  otpExpireMinutes,
+  otpMaxAttempts,
+  otpResendCooldownSeconds,
+  otpDailySendLimit,
+} = require("../config");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const generateOTP = () => crypto.randomInt(100000, 1000000).toString();
+
+// keyed, so six-digit codes cannot be recovered from the table by trying them all
+const hashOtp = (otp) =>
+  crypto.createHmac("sha256", jwtSecret).update(String(otp)).digest("hex");
+
+const otpMatches = (otp, otpHash) => {
+  const expected = Buffer.from(otpHash);
+  const actual = Buffer.from(hashOtp(otp));
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+const generateExpiresAt = (now) =>
+  new Date(now.getTime() + 1000 * 60 * otpExpireMinutes);
+
+/**
+ * Sends the user a new code for `purpose`, replacing any earlier one; returns `{ otp }`.
+ * Returns `{ retryAfterSeconds }` instead, sending nothing, while the previous unused
+ * code for the purpose is younger than the resend cooldown, or once the account has been
+ * sent the daily limit of codes (across purposes) in the last 24 hours.
+ */
+const issueOtp = async (userId, purpose, now = new Date()) => {
+  const existing = await prisma.otp_tokens.findUnique({
+    where: { user_id_purpose: { user_id: userId, purpose } },
+  });
+  if (existing && !existing.verified_at) {
+    const wait =
+      existing.created_at.getTime() +
+      otpResendCooldownSeconds * 1000 -
+      now.getTime();
+    if (wait > 0) return { retryAfterSeconds: Math.ceil(wait / 1000) };
+  }
+
+  const windowStart = new Date(now.getTime() - DAY_MS);
+  const windows = await prisma.otp_tokens.findMany({
+    where: { user_id: userId, send_window_started_at: { gt: windowStart } },
+    select: { send_count: true, send_window_started_at: true },
+  });
+  const sent = windows.reduce((sum, w) => sum + w.send_count, 0);
+  if (sent >= otpDailySendLimit) {
+    const oldest = Math.min(
+      ...windows.map((w) => w.send_window_started_at.getTime())
+    );
+    return { retryAfterSeconds: Math.ceil((oldest + DAY_MS - now) / 1000) };
+  }
+
+  const otp = generateOTP();
+  const code = {
+    otp_hash: hashOtp(otp),
+    created_at: now,
+    expires_at: generateExpiresAt(now),
+    attempts: 0,
+  };
+  const windowOpen = existing && existing.send_window_started_at > windowStart;
+  await prisma.otp_tokens.upsert({
+    where: { user_id_purpose: { user_id: userId, purpose } },
+    create: {
+      user_id: userId,
+      purpose,
+      ...code,
+      send_count: 1,
+      send_window_started_at: now,
+    },
+    update: {
+      ...code,
+      verified_at: null,
+      ...(windowOpen
+        ? { send_count: { increment: 1 } }
+        : { send_count: 1, send_window_started_at: now }),
+    },
+  });
+  return { otp };
+};
+
+/**
+ * Marks the user's unexpired, unused code for `purpose` as used when `otp` matches it.
+ * Every guess counts, so a code stops working after `otpMaxAttempts` wrong ones
+ * and a new one has to be requested.
+ */
+const consumeOtp = async (userId, otp, purpose, now = new Date()) => {
+  const token = await prisma.otp_tokens.findUnique({
+    where: { user_id_purpose: { user_id: userId, purpose } },
+  });
+  if (!token || token.verified_at || token.expires_at <= now) return false;
+
+  // counted before comparing, so concurrent guesses cannot exceed the limit
+  const { count } = await prisma.otp_tokens.updateMany({
+    where: {
+      id: token.id,
+      otp_hash: token.otp_hash,
+      verified_at: null,
+      attempts: { lt: otpMaxAttempts },
+    },
+    data: { attempts: { increment: 1 } },
+  });
+  if (!count || !otpMatches(otp, token.otp_hash)) return false;
+
+  const used = await prisma.otp_tokens.updateMany({
+    where: { id: token.id, otp_hash: token.otp_hash, verified_at: null },
+    data: { verified_at: now },
+  });
+  return used.count > 0;
+};
+
+module.exports = { issueOtp, consumeOtp };
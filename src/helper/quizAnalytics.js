@@ -0,0 +1,188 @@
+const { CHOICE_QUESTION_TYPES } = require("./constants");
+const { FINISHED_STATUSES, gradeLearners } = require("./grading");
+
+// share of attempts in the top and bottom groups used for the discrimination index
+const DISCRIMINATION_GROUP = 0.27;
+
+const HISTOGRAM_BUCKETS = 10;
+
+const round = (value, digits = 2) =>
+  value === null ? null : Number(value.toFixed(digits));
+
+// linear interpolation between the closest ranks; `sorted` must be ascending
+const percentile = (sorted, p) => {
+  if (!sorted.length) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const toPercent = (attempt) =>
+  attempt.score_total
+    ? (attempt.score_value_obtained / attempt.score_total) * 100
+    : 0;
+
+const summarizeScores = (percents) => {
+  const sorted = [...percents].sort((a, b) => a - b);
+  const mean = sorted.length
+    ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length
+    : null;
+  return {
+    count: sorted.length,
+    mean: round(mean),
+    median: round(percentile(sorted, 50)),
+    min: round(sorted.length ? sorted[0] : null),
+    max: round(sorted.length ? sorted[sorted.length - 1] : null),
+    percentiles: {
+      p10: round(percentile(sorted, 10)),
+      p25: round(percentile(sorted, 25)),
+      p75: round(percentile(sorted, 75)),
+      p90: round(percentile(sorted, 90)),
+    },
+  };
+};
+
+// equal-width buckets of the percentage score; a perfect score lands in the last one
+const buildHistogram = (percents) => {
+  const width = 100 / HISTOGRAM_BUCKETS;
+  const buckets = Array.from({ length: HISTOGRAM_BUCKETS }, (_, i) => ({
+    from: i * width,
+    to: (i + 1) * width,
+    count: 0,
+  }));
+  for (const percent of percents) {
+    const index = Math.min(Math.floor(percent / width), HISTOGRAM_BUCKETS - 1);
+    buckets[Math.max(0, index)].count++;
+  }
+  return buckets;
+};
+
+const correctRate = (responses) =>
+  responses.length
+    ? responses.filter((r) => r.is_correct).length / responses.length
+    : null;
+
+const isAnswered = (response) =>
+  response.option_ids.length > 0 ||
+  response.answer_text !== null ||
+  response.answer_number !== null;
+
+/**
+ * Item analysis for one question over the graded responses of finished attempts.
+ * `upperIds` / `lowerIds` are the attempts in the top and bottom score groups.
+ */
+const analyzeQuestion = (question, responses, upperIds, lowerIds) => {
+  const upper = responses.filter((r) => upperIds.has(r.attempt_id));
+  const lower = responses.filter((r) => lowerIds.has(r.attempt_id));
+  const difficulty = correctRate(responses);
+  const discrimination =
+    upper.length && lower.length
+      ? correctRate(upper) - correctRate(lower)
+      : null;
+  const answered = responses.filter(isAnswered);
+
+  return {
+    question_id: question.id,
+    question_text: question.question_text,
+    question_type: question.question_type,
+    served: responses.length,
+    answered: answered.length,
+    correct: responses.filter((r) => r.is_correct).length,
+    // share of learners who got it right: low values flag hard or broken questions
+    difficulty: round(difficulty, 3),
+    // top group minus bottom group correct rate: near zero or negative flags ambiguous questions
+    discrimination: round(discrimination, 3),
+    ...(CHOICE_QUESTION_TYPES.includes(question.question_type) && {
+      options: question.options.map((opt) => {
+        const chosen = responses.filter((r) =>
+          r.option_ids.includes(opt.id)
+        ).length;
+        return {
+          id: opt.id,
+          value: opt.value,
+          is_correct: opt.is_correct,
+          chosen,
+          chosen_rate: responses.length
+            ? round(chosen / responses.length, 3)
+            : null,
+        };
+      }),
+    }),
+  };
+};
+
+/**
+ * Builds the analytics of a quiz from all its attempts (with their graded `responses`)
+ * and the questions those responses refer to, keyed by id. Scores are compared as
+ * percentages, since attempts drawing different questions can have different totals.
+ * The score summary and histogram count one grade per learner, per `gradingPolicy`;
+ * the item analysis uses every finished attempt.
+ * Attempts finished before responses were stored count towards the scores only.
+ */
+const buildQuizAnalytics = (
+  attempts,
+  questionsById,
+  assignedCount,
+  gradingPolicy
+) => {
+  const finished = attempts
+    .filter((a) => FINISHED_STATUSES.includes(a.status))
+    .map((a) => ({ ...a, percent: toPercent(a) }));
+  const percents = [...gradeLearners(finished, gradingPolicy).values()].map(
+    (grade) => grade.percentage ?? 0
+  );
+
+  // top and bottom 27% by score, among attempts that have responses to analyze
+  const ranked = finished
+    .filter((a) => a.responses.length)
+    .sort((a, b) => b.percent - a.percent);
+  const groupSize = Math.floor(ranked.length * DISCRIMINATION_GROUP);
+  const upperIds = new Set(ranked.slice(0, groupSize).map((a) => a.id));
+  const lowerIds = new Set(
+    ranked.slice(ranked.length - groupSize).map((a) => a.id)
+  );
+
+  const responsesByQuestion = new Map();
+  for (const attempt of ranked) {
+    for (const response of attempt.responses) {
+      const list = responsesByQuestion.get(response.question_id) || [];
+      list.push({ ...response, attempt_id: attempt.id });
+      responsesByQuestion.set(response.question_id, list);
+    }
+  }
+
+  const finishedLearners = new Set(finished.map((a) => a.user_id));
+
+  return {
+    attempts: {
+      total: attempts.length,
+      in_progress: attempts.filter((a) => a.status === "IN_PROGRESS").length,
+      completed: finished.filter((a) => a.status === "COMPLETED").length,
+      timed_out: finished.filter((a) => a.status === "TIMED_OUT").length,
+      pending_grading: attempts.filter((a) => a.status === "PENDING_GRADING")
+        .length,
+      learners: new Set(attempts.map((a) => a.user_id)).size,
+      assigned: assignedCount,
+      // share of assigned learners with at least one finished attempt
+      completion_rate: assignedCount
+        ? round(finishedLearners.size / assignedCount, 3)
+        : null,
+    },
+    scores: summarizeScores(percents),
+    histogram: buildHistogram(percents),
+    questions: [...responsesByQuestion.keys()]
+      .sort((a, b) => a - b)
+      .filter((id) => questionsById.has(id))
+      .map((id) =>
+        analyzeQuestion(
+          questionsById.get(id),
+          responsesByQuestion.get(id),
+          upperIds,
+          lowerIds
+        )
+      ),
+  };
+};
+
+module.exports = { buildQuizAnalytics };
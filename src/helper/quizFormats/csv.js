@@ -0,0 +1,247 @@
+const { parseCsv, toCsvRow } = require("../csv");
+const { QUESTION_TYPES, CHOICE_QUESTION_TYPES } = require("../constants");
+
+/**
+ * One row per option. Rows sharing a `question_no` form one question; the question
+ * fields are read from its first row. SHORT_ANSWER questions list one accepted answer
+ * per row in `answer`, NUMERIC questions put the expected value in `answer`. ESSAY
+ * questions are a single row with neither options nor answers. `feedback` belongs to
+ * the option on its row, `explanation` to the question.
+ */
+const COLUMNS = [
+  "question_no",
+  "question_text",
+  "question_type",
+  "points",
+  "option_text",
+  "is_correct",
+  "answer",
+  "tolerance",
+  "case_sensitive",
+  "normalize_whitespace",
+  "explanation",
+  "feedback",
+];
+const REQUIRED_COLUMNS = ["question_no", "question_text"];
+
+const TRUE_VALUES = ["true", "yes", "y", "1"];
+const FALSE_VALUES = ["false", "no", "n", "0"];
+
+// writes the named values in column order, leaving the other columns empty
+const toRow = (values) => toCsvRow(COLUMNS.map((column) => values[column]));
+
+const serialize = (quiz) => {
+  let csv = toCsvRow(COLUMNS);
+
+  quiz.questions.forEach((question, index) => {
+    const question_no = index + 1;
+    const first = {
+      question_no,
+      question_text: question.question_text,
+      question_type: question.question_type,
+      points: question.points,
+      explanation: question.explanation,
+    };
+
+    if (CHOICE_QUESTION_TYPES.includes(question.question_type)) {
+      question.options.forEach((option, i) => {
+        csv += toRow({
+          ...(i === 0 ? first : { question_no }),
+          option_text: option.value,
+          is_correct: option.is_correct,
+          feedback: option.feedback,
+        });
+      });
+    } else if (question.question_type === QUESTION_TYPES.SHORT_ANSWER) {
+      question.accepted_answers.forEach((answer, i) => {
+        csv += toRow({
+          ...(i === 0
+            ? {
+                ...first,
+                case_sensitive: question.case_sensitive,
+                normalize_whitespace: question.normalize_whitespace,
+              }
+            : { question_no }),
+          answer,
+        });
+      });
+    } else if (question.question_type === QUESTION_TYPES.NUMERIC) {
+      csv += toRow({
+        ...first,
+        answer: question.numeric_answer,
+        tolerance: question.numeric_tolerance,
+      });
+    } else {
+      csv += toRow(first);
+    }
+  });
+
+  return csv;
+};
+
+const parseBoolean = (value, column, line, errors) => {
+  const text = value.trim().toLowerCase();
+  if (!text) return undefined;
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  errors.push(`Row ${line}: "${column}" must be true or false`);
+  return undefined;
+};
+
+const parseNumber = (value, column, line, errors) => {
+  const text = value.trim();
+  if (!text) return undefined;
+  const number = Number(text);
+  if (Number.isNaN(number)) {
+    errors.push(`Row ${line}: "${column}" must be a number`);
+    return undefined;
+  }
+  return number;
+};
+
+const parse = (input) => {
+  if (typeof input !== "string") {
+    return { errors: ["Send the CSV file as text/csv"] };
+  }
+
+  let records;
+  try {
+    records = parseCsv(input);
+  } catch (error) {
+    return { errors: [error.message] };
+  }
+  if (!records.length) {
+    return { errors: ["The file is empty"] };
+  }
+
+  const [header, ...rows] = records;
+  const columns = header.fields.map((name) => name.trim().toLowerCase());
+  const errors = [];
+
+  const unknown = columns.filter((name) => !COLUMNS.includes(name));
+  if (unknown.length) {
+    errors.push(`Row ${header.line}: unknown columns ${unknown.join(", ")}`);
+  }
+  const missing = REQUIRED_COLUMNS.filter((name) => !columns.includes(name));
+  if (missing.length) {
+    errors.push(`Row ${header.line}: missing columns ${missing.join(", ")}`);
+  }
+  if (errors.length) return { errors };
+
+  const questions = [];
+  // source rows of each question, its options and its accepted answers
+  const sources = [];
+  const seen = new Set();
+  let current = null;
+
+  for (const { line, fields } of rows) {
+    const row = Object.fromEntries(
+      COLUMNS.map((name) => [name, fields[columns.indexOf(name)] ?? ""])
+    );
+
+    const number = row.question_no.trim();
+    if (!number) {
+      errors.push(`Row ${line}: "question_no" is required`);
+      continue;
+    }
+
+    if (!current || current.number !== number) {
+      if (seen.has(number)) {
+        errors.push(
+          `Row ${line}: rows of question ${number} must be next to each other`
+        );
+        continue;
+      }
+      seen.add(number);
+
+      const type = row.question_type.trim().toUpperCase() || undefined;
+      const question = {
+        question_text: row.question_text.trim(),
+        ...(type && { question_type: type }),
+        points: parseNumber(row.points, "points", line, errors),
+        case_sensitive: parseBoolean(
+          row.case_sensitive,
+          "case_sensitive",
+          line,
+          errors
+        ),
+        normalize_whitespace: parseBoolean(
+          row.normalize_whitespace,
+          "normalize_whitespace",
+          line,
+          errors
+        ),
+        numeric_tolerance: parseNumber(
+          row.tolerance,
+          "tolerance",
+          line,
+          errors
+        ),
+        explanation: row.explanation.trim() || undefined,
+      };
+      current = { number, question };
+      questions.push(question);
+      sources.push({ line, options: [], answers: [] });
+    }
+
+    const { question } = current;
+    const source = sources[sources.length - 1];
+
+    if (row.option_text.trim()) {
+      question.options ??= [];
+      question.options.push({
+        value: row.option_text.trim(),
+        is_correct: parseBoolean(row.is_correct, "is_correct", line, errors),
+        ...(row.feedback.trim() && { feedback: row.feedback.trim() }),
+      });
+      source.options.push(line);
+    }
+
+    if (row.answer.trim()) {
+      if (question.question_type === QUESTION_TYPES.NUMERIC) {
+        question.numeric_answer = parseNumber(
+          row.answer,
+          "answer",
+          line,
+          errors
+        );
+      } else {
+        question.accepted_answers ??= [];
+        question.accepted_answers.push(row.answer.trim());
+        source.answers.push(line);
+      }
+    }
+  }
+
+  if (!rows.length) {
+    errors.push("The file has no questions");
+  }
+
+  // drop unset columns so the schema defaults apply
+  for (const question of questions) {
+    for (const key of Object.keys(question)) {
+      if (question[key] === undefined) delete question[key];
+    }
+  }
+
+  return {
+    quiz: { questions },
+    errors,
+    locate: (path) => {
+      const source = path[0] === "questions" && sources[path[1]];
+      if (!source) return null;
+      const row =
+        (path[2] === "options" && source.options[path[3]]) ||
+        (path[2] === "accepted_answers" && source.answers[path[3]]) ||
+        source.line;
+      return `Row ${row}`;
+    },
+  };
+};
+
+module.exports = {
+  contentType: "text/csv",
+  extension: "csv",
+  serialize,
+  parse,
+};
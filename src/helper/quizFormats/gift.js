@@ -0,0 +1,334 @@
+const { QUESTION_TYPES } = require("../constants");
+
+/**
+ * Moodle GIFT (https://docs.moodle.org/en/GIFT_format), limited to the question types
+ * this server supports: multiple choice (`=right ~wrong`, or `~%50%` weights for several
+ * right answers), true/false, short answer (only `=` answers), numerical (`#value:tolerance`
+ * or `#min..max`) and essay (`{}`). GIFT has no points or quiz settings, so those fall back to the defaults;
+ * the first `$CATEGORY` names the quiz, with its full path. Feedback after `#` is ignored.
+ */
+
+const SPECIAL_CHARS = /[\\~=#{}:]/g;
+
+const escapeGift = (text) =>
+  String(text).replace(SPECIAL_CHARS, "\\$&").replace(/\r?\n/g, "\\n");
+
+const unescapeGift = (text) =>
+  text.replace(/\\n/g, "\n").replace(/\\([\\~=#{}:])/g, "$1");
+
+// index of the first `char` in `text` at or after `from` that is not escaped with a backslash
+const findUnescaped = (text, char, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === "\\") {
+      i++;
+    } else if (text[i] === char) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+// categories are `/` separated paths, so a `/` within a name is doubled; names stay on one line
+const toCategory = (name) =>
+  String(name)
+    .replace(/\s*\r?\n\s*/g, " ")
+    .replace(/\//g, "//");
+
+// the full category path as the quiz name, without Moodle's `$course$/top` style prefix
+const fromCategory = (category) => {
+  const segments = category
+    .replace(/\/\//g, "\0")
+    .split("/")
+    .map((segment) => segment.replace(/\0/g, "/").trim());
+  if (/^\$\w+\$$/.test(segments[0])) segments.shift();
+  if (segments[0] === "top" && segments.length > 1) segments.shift();
+  return segments.join("/");
+};
+
+const trimWeight = (weight) => Number(weight.toFixed(5));
+
+const isTrueFalseQuestion = (question) =>
+  question.question_type === QUESTION_TYPES.TRUE_FALSE &&
+  question.options.length === 2 &&
+  question.options.every((opt) => /^(true|false)$/i.test(opt.value));
+
+const serializeAnswers = (question) => {
+  if (isTrueFalseQuestion(question)) {
+    const correct = question.options.find((opt) => opt.is_correct);
+    return /^true$/i.test(correct?.value) ? "{TRUE}" : "{FALSE}";
+  }
+
+  switch (question.question_type) {
+    case QUESTION_TYPES.SHORT_ANSWER:
+      return `{${question.accepted_answers
+        .map((answer) => `=${escapeGift(answer)}`)
+        .join(" ")}}`;
+    case QUESTION_TYPES.NUMERIC:
+      return `{#${question.numeric_answer}:${question.numeric_tolerance || 0}}`;
+    case QUESTION_TYPES.ESSAY:
+      return "{}";
+    case QUESTION_TYPES.MULTIPLE_CHOICE: {
+      const weight = trimWeight(
+        100 / question.options.filter((opt) => opt.is_correct).length
+      );
+      return `{\n${question.options
+        .map((opt) =>
+          opt.is_correct
+            ? `~%${weight}%${escapeGift(opt.value)}`
+            : `~${escapeGift(opt.value)}`
+        )
+        .join("\n")}\n}`;
+    }
+    default:
+      return `{\n${question.options
+        .map((opt) => `${opt.is_correct ? "=" : "~"}${escapeGift(opt.value)}`)
+        .join("\n")}\n}`;
+  }
+};
+
+const serialize = (quiz) =>
+  [
+    `$CATEGORY: ${toCategory(quiz.name)}`,
+    ...quiz.questions.map(
+      (question, index) =>
+        `::Q${index + 1}:: ${escapeGift(question.question_text)} ${serializeAnswers(question)}`
+    ),
+  ].join("\n\n") + "\n";
+
+// splits `=a ~b ~%50%c#feedback` into its answers
+const parseAnswerItems = (body) => {
+  const items = [];
+  let i = 0;
+  while (i < body.length) {
+    const marker = body[i];
+    if (marker !== "=" && marker !== "~") {
+      if (/\s/.test(marker)) {
+        i++;
+        continue;
+      }
+      return null;
+    }
+
+    let end = i + 1;
+    while (end < body.length) {
+      if (body[end] === "\\") {
+        end += 2;
+      } else if (body[end] === "=" || body[end] === "~") {
+        break;
+      } else {
+        end++;
+      }
+    }
+
+    let text = body.slice(i + 1, end);
+    const feedbackAt = findUnescaped(text, "#");
+    if (feedbackAt !== -1) text = text.slice(0, feedbackAt);
+
+    let weight = null;
+    const weighted = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weighted) {
+      weight = Number(weighted[1]);
+      text = text.slice(weighted[0].length);
+    }
+
+    items.push({ marker, weight, text: unescapeGift(text.trim()) });
+    i = end;
+  }
+  return items;
+};
+
+const parseNumericAnswer = (body) => {
+  let text = body.slice(1);
+  // several numeric answers: use the one that gets full credit
+  if (findUnescaped(text, "=") !== -1) {
+    const items = parseAnswerItems(text) || [];
+    const best = items.find((item) => item.weight === null) || items[0];
+    text = best ? best.text : "";
+  } else {
+    const feedbackAt = findUnescaped(text, "#");
+    if (feedbackAt !== -1) text = text.slice(0, feedbackAt);
+  }
+  text = text.trim();
+
+  const range = text.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+  if (range) {
+    const min = Number(range[1]);
+    const max = Number(range[2]);
+    return {
+      numeric_answer: (min + max) / 2,
+      numeric_tolerance: (max - min) / 2,
+    };
+  }
+
+  const [value, tolerance = "0"] = text.split(":");
+  if (
+    !value ||
+    Number.isNaN(Number(value)) ||
+    Number.isNaN(Number(tolerance))
+  ) {
+    return null;
+  }
+  return {
+    numeric_answer: Number(value),
+    numeric_tolerance: Number(tolerance),
+  };
+};
+
+const parseQuestion = (block) => {
+  let text = block.trim();
+
+  // optional `::title::` and `[format]` prefixes
+  const title = text.match(/^::((?:\\.|[^\\])*?)::/);
+  if (title) text = text.slice(title[0].length).trim();
+  const format = text.match(/^\[(html|moodle|plain|markdown)\]/i);
+  if (format) text = text.slice(format[0].length).trim();
+
+  const open = findUnescaped(text, "{");
+  const close = open === -1 ? -1 : findUnescaped(text, "}", open);
+  if (open === -1 || close === -1) {
+    return { error: "question has no {answer} block" };
+  }
+
+  const before = text.slice(0, open).trim();
+  const after = text.slice(close + 1).trim();
+  const body = text.slice(open + 1, close).trim();
+  // missing-word questions keep a blank where the answer block was
+  const questionText = unescapeGift(
+    after ? `${before} _____ ${after}` : before
+  ).trim();
+
+  if (!body) {
+    return {
+      question: {
+        question_text: questionText,
+        question_type: QUESTION_TYPES.ESSAY,
+      },
+    };
+  }
+  if (body.includes("->")) {
+    return { error: "matching questions are not supported" };
+  }
+
+  const trueFalse = body.match(/^(T|TRUE|F|FALSE)\s*(#.*)?$/is);
+  if (trueFalse) {
+    const isTrue = /^T/i.test(trueFalse[1]);
+    return {
+      question: {
+        question_text: questionText,
+        question_type: QUESTION_TYPES.TRUE_FALSE,
+        options: [
+          { value: "True", is_correct: isTrue },
+          { value: "False", is_correct: !isTrue },
+        ],
+      },
+    };
+  }
+
+  if (body.startsWith("#")) {
+    const numeric = parseNumericAnswer(body);
+    if (!numeric) return { error: "numerical answer is not a number" };
+    return {
+      question: {
+        question_text: questionText,
+        question_type: QUESTION_TYPES.NUMERIC,
+        ...numeric,
+      },
+    };
+  }
+
+  const items = parseAnswerItems(body);
+  if (!items || !items.length) {
+    return { error: "answers must start with = or ~" };
+  }
+
+  if (items.every((item) => item.marker === "=")) {
+    return {
+      question: {
+        question_text: questionText,
+        question_type: QUESTION_TYPES.SHORT_ANSWER,
+        accepted_answers: items.map((item) => item.text),
+      },
+    };
+  }
+
+  const weighted = items.some((item) => item.weight !== null);
+  const options = items.map((item) => ({
+    value: item.text,
+    is_correct: item.marker === "=" || (weighted && item.weight > 0),
+  }));
+  return {
+    question: {
+      question_text: questionText,
+      // weights are how GIFT marks questions with several right answers
+      question_type:
+        weighted || options.filter((opt) => opt.is_correct).length > 1
+          ? QUESTION_TYPES.MULTIPLE_CHOICE
+          : QUESTION_TYPES.SINGLE_CHOICE,
+      options,
+    },
+  };
+};
+
+const parse = (input) => {
+  if (typeof input !== "string") {
+    return { errors: ["Send the GIFT file as text/plain"] };
+  }
+
+  const errors = [];
+  const questions = [];
+  const lines = [];
+  let name;
+  // questions are separated by blank lines
+  const blocks = [];
+  let block = null;
+
+  input.split(/\r?\n/).forEach((text, index) => {
+    const line = index + 1;
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith("//")) return;
+    if (/^\$CATEGORY:/i.test(trimmed)) {
+      name ??= fromCategory(trimmed.replace(/^\$CATEGORY:/i, "").trim());
+      return;
+    }
+    if (!trimmed) {
+      block = null;
+      return;
+    }
+    if (!block) {
+      block = { line, text: "" };
+      blocks.push(block);
+    }
+    block.text += `${text}\n`;
+  });
+
+  for (const { line, text } of blocks) {
+    const { question, error } = parseQuestion(text);
+    if (error) {
+      errors.push(`Line ${line}: ${error}`);
+    } else {
+      questions.push(question);
+      lines.push(line);
+    }
+  }
+
+  if (!blocks.length) {
+    errors.push("The file has no questions");
+  }
+
+  return {
+    quiz: { ...(name && { name }), questions },
+    errors,
+    locate: (path) =>
+      path[0] === "questions" && lines[path[1]]
+        ? `Line ${lines[path[1]]}`
+        : null,
+  };
+};
+
+module.exports = {
+  contentType: "text/plain",
+  extension: "gift",
+  serialize,
+  parse,
+};
@@ -0,0 +1,53 @@
+const {
+  QUESTION_TYPES,
+  CHOICE_QUESTION_TYPES,
+  QUIZ_SETTINGS,
+} = require("../constants");
+
+const QUIZ_FORMATS = {
+  json: require("./json"),
+  csv: require("./csv"),
+  gift: require("./gift"),
+};
+
+// a stored question in the shape `questionSchema` accepts
+const toPortableQuestion = (question) => ({
+  question_text: question.question_text,
+  question_type: question.question_type,
+  points: question.points,
+  ...(CHOICE_QUESTION_TYPES.includes(question.question_type) && {
+    options: question.options.map((opt) => ({
+      value: opt.value,
+      is_correct: opt.is_correct,
+      ...(opt.feedback && { feedback: opt.feedback }),
+    })),
+  }),
+  ...(question.question_type === QUESTION_TYPES.SHORT_ANSWER && {
+    accepted_answers: question.accepted_answers,
+  }),
+  case_sensitive: question.case_sensitive,
+  normalize_whitespace: question.normalize_whitespace,
+  ...(question.question_type === QUESTION_TYPES.NUMERIC && {
+    numeric_answer: question.numeric_answer,
+  }),
+  numeric_tolerance: question.numeric_tolerance,
+  ...(question.explanation && { explanation: question.explanation }),
+});
+
+/**
+ * Converts a quiz loaded with its questions (own and linked bank questions, with options)
+ * and bank rules into the payload `createQuizSchema` accepts, minus the assignments.
+ * Linked bank questions are inlined so the export does not depend on this server's bank.
+ */
+const toPortableQuiz = (quiz) => ({
+  name: quiz.name,
+  ...Object.fromEntries(QUIZ_SETTINGS.map((key) => [key, quiz[key]])),
+  bank_rules: (quiz.bankRules || []).map((rule) => ({
+    tags: rule.tags,
+    difficulty: rule.difficulty,
+    count: rule.count,
+  })),
+  questions: quiz.questions.map(toPortableQuestion),
+});
+
+module.exports = { QUIZ_FORMATS, toPortableQuiz };
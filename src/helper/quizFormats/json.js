@@ -0,0 +1,60 @@
+// native export document, bump the version whenever the layout of `quiz` changes
+const NATIVE_FORMAT = "quizz-node";
+const NATIVE_VERSION = 1;
+
+const serialize = (quiz) =>
+  JSON.stringify(
+    {
+      format: NATIVE_FORMAT,
+      version: NATIVE_VERSION,
+      exported_at: new Date().toISOString(),
+      quiz,
+    },
+    null,
+    2
+  );
+
+/**
+ * Reads a native export, either already parsed by the JSON body parser or as raw text.
+ * Errors point at the question by its position in `quiz.questions`.
+ */
+const parse = (input) => {
+  let doc = input;
+  if (typeof input === "string") {
+    try {
+      doc = JSON.parse(input);
+    } catch (error) {
+      return { errors: [`Invalid JSON: ${error.message}`] };
+    }
+  }
+
+  if (!doc || typeof doc !== "object" || doc.format !== NATIVE_FORMAT) {
+    return { errors: [`"format" must be "${NATIVE_FORMAT}"`] };
+  }
+  if (!Number.isInteger(doc.version) || doc.version > NATIVE_VERSION) {
+    return {
+      errors: [
+        `Unsupported version ${doc.version}, this server reads versions up to ${NATIVE_VERSION}`,
+      ],
+    };
+  }
+  if (!doc.quiz || typeof doc.quiz !== "object") {
+    return { errors: [`"quiz" is required`] };
+  }
+
+  return {
+    quiz: doc.quiz,
+    errors: [],
+    locate: (path) =>
+      path[0] === "questions" && Number.isInteger(path[1])
+        ? `Question ${path[1] + 1}`
+        : null,
+  };
+};
+
+module.exports = {
+  contentType: "application/json",
+  extension: "json",
+  serialize,
+  parse,
+};
@@ -0,0 +1,103 @@
+const prisma = require("../../prisma/prismaClient");
+
+// question fields a learner may see while answering (never the answer key)
+const learnerQuestionSelect = {
+  id: true,
+  question_text: true,
+  question_type: true,
+  points: true,
+  options: {
+    orderBy: { id: "asc" },
+    select: { id: true, value: true },
+  },
+};
+
+// maps a validated question payload to the scalar columns of the questions table
+const toQuestionData = (q) => ({
+  question_text: q.question_text,
+  question_type: q.question_type,
+  points: q.points,
+  accepted_answers: q.accepted_answers,
+  case_sensitive: q.case_sensitive,
+  normalize_whitespace: q.normalize_whitespace,
+  numeric_answer: q.numeric_answer,
+  numeric_tolerance: q.numeric_tolerance,
+  explanation: q.explanation,
+});
+
+// maps an option payload to the columns of the options table
+const toOptionData = (opt) => ({
+  value: opt.value,
+  is_correct: opt.is_correct || false,
+  feedback: opt.feedback,
+});
+
+// questions a quiz always serves: its own plus the bank questions it links to
+const quizQuestionsWhere = (quizId) => ({
+  OR: [{ quiz_id: quizId }, { quizLinks: { some: { quiz_id: quizId } } }],
+});
+
+/**
+ * Flattens a quiz selected with `questions` and
+ * `bankQuestions: { select: { question: ... } }` into a single `questions` list,
+ * own questions first.
+ */
+const withBankQuestions = ({ bankQuestions = [], ...quiz }) => ({
+  ...quiz,
+  questions: [
+    ...(quiz.questions || []),
+    ...bankQuestions.map((link) => link.question),
+  ],
+});
+
+// returns the ids that do not belong to a question bank entry
+const findInvalidBankQuestionIds = async (ids) => {
+  const found = await prisma.questions.findMany({
+    where: { id: { in: ids }, quiz_id: null },
+    select: { id: true },
+  });
+  const foundIds = found.map((q) => q.id);
+  return ids.filter((id) => !foundIds.includes(id));
+};
+
+const matchesBankRule = (rule, question) =>
+  rule.tags.every((tag) => question.tags.includes(tag)) &&
+  (!rule.difficulty || rule.difficulty === question.difficulty);
+
+/**
+ * Brings a question's options in line with `options`: entries with an `id`
+ * are updated in place (so past answers keep pointing at them), entries
+ * without one, or whose option no longer exists, are created, and options
+ * no longer listed are removed.
+ */
+const syncQuestionOptions = async (tx, questionId, options) => {
+  const keepIds = options.filter((opt) => opt.id).map((opt) => opt.id);
+
+  await tx.options.deleteMany({
+    where: { question_id: questionId, id: { notIn: keepIds } },
+  });
+
+  for (const opt of options) {
+    const data = toOptionData(opt);
+    const { count } = opt.id
+      ? await tx.options.updateMany({
+          where: { id: opt.id, question_id: questionId },
+          data,
+        })
+      : { count: 0 };
+    if (!count) {
+      await tx.options.create({ data: { ...data, question_id: questionId } });
+    }
+  }
+};
+
+module.exports = {
+  learnerQuestionSelect,
+  toQuestionData,
+  toOptionData,
+  quizQuestionsWhere,
+  withBankQuestions,
+  findInvalidBankQuestionIds,
+  matchesBankRule,
+  syncQuestionOptions,
+};
@@ -0,0 +1,90 @@
+const prisma = require("../../prisma/prismaClient");
+const { publishQuizVersion } = require("./quizVersions");
+
+// `changedBy` is the admin's id, or null when the scheduler makes the change
+const recordStatusChange = (
+  tx,
+  quizId,
+  fromStatus,
+  toStatus,
+  changedBy = null,
+  now = new Date()
+) =>
+  tx.quiz_status_transitions.create({
+    data: {
+      quiz_id: quizId,
+      from_status: fromStatus,
+      to_status: toStatus,
+      source: changedBy ? "ADMIN" : "SCHEDULER",
+      changed_by: changedBy,
+      created_at: now,
+    },
+  });
+
+/**
+ * Moves a quiz to `toStatus` and records the transition, but only if the quiz is
+ * still in `fromStatus`, so concurrent admins or scheduler runs never apply it twice.
+ * Returns false when the quiz was no longer in `fromStatus`.
+ */
+const transitionQuizStatus = async (
+  tx,
+  quizId,
+  fromStatus,
+  toStatus,
+  { changedBy = null, data = {}, now = new Date() } = {}
+) => {
+  const { count } = await tx.quizzes.updateMany({
+    where: { id: quizId, status: fromStatus },
+    data: { ...data, status: toStatus, updated_at: now },
+  });
+  if (!count) return false;
+
+  if (fromStatus !== toStatus) {
+    await recordStatusChange(tx, quizId, fromStatus, toStatus, changedBy, now);
+  }
+  return true;
+};
+
+/**
+ * Opens SCHEDULED quizzes whose `starts_at` has passed (publishing a version, as
+ * going LIVE by hand does) and expires LIVE quizzes whose `expires_at` has passed.
+ * Opening runs first so a quiz whose whole window was missed still goes through LIVE.
+ */
+const applyQuizSchedule = async (now = new Date()) => {
+  let opened = 0;
+  let expired = 0;
+
+  const due = await prisma.quizzes.findMany({
+    where: { status: "SCHEDULED", starts_at: { lte: now } },
+    select: { id: true },
+  });
+  for (const quiz of due) {
+    const moved = await prisma.$transaction(async (tx) => {
+      const ok = await transitionQuizStatus(tx, quiz.id, "SCHEDULED", "LIVE", {
+        now,
+      });
+      if (ok) await publishQuizVersion(tx, quiz.id);
+      return ok;
+    });
+    if (moved) opened++;
+  }
+
+  const ended = await prisma.quizzes.findMany({
+    where: { status: "LIVE", expires_at: { lte: now } },
+    select: { id: true },
+  });
+  for (const quiz of ended) {
+    const moved = await prisma.$transaction((tx) =>
+      transitionQuizStatus(tx, quiz.id, "LIVE", "EXPIRED", { now })
+    );
+    if (moved) expired++;
+  }
+
+  return { opened, expired };
+};
+
+module.exports = {
+  recordStatusChange,
+  transitionQuizStatus,
+  applyQuizSchedule,
+};
@@ -0,0 +1,363 @@
+const prisma = require("../../prisma/prismaClient");
+const { createRandom, shuffle } = require("./shuffle");
+const {
+  toQuestionData,
+  toOptionData,
+  quizQuestionsWhere,
+  syncQuestionOptions,
+} = require("./quizQuestions");
+
+// settings that change what is served or how it is graded are frozen with each version;
+// timing and attempt limits stay editable on the quiz itself
+const VERSIONED_SETTINGS = [
+  "scoring_policy",
+  "wrong_answer_penalty",
+  "shuffle_questions",
+  "shuffle_options",
+  "questions_per_attempt",
+  // so every attempt on a version is passed or failed against the same mark
+  "pass_mark",
+  "pass_mark_type",
+];
+
+// question fields compared when diffing two versions
+const QUESTION_FIELDS = [
+  "question_text",
+  "question_type",
+  "points",
+  "accepted_answers",
+  "case_sensitive",
+  "normalize_whitespace",
+  "numeric_answer",
+  "numeric_tolerance",
+  "explanation",
+];
+
+const OPTION_FIELDS = ["value", "is_correct", "feedback"];
+
+const snapshotQuestionSelect = {
+  id: true,
+  quiz_id: true,
+  ...Object.fromEntries(QUESTION_FIELDS.map((field) => [field, true])),
+  tags: true,
+  difficulty: true,
+  options: {
+    orderBy: { id: "asc" },
+    select: {
+      id: true,
+      ...Object.fromEntries(OPTION_FIELDS.map((field) => [field, true])),
+    },
+  },
+};
+
+/**
+ * Captures everything needed to serve and grade a quiz without touching the
+ * live question tables: the versioned settings, the fixed questions (own and
+ * linked bank questions) with their answer key, and, for every bank rule, the
+ * bank questions it could draw at the time.
+ */
+const buildQuizSnapshot = async (tx, quizId) => {
+  const quiz = await tx.quizzes.findUnique({
+    where: { id: quizId },
+    select: {
+      name: true,
+      ...Object.fromEntries(VERSIONED_SETTINGS.map((key) => [key, true])),
+      bankQuestions: { select: { question_id: true } },
+      bankRules: { orderBy: { id: "asc" } },
+    },
+  });
+
+  const questions = await tx.questions.findMany({
+    where: quizQuestionsWhere(quizId),
+    orderBy: { id: "asc" },
+    select: snapshotQuestionSelect,
+  });
+
+  const bankPool = [];
+  const bankRules = [];
+  for (const rule of quiz.bankRules) {
+    const candidates = await tx.questions.findMany({
+      where: {
+        quiz_id: null,
+        tags: { hasEvery: rule.tags },
+        ...(rule.difficulty && { difficulty: rule.difficulty }),
+        id: { notIn: questions.map((q) => q.id) },
+      },
+      orderBy: { id: "asc" },
+      select: snapshotQuestionSelect,
+    });
+    for (const candidate of candidates) {
+      if (!bankPool.some((q) => q.id === candidate.id)) {
+        bankPool.push(candidate);
+      }
+    }
+    bankRules.push({
+      tags: rule.tags,
+      difficulty: rule.difficulty,
+      count: rule.count,
+      question_ids: candidates.map((q) => q.id),
+    });
+  }
+
+  return {
+    name: quiz.name,
+    settings: Object.fromEntries(
+      VERSIONED_SETTINGS.map((key) => [key, quiz[key]])
+    ),
+    questions,
+    bank_question_ids: quiz.bankQuestions.map((link) => link.question_id),
+    bank_rules: bankRules,
+    bank_pool: bankPool,
+  };
+};
+
+// looks a question up among the fixed questions and the rule candidates of a snapshot
+const findSnapshotQuestion = (snapshot, questionId) =>
+  snapshot.questions.find((q) => q.id === questionId) ||
+  snapshot.bank_pool.find((q) => q.id === questionId) ||
+  null;
+
+/**
+ * Same draw as the live question bank: the fixed questions plus, for each rule,
+ * `count` seeded picks among its candidates that were not served already.
+ */
+const drawSnapshotQuestions = (snapshot, seed) => {
+  const pool = [...snapshot.questions];
+
+  // offset the seed so the draw is independent of the shuffle done on the layout
+  const random = createRandom(seed + 1);
+  for (const rule of snapshot.bank_rules) {
+    const candidates = rule.question_ids
+      .filter((id) => !pool.some((q) => q.id === id))
+      .map((id) => findSnapshotQuestion(snapshot, id));
+    pool.push(...shuffle(candidates, random).slice(0, rule.count));
+  }
+
+  return pool;
+};
+
+// the question fields a learner may see while answering (never the answer key)
+const toLearnerQuestion = (question) => ({
+  id: question.id,
+  question_text: question.question_text,
+  question_type: question.question_type,
+  points: question.points,
+  options: question.options.map((opt) => ({ id: opt.id, value: opt.value })),
+});
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// fields missing from snapshots taken before they existed compare as null
+const diffFields = (fields, from, to) =>
+  fields
+    .filter((field) => !isSameValue(from[field] ?? null, to[field] ?? null))
+    .map((field) => ({ field, from: from[field], to: to[field] }));
+
+// matches two lists by id into added, removed and changed entries
+const diffById = (fromList, toList, compare) => {
+  const added = toList.filter(
+    (item) => !fromList.some((other) => other.id === item.id)
+  );
+  const removed = fromList.filter(
+    (item) => !toList.some((other) => other.id === item.id)
+  );
+  const changed = [];
+  for (const item of toList) {
+    const previous = fromList.find((other) => other.id === item.id);
+    const changes = previous && compare(previous, item);
+    if (changes) changed.push(changes);
+  }
+  return { added, removed, changed };
+};
+
+const diffQuestions = (from, to) => {
+  const fields = diffFields(QUESTION_FIELDS, from, to);
+  const options = diffById(from.options, to.options, (a, b) => {
+    const changes = diffFields(OPTION_FIELDS, a, b);
+    return changes.length ? { id: b.id, changes } : null;
+  });
+  const optionsChanged =
+    options.added.length || options.removed.length || options.changed.length;
+
+  if (!fields.length && !optionsChanged) return null;
+  return {
+    id: to.id,
+    question_text: to.question_text,
+    changes: fields,
+    options,
+  };
+};
+
+const summarizeQuestion = (question) => ({
+  id: question.id,
+  question_text: question.question_text,
+});
+
+const summarizeDiff = ({ added, removed, changed }) => ({
+  added: added.map(summarizeQuestion),
+  removed: removed.map(summarizeQuestion),
+  changed,
+});
+
+const hasListChanges = ({ added, removed, changed }) =>
+  !!(added.length || removed.length || changed.length);
+
+/**
+ * Compares two snapshots: changed settings, added/removed/changed fixed questions
+ * (matched by id, options included), whether the bank rules differ and how the
+ * bank questions those rules can draw from have changed.
+ */
+const diffSnapshots = (from, to) => {
+  const settings = diffFields(VERSIONED_SETTINGS, from.settings, to.settings);
+  const questions = diffById(from.questions, to.questions, diffQuestions);
+  const bankPool = diffById(from.bank_pool, to.bank_pool, diffQuestions);
+  const bankRules = (snapshot) =>
+    snapshot.bank_rules.map(({ tags, difficulty, count }) => ({
+      tags,
+      difficulty,
+      count,
+    }));
+  const rulesChanged = !isSameValue(bankRules(from), bankRules(to));
+
+  return {
+    has_changes:
+      !!settings.length ||
+      hasListChanges(questions) ||
+      rulesChanged ||
+      hasListChanges(bankPool),
+    settings,
+    questions: summarizeDiff(questions),
+    bank_rules: rulesChanged
+      ? { from: bankRules(from), to: bankRules(to) }
+      : null,
+    bank_pool: summarizeDiff(bankPool),
+  };
+};
+
+/**
+ * Freezes the quiz as it is now and serves that version to learners from then on.
+ * Republishing without changes keeps the current version.
+ */
+const publishQuizVersion = async (tx, quizId, userId = null) => {
+  const snapshot = await buildQuizSnapshot(tx, quizId);
+  const latest = await tx.quiz_versions.findFirst({
+    where: { quiz_id: quizId },
+    orderBy: { version: "desc" },
+  });
+
+  let version = latest;
+  if (!latest || diffSnapshots(latest.snapshot, snapshot).has_changes) {
+    version = await tx.quiz_versions.create({
+      data: {
+        quiz_id: quizId,
+        version: (latest?.version ?? 0) + 1,
+        snapshot,
+        created_by: userId,
+      },
+    });
+  }
+
+  await tx.quizzes.update({
+    where: { id: quizId },
+    data: { published_version_id: version.id },
+  });
+  return version;
+};
+
+/**
+ * Returns the version served for a LIVE quiz, selected either with `publishedVersion`
+ * or with `published_version_id`. Quizzes that went live before versioning existed
+ * are published on first use.
+ */
+const loadPublishedVersion = async (quiz) => {
+  if (quiz.publishedVersion) return quiz.publishedVersion;
+  if (quiz.published_version_id) {
+    return prisma.quiz_versions.findUnique({
+      where: { id: quiz.published_version_id },
+    });
+  }
+  try {
+    return await prisma.$transaction((tx) => publishQuizVersion(tx, quiz.id));
+  } catch (error) {
+    // another request published it first
+    if (error.code !== "P2002") throw error;
+    const { publishedVersion } = await prisma.quizzes.findUnique({
+      where: { id: quiz.id },
+      select: { publishedVersion: true },
+    });
+    return publishedVersion;
+  }
+};
+
+/**
+ * Puts the quiz's editable content back to a snapshot: settings, own questions
+ * (updated in place when they still exist), bank links that still exist and bank rules.
+ */
+const restoreQuizSnapshot = async (tx, quizId, snapshot) => {
+  await tx.quizzes.update({
+    where: { id: quizId },
+    data: { ...snapshot.settings, updated_at: new Date() },
+  });
+
+  const ownQuestions = snapshot.questions.filter((q) => q.quiz_id === quizId);
+  const current = await tx.questions.findMany({
+    where: { quiz_id: quizId },
+    select: { id: true },
+  });
+  const currentIds = current.map((q) => q.id);
+  const removedIds = currentIds.filter(
+    (id) => !ownQuestions.some((q) => q.id === id)
+  );
+
+  await tx.options.deleteMany({ where: { question_id: { in: removedIds } } });
+  await tx.questions.deleteMany({ where: { id: { in: removedIds } } });
+
+  for (const question of ownQuestions) {
+    if (currentIds.includes(question.id)) {
+      await tx.questions.update({
+        where: { id: question.id },
+        data: { ...toQuestionData(question), updated_at: new Date() },
+      });
+      await syncQuestionOptions(tx, question.id, question.options);
+    } else {
+      await tx.questions.create({
+        data: {
+          ...toQuestionData(question),
+          quiz_id: quizId,
+          options: { create: question.options.map(toOptionData) },
+        },
+      });
+    }
+  }
+
+  const bankQuestions = await tx.questions.findMany({
+    where: { id: { in: snapshot.bank_question_ids }, quiz_id: null },
+    select: { id: true },
+  });
+  await tx.quiz_bank_questions.deleteMany({ where: { quiz_id: quizId } });
+  await tx.quiz_bank_questions.createMany({
+    data: bankQuestions.map((q) => ({ quiz_id: quizId, question_id: q.id })),
+  });
+
+  await tx.quiz_bank_rules.deleteMany({ where: { quiz_id: quizId } });
+  await tx.quiz_bank_rules.createMany({
+    data: snapshot.bank_rules.map(({ tags, difficulty, count }) => ({
+      quiz_id: quizId,
+      tags,
+      difficulty,
+      count,
+    })),
+  });
+};
+
+module.exports = {
+  VERSIONED_SETTINGS,
+  buildQuizSnapshot,
+  findSnapshotQuestion,
+  drawSnapshotQuestions,
+  toLearnerQuestion,
+  diffSnapshots,
+  publishQuizVersion,
+  loadPublishedVersion,
+  restoreQuizSnapshot,
+};
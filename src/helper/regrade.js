@@ -0,0 +1,314 @@
+const prisma = require("../../prisma/prismaClient");
+const { scoreQuestion, roundScore } = require("./scoring");
+const { QUESTION_TYPES } = require("./constants");
+const { isPassingScore } = require("./certificates");
+const {
+  loadAttemptQuestions,
+  toAnswer,
+  hasAnswer,
+  issueCertificate,
+} = require("./attempts");
+
+// attempts still in progress are graded when they are submitted
+const REGRADED_STATUSES = ["COMPLETED", "TIMED_OUT", "PENDING_GRADING"];
+
+// answer key fields a correction can change; wording and points stay as served
+const KEY_FIELDS = [
+  "accepted_answers",
+  "case_sensitive",
+  "normalize_whitespace",
+  "numeric_answer",
+  "numeric_tolerance",
+];
+
+// the answer key of a question as a regrade applies it, kept with the regrade
+const toAnswerKey = (question) => ({
+  question_type: question.question_type,
+  ...Object.fromEntries(KEY_FIELDS.map((field) => [field, question[field]])),
+  options: question.options.map((opt) => ({
+    id: opt.id,
+    is_correct: opt.is_correct,
+  })),
+});
+
+// the question as served in the attempt, with the answer key it has now
+const withCurrentKey = (question, current) => ({
+  ...question,
+  ...Object.fromEntries(KEY_FIELDS.map((field) => [field, current[field]])),
+  options: question.options.map((opt) => ({
+    ...opt,
+    is_correct:
+      current.options.find((o) => o.id === opt.id)?.is_correct ??
+      opt.is_correct,
+  })),
+});
+
+// a stored response scored again; essays and answers not graded yet keep their grading
+const rescoreResponse = (response, question, current, settings) => {
+  if (
+    !question ||
+    !current ||
+    current.question_type !== question.question_type ||
+    question.question_type === QUESTION_TYPES.ESSAY ||
+    response.points_awarded === null
+  ) {
+    return response;
+  }
+  const answer = toAnswer(response);
+  return {
+    ...response,
+    ...scoreQuestion(
+      withCurrentKey(question, current),
+      hasAnswer(answer) ? answer : undefined,
+      settings
+    ),
+  };
+};
+
+/**
+ * Scores the stored responses of every finished attempt on `quiz` (loaded with
+ * `attemptQuizSelect`) again, against the answer key now in the question tables, under
+ * the scoring settings each attempt was served with. With `questionId`, only that
+ * question's responses are scored again. Nothing is written: returns the attempts whose
+ * score or responses would change, and how many had no stored responses to regrade.
+ */
+const planRegrade = async (quiz, questionId = null) => {
+  const attempts = await prisma.quiz_scores.findMany({
+    where: {
+      quiz_id: quiz.id,
+      status: { in: REGRADED_STATUSES },
+      ...(questionId && { responses: { some: { question_id: questionId } } }),
+    },
+    orderBy: { id: "asc" },
+    include: {
+      responses: { orderBy: { question_id: "asc" } },
+      user: { select: { id: true, email: true } },
+    },
+  });
+
+  const questionIds = questionId
+    ? [questionId]
+    : [
+        ...new Set(
+          attempts.flatMap((a) => a.responses.map((r) => r.question_id))
+        ),
+      ];
+  const currentQuestions = new Map(
+    (
+      await prisma.questions.findMany({
+        where: { id: { in: questionIds } },
+        include: { options: true },
+      })
+    ).map((question) => [question.id, question])
+  );
+
+  const changes = [];
+  let skipped = 0;
+  for (const attempt of attempts) {
+    // finished before responses were stored
+    if (!attempt.responses.length) {
+      skipped++;
+      continue;
+    }
+
+    const { settings, questions } = await loadAttemptQuestions(attempt, quiz);
+    const responses = attempt.responses.map((response) =>
+      questionId && response.question_id !== questionId
+        ? response
+        : rescoreResponse(
+            response,
+            questions.find((q) => q.id === response.question_id),
+            currentQuestions.get(response.question_id),
+            settings
+          )
+    );
+    const changed = responses.filter(
+      (response, i) =>
+        response.points_awarded !== attempt.responses[i].points_awarded ||
+        response.is_correct !== attempt.responses[i].is_correct
+    );
+    if (!changed.length) continue;
+
+    const newScore = roundScore(
+      Math.max(
+        0,
+        responses.reduce((sum, r) => sum + (r.points_awarded ?? 0), 0)
+      )
+    );
+    changes.push({
+      attempt,
+      responses: changed,
+      old_score: attempt.score_value_obtained,
+      new_score: newScore,
+      old_passed: attempt.passed,
+      // attempts awaiting grading are passed or failed once fully graded
+      new_passed:
+        attempt.status === "PENDING_GRADING"
+          ? null
+          : isPassingScore(settings, newScore, attempt.score_total),
+    });
+  }
+
+  return {
+    attempts_checked: attempts.length,
+    skipped,
+    changes,
+    answer_key: Object.fromEntries(
+      [...currentQuestions.values()].map((q) => [q.id, toAnswerKey(q)])
+    ),
+  };
+};
+
+/**
+ * Writes a plan from `planRegrade` and its audit trail. Each attempt is updated in its
+ * own transaction; certificates follow the new pass or fail, revoked ones being restored
+ * if the attempt passes again.
+ */
+const applyRegrade = async (
+  quiz,
+  plan,
+  { questionId = null, adminId, now = new Date() }
+) => {
+  const regrade = await prisma.quiz_regrades.create({
+    data: {
+      quiz_id: quiz.id,
+      question_id: questionId,
+      performed_by: adminId,
+      attempts_checked: plan.attempts_checked,
+      answer_key: plan.answer_key,
+      created_at: now,
+    },
+  });
+
+  for (const change of plan.changes) {
+    const { attempt } = change;
+    await prisma.$transaction(async (tx) => {
+      for (const response of change.responses) {
+        await tx.quiz_responses.update({
+          where: { id: response.id },
+          data: {
+            is_correct: response.is_correct,
+            points_awarded: response.points_awarded,
+            updated_at: now,
+          },
+        });
+      }
+      await tx.quiz_scores.update({
+        where: { id: attempt.id },
+        data: {
+          score_value_obtained: change.new_score,
+          passed: change.new_passed,
+        },
+      });
+
+      const certificate = await tx.certificates.findUnique({
+        where: { attempt_id: attempt.id },
+      });
+      if (change.new_passed && !certificate) {
+        await issueCertificate(tx, attempt, now);
+      } else if (change.new_passed && certificate?.revoked_at) {
+        await tx.certificates.update({
+          where: { id: certificate.id },
+          data: { revoked_at: null },
+        });
+      } else if (
+        change.new_passed === false &&
+        certificate &&
+        !certificate.revoked_at
+      ) {
+        await tx.certificates.update({
+          where: { id: certificate.id },
+          data: { revoked_at: now },
+        });
+      }
+
+      await tx.quiz_regrade_changes.create({
+        data: {
+          regrade_id: regrade.id,
+          attempt_id: attempt.id,
+          old_score: change.old_score,
+          new_score: change.new_score,
+          old_passed: change.old_passed,
+          new_passed: change.new_passed,
+        },
+      });
+    });
+  }
+
+  return regrade;
+};
+
+/**
+ * The answer keys regrades put in place for `attempt` (by question id): those of the
+ * regrades of its quiz run after it was finished, later regrades taking precedence.
+ */
+const loadRegradedKeys = async (attempt) => {
+  const keys = new Map();
+  if (!attempt.completed_at) return keys;
+
+  const regrades = await prisma.quiz_regrades.findMany({
+    where: {
+      quiz_id: attempt.quiz_id,
+      created_at: { gt: attempt.completed_at },
+    },
+    orderBy: { created_at: "asc" },
+    select: { answer_key: true },
+  });
+  // regrades run before keys were kept have none
+  for (const { answer_key } of regrades.filter((r) => r.answer_key)) {
+    for (const [questionId, key] of Object.entries(answer_key)) {
+      keys.set(Number(questionId), key);
+    }
+  }
+  return keys;
+};
+
+// served questions with the key their responses were last scored against, for the review
+const withRegradedKeys = (questions, keys) =>
+  questions.map((question) => {
+    const key = keys.get(question.id);
+    return key &&
+      key.question_type === question.question_type &&
+      question.question_type !== QUESTION_TYPES.ESSAY
+      ? withCurrentKey(question, key)
+      : question;
+  });
+
+// what a plan changes, as reported by the dry run and the applied regrade
+const summarizeRegrade = (plan) => {
+  const deltas = plan.changes.map((c) =>
+    roundScore(c.new_score - (c.old_score ?? 0))
+  );
+  return {
+    attempts_checked: plan.attempts_checked,
+    attempts_skipped: plan.skipped,
+    attempts_changed: plan.changes.length,
+    total_score_change: roundScore(deltas.reduce((sum, d) => sum + d, 0)),
+    newly_passed: plan.changes.filter((c) => c.new_passed && !c.old_passed)
+      .length,
+    newly_failed: plan.changes.filter(
+      (c) => c.old_passed && c.new_passed === false
+    ).length,
+    changes: plan.changes.map((c, i) => ({
+      attempt_id: c.attempt.id,
+      attempt_number: c.attempt.attempt_number,
+      user: c.attempt.user,
+      status: c.attempt.status,
+      old_score: c.old_score,
+      new_score: c.new_score,
+      score_change: deltas[i],
+      score_total: c.attempt.score_total,
+      old_passed: c.old_passed,
+      new_passed: c.new_passed,
+      questions_changed: c.responses.map((r) => r.question_id),
+    })),
+  };
+};
+
+module.exports = {
+  planRegrade,
+  applyRegrade,
+  summarizeRegrade,
+  loadRegradedKeys,
+  withRegradedKeys,
+};
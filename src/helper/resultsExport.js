@@ -0,0 +1,311 @@
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+const prisma = require("../../prisma/prismaClient");
+const { toCsvRow } = require("./csv");
+const { FINISHED_STATUSES, gradeAttempts } = require("./grading");
+const { isPassingGrade } = require("./certificates");
+
+// attempts are read and written in pages so a large cohort is never held in memory
+const EXPORT_BATCH_SIZE = 500;
+
+const RESULT_COLUMNS = [
+  "attempt_id",
+  "quiz_id",
+  "quiz_name",
+  "user_email",
+  "attempt_number",
+  "status",
+  "score",
+  "total",
+  "percentage",
+  "passed",
+  "started_at",
+  "completed_at",
+];
+
+const GRADE_COLUMNS = [
+  "quiz_id",
+  "quiz_name",
+  "user_email",
+  "grading_policy",
+  "attempts_counted",
+  "graded_attempt_number",
+  "score",
+  "total",
+  "percentage",
+  "passed",
+];
+
+const attemptExportSelect = {
+  id: true,
+  quiz_id: true,
+  attempt_number: true,
+  status: true,
+  score_value_obtained: true,
+  score_total: true,
+  passed: true,
+  started_at: true,
+  completed_at: true,
+  quiz: { select: { name: true } },
+  user: { select: { email: true } },
+};
+
+// correctness of a graded response; blank when the question was not served or not graded yet
+const describeResponse = (response) => {
+  if (!response || response.is_correct === null) return "";
+  if (response.is_correct) return "correct";
+  const answered =
+    response.option_ids.length > 0 ||
+    response.answer_text !== null ||
+    response.answer_number !== null;
+  return answered ? "incorrect" : "unanswered";
+};
+
+const toResultRow = (attempt, questionIds) => [
+  attempt.id,
+  attempt.quiz_id,
+  attempt.quiz.name,
+  attempt.user.email,
+  attempt.attempt_number,
+  attempt.status,
+  attempt.score_value_obtained,
+  attempt.score_total,
+  attempt.score_total
+    ? Math.round((attempt.score_value_obtained / attempt.score_total) * 10000) /
+      100
+    : null,
+  attempt.passed,
+  attempt.started_at,
+  attempt.completed_at,
+  ...questionIds.map((id) =>
+    describeResponse(attempt.responses.find((r) => r.question_id === id))
+  ),
+];
+
+// the quiz's settings with those of its published version, which averaged grades are passed against
+const loadGradeSettings = async (quiz) => {
+  if (!quiz.published_version_id) return quiz;
+  const { snapshot } = await prisma.quiz_versions.findUnique({
+    where: { id: quiz.published_version_id },
+    select: { snapshot: true },
+  });
+  return { ...quiz, ...snapshot.settings };
+};
+
+// `attempts` are one learner's finished attempts on one quiz, with the quiz's grading settings
+const toGradeRow = (attempts, settings) => {
+  const { quiz_id, quiz, user } = attempts[0];
+  const grade = gradeAttempts(attempts, quiz.grading_policy);
+  return [
+    quiz_id,
+    quiz.name,
+    user.email,
+    quiz.grading_policy,
+    grade.attempts_counted,
+    grade.attempt_number,
+    grade.score,
+    grade.score_total,
+    grade.percentage,
+    isPassingGrade(grade, attempts, settings),
+  ];
+};
+
+// spreadsheet apps run cells starting with these as formulas, so they are kept as text
+const FORMULA_PREFIXES = ["=", "+", "-", "@", "\t", "\r"];
+
+const escapeFormula = (value) =>
+  typeof value === "string" &&
+  FORMULA_PREFIXES.some((prefix) => value.startsWith(prefix))
+    ? `'${value}`
+    : value;
+
+/**
+ * Writes to `stream`, waiting for it to drain when its buffer is full. Stops waiting
+ * when the stream closes instead, as it does when the client disconnects mid-export.
+ */
+const writeChunk = async (stream, chunk) => {
+  if (stream.destroyed || stream.write(chunk)) return;
+
+  const ac = new AbortController();
+  try {
+    await Promise.race([
+      once(stream, "drain", { signal: ac.signal }),
+      once(stream, "close", { signal: ac.signal }),
+    ]);
+  } finally {
+    ac.abort();
+  }
+};
+
+// streaming writers: `addRow` takes the values of one row, `end` finishes the file
+const RESULT_EXPORT_FORMATS = {
+  csv: {
+    contentType: "text/csv",
+    extension: "csv",
+    createWriter: (stream) => ({
+      addRow: (values) =>
+        writeChunk(stream, toCsvRow(values.map(escapeFormula))),
+      end: async () => stream.end(),
+    }),
+  },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+    createWriter: (stream) => {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream,
+        useStyles: false,
+        useSharedStrings: false,
+      });
+      const sheet = workbook.addWorksheet("Results");
+      return {
+        addRow: async (values) => {
+          sheet.addRow(values.map(escapeFormula)).commit();
+        },
+        end: async () => {
+          sheet.commit();
+          await workbook.commit();
+        },
+      };
+    },
+  },
+};
+
+/**
+ * Streams every attempt matching `where` (oldest first) to `stream` in the given format.
+ * With `includeQuestions`, each question answered in any of the attempts gets a
+ * `question_<id>` column: correct, incorrect, unanswered, or blank when not served.
+ */
+const exportResults = async (
+  format,
+  stream,
+  where,
+  { includeQuestions = false } = {}
+) => {
+  const questionIds = includeQuestions
+    ? (
+        await prisma.quiz_responses.findMany({
+          where: { attempt: where },
+          distinct: ["question_id"],
+          orderBy: { question_id: "asc" },
+          select: { question_id: true },
+        })
+      ).map((r) => r.question_id)
+    : [];
+
+  const writer = RESULT_EXPORT_FORMATS[format].createWriter(stream);
+  await writer.addRow([
+    ...RESULT_COLUMNS,
+    ...questionIds.map((id) => `question_${id}`),
+  ]);
+
+  let cursor = null;
+  for (;;) {
+    const attempts = await prisma.quiz_scores.findMany({
+      where,
+      orderBy: { id: "asc" },
+      take: EXPORT_BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      select: {
+        ...attemptExportSelect,
+        ...(includeQuestions && {
+          responses: {
+            select: {
+              question_id: true,
+              option_ids: true,
+              answer_text: true,
+              answer_number: true,
+              is_correct: true,
+            },
+          },
+        }),
+      },
+    });
+    for (const attempt of attempts) {
+      // the client is gone, so there is no one left to read the rest
+      if (stream.destroyed) return;
+      await writer.addRow(
+        toResultRow({ responses: [], ...attempt }, questionIds)
+      );
+    }
+    if (attempts.length < EXPORT_BATCH_SIZE) break;
+    cursor = attempts[attempts.length - 1].id;
+  }
+
+  await writer.end();
+};
+
+/**
+ * Streams one row per learner and quiz to `stream`: the grade their finished attempts
+ * matching `where` earn under the quiz's grading policy. Attempts are read grouped by
+ * quiz and learner, so each group is complete once the next one starts.
+ */
+const exportGrades = async (format, stream, where) => {
+  const writer = RESULT_EXPORT_FORMATS[format].createWriter(stream);
+  await writer.addRow(GRADE_COLUMNS);
+
+  const settingsByQuiz = new Map();
+  const addGradeRow = async (group) => {
+    const { quiz_id, quiz } = group[0];
+    if (!settingsByQuiz.has(quiz_id)) {
+      settingsByQuiz.set(quiz_id, await loadGradeSettings(quiz));
+    }
+    await writer.addRow(toGradeRow(group, settingsByQuiz.get(quiz_id)));
+  };
+
+  let group = [];
+  let cursor = null;
+  for (;;) {
+    const attempts = await prisma.quiz_scores.findMany({
+      where: { ...where, status: { in: FINISHED_STATUSES } },
+      orderBy: [
+        { quiz_id: "asc" },
+        { user_id: "asc" },
+        { attempt_number: "asc" },
+        { id: "asc" },
+      ],
+      take: EXPORT_BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      select: {
+        id: true,
+        quiz_id: true,
+        user_id: true,
+        attempt_number: true,
+        status: true,
+        score_value_obtained: true,
+        score_total: true,
+        passed: true,
+        quiz: {
+          select: {
+            name: true,
+            grading_policy: true,
+            pass_mark: true,
+            pass_mark_type: true,
+            published_version_id: true,
+          },
+        },
+        user: { select: { email: true } },
+      },
+    });
+    for (const attempt of attempts) {
+      if (stream.destroyed) return;
+      if (
+        group.length &&
+        (group[0].quiz_id !== attempt.quiz_id ||
+          group[0].user_id !== attempt.user_id)
+      ) {
+        await addGradeRow(group);
+        group = [];
+      }
+      group.push(attempt);
+    }
+    if (attempts.length < EXPORT_BATCH_SIZE) break;
+    cursor = attempts[attempts.length - 1].id;
+  }
+  if (group.length) await addGradeRow(group);
+
+  await writer.end();
+};
+
+module.exports = { RESULT_EXPORT_FORMATS, exportResults, exportGrades };
@@ -0,0 +1,163 @@
+const { QUESTION_TYPES, SCORING_POLICIES } = require("./constants");
+
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+// applies the question's SHORT_ANSWER normalization rules to a piece of text
+const normalizeText = (text, question) => {
+  let result = String(text ?? "");
+  if (question.normalize_whitespace) {
+    result = result.trim().replace(/\s+/g, " ");
+  }
+  if (!question.case_sensitive) {
+    result = result.toLowerCase();
+  }
+  return result;
+};
+
+// accepts both `option_id` and `option_ids` so single and multi-select answers share one shape
+const getSelectedOptionIds = (answer) => {
+  const ids = [];
+  if (answer?.option_id !== undefined) ids.push(answer.option_id);
+  if (Array.isArray(answer?.option_ids)) ids.push(...answer.option_ids);
+  return [...new Set(ids.map(Number))];
+};
+
+const isChoiceAnswerCorrect = (question, answer) => {
+  const selected = getSelectedOptionIds(answer);
+  const correct = question.options
+    .filter((opt) => opt.is_correct)
+    .map((opt) => opt.id);
+
+  return (
+    correct.length > 0 &&
+    selected.length === correct.length &&
+    selected.every((id) => correct.includes(id))
+  );
+};
+
+const isShortAnswerCorrect = (question, answer) => {
+  if (typeof answer?.answer_text !== "string") return false;
+  const given = normalizeText(answer.answer_text, question);
+  return question.accepted_answers.some(
+    (accepted) => normalizeText(accepted, question) === given
+  );
+};
+
+const isNumericAnswerCorrect = (question, answer) => {
+  const given = Number(answer?.answer_number);
+  if (answer?.answer_number === undefined || Number.isNaN(given)) return false;
+  if (question.numeric_answer === null) return false;
+  return (
+    Math.abs(given - question.numeric_answer) <=
+    (question.numeric_tolerance || 0)
+  );
+};
+
+/**
+ * Checks a learner's answer against a question.
+ * `question` must include its options (with `id` and `is_correct`) for choice types.
+ */
+const isAnswerCorrect = (question, answer) => {
+  if (!answer) return false;
+
+  switch (question.question_type) {
+    case QUESTION_TYPES.SHORT_ANSWER:
+      return isShortAnswerCorrect(question, answer);
+    case QUESTION_TYPES.NUMERIC:
+      return isNumericAnswerCorrect(question, answer);
+    default:
+      return isChoiceAnswerCorrect(question, answer);
+  }
+};
+
+// proportional credit for MULTIPLE_CHOICE: each wrong pick cancels out a right one
+const getPartialCreditFraction = (question, answer) => {
+  const selected = getSelectedOptionIds(answer);
+  const correct = question.options
+    .filter((opt) => opt.is_correct)
+    .map((opt) => opt.id);
+  if (!correct.length) return 0;
+
+  const hits = selected.filter((id) => correct.includes(id)).length;
+  const misses = selected.length - hits;
+  return Math.max(0, (hits - misses) / correct.length);
+};
+
+// essays are graded by hand, unless left blank
+const needsManualGrading = (question, answer) =>
+  question.question_type === QUESTION_TYPES.ESSAY &&
+  typeof answer?.answer_text === "string" &&
+  answer.answer_text.trim() !== "";
+
+/**
+ * Scores a single question under the quiz's scoring policy.
+ * Returns the points awarded (negative when a wrong answer is penalized)
+ * and whether the answer was fully correct, both null when it must be graded by hand.
+ */
+const scoreQuestion = (question, answer, quiz) => {
+  const points = question.points ?? 1;
+
+  if (needsManualGrading(question, answer)) {
+    return { is_correct: null, points_awarded: null };
+  }
+  if (!answer || question.question_type === QUESTION_TYPES.ESSAY) {
+    return { is_correct: false, points_awarded: 0 };
+  }
+
+  if (isAnswerCorrect(question, answer)) {
+    return { is_correct: true, points_awarded: points };
+  }
+
+  if (
+    quiz.scoring_policy === SCORING_POLICIES.PARTIAL_CREDIT &&
+    question.question_type === QUESTION_TYPES.MULTIPLE_CHOICE
+  ) {
+    const fraction = getPartialCreditFraction(question, answer);
+    if (fraction > 0) {
+      return {
+        is_correct: false,
+        points_awarded: roundScore(points * fraction),
+      };
+    }
+  }
+
+  const penalty = quiz.wrong_answer_penalty || 0;
+  return {
+    is_correct: false,
+    points_awarded: penalty ? -roundScore(points * penalty) : 0,
+  };
+};
+
+/**
+ * Grades a set of answers against the quiz's questions.
+ * The obtained score never drops below zero, even with negative marking, and leaves
+ * out the answers still to be graded by hand, which `pending` counts.
+ */
+const gradeAnswers = (quiz, questions, answers) => {
+  let obtained = 0;
+  let total = 0;
+
+  const results = questions.map((question) => {
+    const answer = answers.find((a) => a.question_id === question.id);
+    const result = scoreQuestion(question, answer, quiz);
+    obtained += result.points_awarded ?? 0;
+    total += question.points ?? 1;
+    return { question_id: question.id, ...result };
+  });
+
+  return {
+    score: roundScore(Math.max(0, obtained)),
+    total: roundScore(total),
+    results,
+    pending: results.filter((r) => r.points_awarded === null).length,
+  };
+};
+
+module.exports = {
+  isAnswerCorrect,
+  scoreQuestion,
+  gradeAnswers,
+  roundScore,
+  getSelectedOptionIds,
+  normalizeText,
+};
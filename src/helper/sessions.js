@@ -0,0 +1,192 @@
+const jwt = require("jsonwebtoken");
+const prisma = require("../../prisma/prismaClient");
+const { generateToken, hashToken } = require("./tokens");
+const {
+  jwtSecret,
+  accessTokenTtlSeconds,
+  refreshTokenTtlDays,
+} = require("../config");
+
+const refreshExpiresAt = (now) =>
+  new Date(now.getTime() + refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+// what a client gets when it logs in or refreshes
+const issueTokens = async (tx, session, now) => {
+  const refreshToken = generateToken(48);
+  await tx.refresh_tokens.create({
+    data: {
+      session_id: session.id,
+      token_hash: hashToken(refreshToken),
+      created_at: now,
+      expires_at: session.expires_at,
+    },
+  });
+  return {
+    accessToken: jwt.sign(
+      { sub: session.user_id, sid: session.id },
+      jwtSecret,
+      { expiresIn: accessTokenTtlSeconds }
+    ),
+    accessTokenExpiresAt: new Date(
+      now.getTime() + accessTokenTtlSeconds * 1000
+    ),
+    refreshToken,
+    refreshTokenExpiresAt: session.expires_at,
+    sessionId: session.id,
+  };
+};
+
+// logs `userId` in on a new device
+const startSession = (userId, { userAgent, ipAddress }, now = new Date()) =>
+  prisma.$transaction(async (tx) => {
+    const session = await tx.user_sessions.create({
+      data: {
+        user_id: userId,
+        user_agent: userAgent || null,
+        ip_address: ipAddress || null,
+        created_at: now,
+        last_used_at: now,
+        expires_at: refreshExpiresAt(now),
+      },
+    });
+    return issueTokens(tx, session, now);
+  });
+
+/**
+ * Exchanges a refresh token for a new access and refresh token on the same session.
+ * Each refresh token works once: presenting one that was already exchanged means
+ * it was copied, so the whole session is revoked and `reused` is set. Returns null
+ * for unknown or expired tokens and revoked sessions.
+ */
+const refreshSession = async (refreshToken, now = new Date()) => {
+  const stored = await prisma.refresh_tokens.findUnique({
+    where: { token_hash: hashToken(refreshToken) },
+    include: { session: { include: { user: true } } },
+  });
+  if (!stored) return null;
+
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.refresh_tokens.updateMany({
+      where: { id: stored.id, used_at: null },
+      data: { used_at: now },
+    });
+    if (!count) {
+      await tx.user_sessions.updateMany({
+        where: { id: stored.session_id, revoked_at: null },
+        data: { revoked_at: now },
+      });
+      return { reused: true };
+    }
+
+    const { session } = stored;
+    if (
+      session.revoked_at ||
+      stored.expires_at <= now ||
+      !session.user.is_verified
+    ) {
+      return null;
+    }
+
+    const renewed = await tx.user_sessions.update({
+      where: { id: session.id },
+      data: { last_used_at: now, expires_at: refreshExpiresAt(now) },
+    });
+    return { tokens: await issueTokens(tx, renewed, now), reused: false };
+  });
+};
+
+/**
+ * The live session (with its `user`) an access token belongs to, or null once the
+ * session is revoked or expired. Throws when the token itself is invalid or expired.
+ */
+const resolveAccessToken = async (accessToken, now = new Date()) => {
+  const decoded = jwt.verify(accessToken, jwtSecret);
+  // tokens issued before sessions existed cannot be revoked, so they are not accepted
+  if (!decoded.sid) return null;
+
+  const session = await prisma.user_sessions.findUnique({
+    where: { id: decoded.sid },
+    include: { user: true },
+  });
+  if (
+    !session ||
+    session.user_id !== decoded.sub ||
+    session.revoked_at ||
+    session.expires_at <= now
+  ) {
+    return null;
+  }
+  return session;
+};
+
+// revokes one of the user's sessions; false when it is not theirs or already revoked
+const revokeSession = async (userId, sessionId, now = new Date()) => {
+  const { count } = await prisma.user_sessions.updateMany({
+    where: { id: sessionId, user_id: userId, revoked_at: null },
+    data: { revoked_at: now },
+  });
+  return count > 0;
+};
+
+// logs the user out on every device
+const revokeUserSessions = async (userId, now = new Date()) => {
+  const { count } = await prisma.user_sessions.updateMany({
+    where: { user_id: userId, revoked_at: null },
+    data: { revoked_at: now },
+  });
+  return count;
+};
+
+/**
+ * Revokes the session behind whichever of the tokens is given. An expired access
+ * token still identifies its session, so logging out works after it lapses.
+ */
+const endSession = async ({ accessToken, refreshToken }, now = new Date()) => {
+  let sessionId = null;
+  if (accessToken) {
+    try {
+      sessionId = jwt.verify(accessToken, jwtSecret, {
+        ignoreExpiration: true,
+      }).sid;
+    } catch {
+      // not one of our tokens
+    }
+  }
+  if (!sessionId && refreshToken) {
+    const stored = await prisma.refresh_tokens.findUnique({
+      where: { token_hash: hashToken(refreshToken) },
+    });
+    sessionId = stored?.session_id;
+  }
+  if (!sessionId) return;
+
+  await prisma.user_sessions.updateMany({
+    where: { id: sessionId, revoked_at: null },
+    data: { revoked_at: now },
+  });
+};
+
+// the user's sessions that are still logged in, most recently used first
+const listSessions = (userId, now = new Date()) =>
+  prisma.user_sessions.findMany({
+    where: { user_id: userId, revoked_at: null, expires_at: { gt: now } },
+    orderBy: { last_used_at: "desc" },
+    select: {
+      id: true,
+      user_agent: true,
+      ip_address: true,
+      created_at: true,
+      last_used_at: true,
+      expires_at: true,
+    },
+  });
+
+module.exports = {
+  startSession,
+  refreshSession,
+  resolveAccessToken,
+  revokeSession,
+  revokeUserSessions,
+  endSession,
+  listSessions,
+};
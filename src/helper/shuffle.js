@@ -0,0 +1,27 @@
+const crypto = require("crypto");
+
+const generateSeed = () => crypto.randomInt(0, 2 ** 31 - 1);
+
+// mulberry32: small, fast PRNG so the same seed always yields the same sequence
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates shuffle driven by the given random function; returns a new array
+const shuffle = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+module.exports = { generateSeed, createRandom, shuffle };
@@ -0,0 +1,18 @@
+const crypto = require("crypto");
+
+// long random secrets handed to clients: refresh tokens, invite links
+const generateToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("base64url");
+
+// secrets are stored and looked up by hash, so a leaked table cannot be replayed
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// constant-time comparison of a secret the client sent against the expected one
+const tokensMatch = (provided, expected) =>
+  crypto.timingSafeEqual(
+    Buffer.from(hashToken(provided)),
+    Buffer.from(hashToken(expected))
+  );
+
+module.exports = { generateToken, hashToken, tokensMatch };
@@ -12,6 +12,8 @@ const swaggerUi = require("swagger-ui-express");
 const swaggerJSDoc = require("swagger-jsdoc");
 
 const routes = require("./api/v1/router.js");
+const { startAttemptSweeper } = require("./jobs/attemptSweeper");
+const { startQuizScheduler } = require("./jobs/quizScheduler");
 const { corsOptions, rateLimitConfig } = require("./config");
 
 const limiter = rateLimit(rateLimitConfig);
@@ -27,6 +29,8 @@ app.use(limiter);
 app.use(cookieParser());
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: false }));
+// quiz imports send CSV and GIFT files as plain text
+app.use(bodyParser.text({ type: ["text/csv", "text/plain"] }));
 app.use(xlogs.logger);
 
 //routes
@@ -52,4 +56,6 @@ app.use((err, req, res) => {
 app.listen(port, () => {
   console.log(`Server running at http://localhost:${port}`);
   console.log(`Swagger docs available at http://localhost:${port}/api-docs`);
+  startAttemptSweeper();
+  startQuizScheduler();
 });
@@ -0,0 +1,20 @@
+const { finalizeAbandonedAttempts } = require("../helper/attempts");
+const { attemptSweepIntervalMs } = require("../config");
+
+// periodically closes attempts that learners started but never submitted
+const startAttemptSweeper = () => {
+  const timer = setInterval(async () => {
+    try {
+      const count = await finalizeAbandonedAttempts();
+      if (count) console.log(`Finalized ${count} abandoned quiz attempt(s)`);
+    } catch (error) {
+      console.error("Attempt sweeper failed:", error);
+    }
+  }, attemptSweepIntervalMs);
+
+  // don't keep the process alive just for the sweeper
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startAttemptSweeper };
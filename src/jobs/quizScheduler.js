@@ -0,0 +1,25 @@
+const { applyQuizSchedule } = require("../helper/quizStatus");
+const { quizScheduleIntervalMs } = require("../config");
+
+// periodically opens scheduled quizzes and expires quizzes past their end date
+const startQuizScheduler = () => {
+  const run = async () => {
+    try {
+      const { opened, expired } = await applyQuizSchedule();
+      if (opened) console.log(`Opened ${opened} scheduled quiz(zes)`);
+      if (expired) console.log(`Expired ${expired} quiz(zes)`);
+    } catch (error) {
+      console.error("Quiz scheduler failed:", error);
+    }
+  };
+
+  // catch up on anything that became due while the server was down
+  run();
+  const timer = setInterval(run, quizScheduleIntervalMs);
+
+  // don't keep the process alive just for the scheduler
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startQuizScheduler };
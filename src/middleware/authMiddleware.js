@@ -1,22 +1,26 @@
-const jwt = require("jsonwebtoken");
-const prisma = require("../../prisma/prismaClient");
-const { jwtSecret } = require("../config");
+const { resolveAccessToken } = require("../helper/sessions");
 
 const authMiddleware = async (req, res, next) => {
   try {
     // Read token from HttpOnly cookie (sent via withCredentials: true)
-    const token = req.cookies?.token;
+    let token = req.cookies?.token;
+
+    // Fallback to Authorization header (for clients that keep the token themselves)
+    if (!token && req.headers.authorization) {
+      token = req.headers.authorization.split(" ")[1];
+    }
 
     if (!token) {
       return res.status(401).json({ message: "Missing token" });
     }
 
-    const decoded = jwt.verify(token, jwtSecret);
-
-    const user = await prisma.users.findUnique({
-      where: { id: decoded.sub },
-    });
+    // null once the session was logged out, revoked or expired
+    const session = await resolveAccessToken(token);
+    if (!session) {
+      return res.status(403).json({ message: "Invalid or expired token" });
+    }
 
+    const { user } = session;
     if (!user || !user.is_verified) {
       return res
         .status(401)
@@ -24,6 +28,7 @@ const authMiddleware = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (err) {
     console.error("Auth Middleware Error:", err);
@@ -0,0 +1,88 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { gradeAttempts, gradeLearners } = require("../../src/helper/grading");
+
+const attempt = (attemptNumber, score, total, status = "COMPLETED") => ({
+  user_id: 1,
+  attempt_number: attemptNumber,
+  score_value_obtained: score,
+  score_total: total,
+  status,
+});
+
+// attempts drawing different questions, so with different totals
+const attempts = [attempt(1, 6, 10), attempt(2, 9, 20), attempt(3, 4, 5)];
+
+describe("gradeAttempts", () => {
+  it("takes the highest attempt by percentage, not by points", () => {
+    assert.deepEqual(gradeAttempts(attempts, "HIGHEST"), {
+      score: 4,
+      score_total: 5,
+      percentage: 80,
+      attempt_number: 3,
+      attempts_counted: 3,
+    });
+  });
+
+  it("takes the earliest of equally good attempts", () => {
+    const grade = gradeAttempts(
+      [attempt(2, 5, 10), attempt(1, 1, 2), attempt(3, 2, 10)],
+      "HIGHEST"
+    );
+    assert.equal(grade.attempt_number, 1);
+  });
+
+  it("takes the first or the latest attempt by attempt number", () => {
+    const shuffled = [attempts[2], attempts[0], attempts[1]];
+    assert.equal(gradeAttempts(shuffled, "FIRST").attempt_number, 1);
+    assert.equal(gradeAttempts(shuffled, "LATEST").attempt_number, 3);
+  });
+
+  it("averages the score and total of every finished attempt", () => {
+    assert.deepEqual(gradeAttempts(attempts, "AVERAGE"), {
+      score: 6.33,
+      score_total: 11.67,
+      percentage: 54.29,
+      attempt_number: null,
+      attempts_counted: 3,
+    });
+  });
+
+  it("only counts finished attempts", () => {
+    const grade = gradeAttempts(
+      [
+        attempt(1, 2, 10, "TIMED_OUT"),
+        attempt(2, 10, 10, "IN_PROGRESS"),
+        attempt(3, 10, 10, "PENDING_GRADING"),
+      ],
+      "LATEST"
+    );
+    assert.equal(grade.attempt_number, 1);
+    assert.equal(grade.attempts_counted, 1);
+  });
+
+  it("is null when no attempt is finished", () => {
+    assert.equal(
+      gradeAttempts([attempt(1, 0, 10, "IN_PROGRESS")], "HIGHEST"),
+      null
+    );
+    assert.equal(gradeAttempts([], "AVERAGE"), null);
+  });
+});
+
+describe("gradeLearners", () => {
+  it("grades each learner with a finished attempt", () => {
+    const grades = gradeLearners(
+      [
+        { ...attempt(1, 3, 10), user_id: 1 },
+        { ...attempt(2, 7, 10), user_id: 1 },
+        { ...attempt(1, 5, 10), user_id: 2 },
+        { ...attempt(1, 5, 10, "IN_PROGRESS"), user_id: 3 },
+      ],
+      "HIGHEST"
+    );
+    assert.deepEqual([...grades.keys()], [1, 2]);
+    assert.equal(grades.get(1).score, 7);
+    assert.equal(grades.get(2).score, 5);
+  });
+});
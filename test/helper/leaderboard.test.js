@@ -0,0 +1,79 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { maskEmail, rankLearners } = require("../../src/helper/leaderboard");
+
+const attempt = (userId, score, total, minutes) => ({
+  user_id: userId,
+  user: { email: `learner${userId}@example.com` },
+  score_value_obtained: score,
+  score_total: total,
+  started_at: "2026-10-19T10:00:00.000Z",
+  completed_at: new Date(
+    Date.parse("2026-10-19T10:00:00.000Z") + minutes * 60000
+  ).toISOString(),
+});
+
+describe("rankLearners", () => {
+  it("ranks by percentage of each attempt's own total", () => {
+    const ranked = rankLearners([attempt(1, 9, 20, 5), attempt(2, 8, 8, 5)]);
+
+    assert.deepEqual(
+      ranked.map((r) => [r.rank, r.user_id, r.percentage]),
+      [
+        [1, 2, 100],
+        [2, 1, 45],
+      ]
+    );
+  });
+
+  it("breaks ties on percentage by the time taken", () => {
+    const ranked = rankLearners([attempt(1, 5, 10, 9), attempt(2, 10, 20, 4)]);
+
+    assert.deepEqual(
+      ranked.map((r) => [r.rank, r.user_id, r.time_taken_seconds]),
+      [
+        [1, 2, 240],
+        [2, 1, 540],
+      ]
+    );
+  });
+
+  it("lets learners tied on both share a rank", () => {
+    const ranked = rankLearners([
+      attempt(1, 10, 10, 3),
+      attempt(2, 4, 5, 6),
+      attempt(3, 8, 10, 6),
+      attempt(4, 1, 10, 1),
+    ]);
+
+    assert.deepEqual(
+      ranked.map((r) => r.rank),
+      [1, 2, 2, 4]
+    );
+  });
+
+  it("keeps each learner's best attempt only", () => {
+    const ranked = rankLearners([
+      attempt(1, 4, 10, 2),
+      attempt(1, 7, 10, 8),
+      attempt(1, 7, 10, 6),
+      attempt(2, 5, 10, 1),
+    ]);
+
+    assert.equal(ranked.length, 2);
+    assert.deepEqual(
+      { score: ranked[0].score, time: ranked[0].time_taken_seconds },
+      { score: 7, time: 360 }
+    );
+  });
+
+  it("has no percentage for attempts without a total", () => {
+    assert.equal(rankLearners([attempt(1, 0, 0, 1)])[0].percentage, null);
+  });
+});
+
+describe("maskEmail", () => {
+  it("keeps the first letter and the domain", () => {
+    assert.equal(maskEmail("jane@example.com"), "j***@example.com");
+  });
+});
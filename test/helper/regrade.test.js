@@ -0,0 +1,310 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// an in-memory stand-in for the few prisma queries the regrade helpers run
+const db = { quizScores: [], questions: [], versions: [], regrades: [] };
+const prisma = {
+  quiz_scores: {
+    findMany: async ({ where }) =>
+      db.quizScores.filter(
+        (a) =>
+          a.quiz_id === where.quiz_id &&
+          where.status.in.includes(a.status) &&
+          (!where.responses ||
+            a.responses.some(
+              (r) => r.question_id === where.responses.some.question_id
+            ))
+      ),
+  },
+  questions: {
+    findMany: async ({ where }) =>
+      db.questions.filter((q) => where.id.in.includes(q.id)),
+  },
+  quiz_versions: {
+    findUnique: async ({ where }) => db.versions.find((v) => v.id === where.id),
+  },
+  quiz_regrades: {
+    findMany: async ({ where }) =>
+      db.regrades.filter(
+        (r) => r.quiz_id === where.quiz_id && r.created_at > where.created_at.gt
+      ),
+  },
+};
+const prismaPath = require.resolve("../../prisma/prismaClient");
+require.cache[prismaPath] = {
+  id: prismaPath,
+  filename: prismaPath,
+  loaded: true,
+  exports: prisma,
+};
+
+const {
+  planRegrade,
+  summarizeRegrade,
+  loadRegradedKeys,
+  withRegradedKeys,
+} = require("../../src/helper/regrade");
+
+const quiz = {
+  id: 7,
+  pass_mark: 50,
+  pass_mark_type: "PERCENT",
+  scoring_policy: "ALL_OR_NOTHING",
+  wrong_answer_penalty: 0,
+};
+
+const keyFields = {
+  accepted_answers: [],
+  case_sensitive: false,
+  normalize_whitespace: true,
+  numeric_answer: null,
+  numeric_tolerance: null,
+};
+const singleChoice = (correctId) => ({
+  id: 1,
+  quiz_id: 7,
+  question_type: "SINGLE_CHOICE",
+  points: 2,
+  ...keyFields,
+  options: [
+    { id: 11, is_correct: correctId === 11 },
+    { id: 12, is_correct: correctId === 12 },
+  ],
+});
+const shortAnswer = (accepted) => ({
+  id: 2,
+  quiz_id: 7,
+  question_type: "SHORT_ANSWER",
+  points: 1,
+  ...keyFields,
+  accepted_answers: accepted,
+  options: [],
+});
+const essay = {
+  id: 3,
+  quiz_id: 7,
+  question_type: "ESSAY",
+  points: 4,
+  ...keyFields,
+  options: [],
+};
+
+let responseId = 0;
+const response = (questionId, answer, points) => ({
+  id: ++responseId,
+  question_id: questionId,
+  option_ids: answer.option_ids ?? [],
+  answer_text: answer.answer_text ?? null,
+  answer_number: null,
+  points_awarded: points,
+  is_correct: points === null ? null : points > 0,
+});
+const attempt = (id, fields, responses) => ({
+  id,
+  quiz_id: 7,
+  attempt_number: 1,
+  status: "COMPLETED",
+  quiz_version_id: null,
+  user: { id, email: `learner${id}@example.com` },
+  responses,
+  layout: responses.map((r) => ({ question_id: r.question_id })),
+  ...fields,
+});
+
+beforeEach(() => {
+  // the key now has option 12 and "colour" right, where it had option 11 and only "color"
+  db.questions = [singleChoice(12), shortAnswer(["color", "colour"]), essay];
+  db.versions = [
+    {
+      id: 70,
+      snapshot: {
+        settings: { pass_mark: 100, pass_mark_type: "PERCENT" },
+        questions: [singleChoice(11), shortAnswer(["color"])],
+        bank_pool: [],
+      },
+    },
+  ];
+  db.quizScores = [
+    attempt(1, { score_value_obtained: 0, score_total: 3, passed: false }, [
+      response(1, { option_ids: [12] }, 0),
+      response(2, { answer_text: "Colour " }, 0),
+    ]),
+    attempt(2, { score_value_obtained: 1, score_total: 3, passed: false }, []),
+    attempt(
+      3,
+      {
+        quiz_version_id: 70,
+        score_value_obtained: 0,
+        score_total: 3,
+        passed: false,
+      },
+      [
+        response(1, { option_ids: [12] }, 0),
+        response(2, { answer_text: "colr" }, 0),
+      ]
+    ),
+    attempt(
+      4,
+      {
+        status: "PENDING_GRADING",
+        score_value_obtained: 0,
+        score_total: 6,
+        passed: null,
+      },
+      [
+        response(1, { option_ids: [12] }, 0),
+        response(3, { answer_text: "An essay" }, null),
+      ]
+    ),
+    attempt(5, { score_value_obtained: 2, score_total: 2, passed: true }, [
+      response(1, { option_ids: [11] }, 2),
+    ]),
+    attempt(6, { score_value_obtained: 1, score_total: 1, passed: true }, [
+      response(2, { answer_text: "color" }, 1),
+    ]),
+  ];
+});
+
+const changeOf = (plan, attemptId) =>
+  plan.changes.find((c) => c.attempt.id === attemptId);
+
+describe("planRegrade", () => {
+  it("scores stored responses again against the current answer key", async () => {
+    const plan = await planRegrade(quiz);
+
+    assert.equal(plan.attempts_checked, 6);
+    assert.equal(plan.skipped, 1);
+    assert.deepEqual(
+      plan.changes.map((c) => c.attempt.id),
+      [1, 3, 4, 5]
+    );
+
+    const first = changeOf(plan, 1);
+    assert.equal(first.old_score, 0);
+    assert.equal(first.new_score, 3);
+    assert.equal(first.old_passed, false);
+    assert.equal(first.new_passed, true);
+    assert.deepEqual(
+      first.responses.map((r) => [
+        r.question_id,
+        r.is_correct,
+        r.points_awarded,
+      ]),
+      [
+        [1, true, 2],
+        [2, true, 1],
+      ]
+    );
+
+    const lastRight = changeOf(plan, 5);
+    assert.equal(lastRight.new_score, 0);
+    assert.equal(lastRight.new_passed, false);
+  });
+
+  it("passes attempts against the pass mark of the version they were served", async () => {
+    const versioned = changeOf(await planRegrade(quiz), 3);
+
+    // 2 of 3 clears the quiz's 50% but not the 100% the attempt was served with
+    assert.equal(versioned.new_score, 2);
+    assert.equal(versioned.new_passed, false);
+    assert.deepEqual(
+      versioned.responses.map((r) => r.question_id),
+      [1]
+    );
+  });
+
+  it("leaves essays and attempts awaiting grading to be graded by hand", async () => {
+    const pending = changeOf(await planRegrade(quiz), 4);
+
+    assert.equal(pending.new_score, 2);
+    assert.equal(pending.new_passed, null);
+    assert.deepEqual(
+      pending.responses.map((r) => r.question_id),
+      [1]
+    );
+  });
+
+  it("only scores the given question again", async () => {
+    const plan = await planRegrade(quiz, 2);
+
+    assert.equal(plan.attempts_checked, 3);
+    assert.deepEqual(
+      plan.changes.map((c) => c.attempt.id),
+      [1]
+    );
+    assert.equal(changeOf(plan, 1).new_score, 1);
+    assert.deepEqual(Object.keys(plan.answer_key), ["2"]);
+  });
+
+  it("keeps the answer key it scored against", async () => {
+    const plan = await planRegrade(quiz);
+
+    assert.deepEqual(plan.answer_key[1], {
+      question_type: "SINGLE_CHOICE",
+      ...keyFields,
+      options: [
+        { id: 11, is_correct: false },
+        { id: 12, is_correct: true },
+      ],
+    });
+    assert.deepEqual(plan.answer_key[2].accepted_answers, ["color", "colour"]);
+  });
+
+  it("summarizes what the plan changes", async () => {
+    const summary = summarizeRegrade(await planRegrade(quiz));
+
+    assert.equal(summary.attempts_changed, 4);
+    assert.equal(summary.attempts_skipped, 1);
+    assert.equal(summary.total_score_change, 5);
+    assert.equal(summary.newly_passed, 1);
+    assert.equal(summary.newly_failed, 1);
+  });
+});
+
+describe("loadRegradedKeys", () => {
+  it("merges the keys of regrades run after the attempt, later ones first", async () => {
+    const at = (minute) => new Date(Date.UTC(2026, 9, 19, 10, minute));
+    db.regrades = [
+      { quiz_id: 7, created_at: at(0), answer_key: { 1: "before" } },
+      { quiz_id: 7, created_at: at(10), answer_key: { 1: "a", 2: "b" } },
+      { quiz_id: 7, created_at: at(20), answer_key: null },
+      { quiz_id: 7, created_at: at(30), answer_key: { 1: "c" } },
+      { quiz_id: 8, created_at: at(40), answer_key: { 2: "other quiz" } },
+    ];
+
+    const keys = await loadRegradedKeys({ quiz_id: 7, completed_at: at(5) });
+    assert.deepEqual(
+      [...keys],
+      [
+        [1, "c"],
+        [2, "b"],
+      ]
+    );
+  });
+
+  it("has none for attempts not finished", async () => {
+    const keys = await loadRegradedKeys({ quiz_id: 7, completed_at: null });
+    assert.equal(keys.size, 0);
+  });
+});
+
+describe("withRegradedKeys", () => {
+  it("shows served questions with the key they were regraded against", () => {
+    const served = [singleChoice(11), shortAnswer(["color"]), essay];
+    const keys = new Map([
+      [1, { ...singleChoice(12), text: "ignored" }],
+      [2, { ...singleChoice(12), id: 2 }],
+      [3, { ...essay, options: [{ id: 31, is_correct: true }] }],
+    ]);
+
+    const [choice, short, essayQuestion] = withRegradedKeys(served, keys);
+    assert.deepEqual(
+      choice.options.map((o) => o.is_correct),
+      [false, true]
+    );
+    assert.equal(choice.text, undefined);
+    // a key for another question type or an essay leaves the question as served
+    assert.equal(short, served[1]);
+    assert.equal(essayQuestion, served[2]);
+  });
+});
@@ -0,0 +1,147 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { gradeAnswers } = require("../../src/helper/scoring");
+
+const choice = (id, type, correctIds, extra = {}) => ({
+  id,
+  question_type: type,
+  points: 2,
+  options: [1, 2, 3, 4].map((n) => ({
+    id: id * 10 + n,
+    is_correct: correctIds.includes(id * 10 + n),
+  })),
+  ...extra,
+});
+
+describe("gradeAnswers", () => {
+  it("gives all or nothing by default", () => {
+    const questions = [
+      choice(1, "SINGLE_CHOICE", [11]),
+      choice(2, "MULTIPLE_CHOICE", [21, 22]),
+    ];
+    const result = gradeAnswers({}, questions, [
+      { question_id: 1, option_id: 11 },
+      { question_id: 2, option_ids: [21] },
+    ]);
+
+    assert.equal(result.score, 2);
+    assert.equal(result.total, 4);
+    assert.equal(result.pending, 0);
+    assert.deepEqual(result.results, [
+      { question_id: 1, is_correct: true, points_awarded: 2 },
+      { question_id: 2, is_correct: false, points_awarded: 0 },
+    ]);
+  });
+
+  it("gives partial credit on multiple choice, each wrong pick cancelling a right one", () => {
+    const questions = [choice(1, "MULTIPLE_CHOICE", [11, 12, 13])];
+    const quiz = { scoring_policy: "PARTIAL_CREDIT" };
+
+    assert.equal(
+      gradeAnswers(quiz, questions, [{ question_id: 1, option_ids: [11, 12] }])
+        .score,
+      1.33
+    );
+    assert.equal(
+      gradeAnswers(quiz, questions, [
+        { question_id: 1, option_ids: [11, 12, 14] },
+      ]).score,
+      0.67
+    );
+    assert.equal(
+      gradeAnswers(quiz, questions, [{ question_id: 1, option_ids: [11, 14] }])
+        .score,
+      0
+    );
+  });
+
+  it("penalizes wrong answers but never scores below zero", () => {
+    const questions = [
+      choice(1, "SINGLE_CHOICE", [11]),
+      choice(2, "SINGLE_CHOICE", [21]),
+    ];
+    const quiz = { wrong_answer_penalty: 0.5 };
+
+    const oneWrong = gradeAnswers(quiz, questions, [
+      { question_id: 1, option_id: 11 },
+      { question_id: 2, option_id: 22 },
+    ]);
+    assert.equal(oneWrong.score, 1);
+    assert.equal(oneWrong.results[1].points_awarded, -1);
+
+    const allWrong = gradeAnswers(quiz, questions, [
+      { question_id: 1, option_id: 12 },
+      { question_id: 2, option_id: 22 },
+    ]);
+    assert.equal(allWrong.score, 0);
+  });
+
+  it("does not penalize unanswered questions", () => {
+    const result = gradeAnswers(
+      { wrong_answer_penalty: 1 },
+      [choice(1, "SINGLE_CHOICE", [11])],
+      []
+    );
+    assert.deepEqual(result.results, [
+      { question_id: 1, is_correct: false, points_awarded: 0 },
+    ]);
+  });
+
+  it("leaves answered essays to be graded by hand and scores blank ones zero", () => {
+    const questions = [
+      { id: 1, question_type: "ESSAY", points: 5, options: [] },
+      { id: 2, question_type: "ESSAY", points: 5, options: [] },
+    ];
+    const result = gradeAnswers({}, questions, [
+      { question_id: 1, answer_text: "An answer" },
+      { question_id: 2, answer_text: "   " },
+    ]);
+
+    assert.equal(result.pending, 1);
+    assert.equal(result.score, 0);
+    assert.equal(result.total, 10);
+    assert.deepEqual(result.results, [
+      { question_id: 1, is_correct: null, points_awarded: null },
+      { question_id: 2, is_correct: false, points_awarded: 0 },
+    ]);
+  });
+
+  it("normalizes short answers as the question asks", () => {
+    const question = {
+      id: 1,
+      question_type: "SHORT_ANSWER",
+      options: [],
+      accepted_answers: ["New York"],
+      case_sensitive: false,
+      normalize_whitespace: true,
+    };
+    const answer = { question_id: 1, answer_text: "  new   york " };
+
+    assert.equal(gradeAnswers({}, [question], [answer]).score, 1);
+    assert.equal(
+      gradeAnswers({}, [{ ...question, case_sensitive: true }], [answer]).score,
+      0
+    );
+  });
+
+  it("accepts numeric answers within the tolerance", () => {
+    const question = {
+      id: 1,
+      question_type: "NUMERIC",
+      options: [],
+      numeric_answer: 3.14,
+      numeric_tolerance: 0.01,
+    };
+
+    assert.equal(
+      gradeAnswers({}, [question], [{ question_id: 1, answer_number: 3.15 }])
+        .score,
+      1
+    );
+    assert.equal(
+      gradeAnswers({}, [question], [{ question_id: 1, answer_number: 3.2 }])
+        .score,
+      0
+    );
+  });
+});